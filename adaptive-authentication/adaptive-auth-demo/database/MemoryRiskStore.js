@@ -0,0 +1,191 @@
+/**
+ * In-Memory Risk Store
+ * Non-persistent adapter for tests and throwaway runs. Records are
+ * copied in and out so callers see the same semantics as SQLite.
+ */
+
+const RiskStore = require('./RiskStore');
+
+class MemoryRiskStore extends RiskStore {
+  constructor(options = {}) {
+    super();
+    this.maxAttemptsPerUser = options.maxAttemptsPerUser || 100;
+    this.profiles = new Map();
+    this.attempts = new Map();
+    this.assessments = [];
+    this.deliveries = new Map();
+    this.reviews = new Map();
+    this.reviewAudit = [];
+    this.outcomes = new Map();
+    this.velocityEvents = [];
+  }
+
+  getProfile(userId) {
+    const profile = this.profiles.get(userId);
+    return profile ? copy(profile) : null;
+  }
+
+  saveProfile(userId, profile) {
+    this.profiles.set(userId, copy(profile));
+  }
+
+  recordAttempt(userId, attempt) {
+    const attempts = this.attempts.get(userId) || [];
+    attempts.push({ ...attempt });
+
+    // Keep only the most recent attempts
+    if (attempts.length > this.maxAttemptsPerUser) {
+      attempts.shift();
+    }
+
+    this.attempts.set(userId, attempts);
+  }
+
+  getAttempts(userId, limit = 100) {
+    return (this.attempts.get(userId) || []).slice(-limit).map(a => ({ ...a }));
+  }
+
+  saveAssessment(assessment) {
+    this.assessments.push(copy(assessment));
+  }
+
+  getAssessments(userId, limit = 50) {
+    return this.assessments
+      .filter(a => a.userId === userId)
+      .slice(-limit)
+      .reverse()
+      .map(a => copy(a));
+  }
+
+  getAssessment(id) {
+    const assessment = this.assessments.find(a => a.id === id);
+    return assessment ? copy(assessment) : null;
+  }
+
+  searchAssessments(filters = {}) {
+    const { limit = 100, offset = 0 } = filters;
+    const matches = this.assessments
+      .filter(a =>
+        (filters.userId === undefined || a.userId === filters.userId) &&
+        (filters.action === undefined || a.action === filters.action) &&
+        (filters.decision === undefined || a.decision === filters.decision) &&
+        (filters.level === undefined || a.level === filters.level) &&
+        (filters.ipAddress === undefined || a.context?.ipAddress === filters.ipAddress) &&
+        (filters.policyVersion === undefined || a.policyVersion === filters.policyVersion) &&
+        (filters.from === undefined || a.timestamp >= filters.from) &&
+        (filters.to === undefined || a.timestamp <= filters.to) &&
+        (filters.minScore === undefined || a.score >= filters.minScore) &&
+        (filters.maxScore === undefined || a.score <= filters.maxScore)
+      )
+      .reverse();
+
+    return {
+      total: matches.length,
+      records: matches.slice(offset, offset + limit).map(a => copy(a))
+    };
+  }
+
+  enqueueDelivery(delivery) {
+    this.deliveries.set(delivery.id, copy(delivery));
+  }
+
+  getDueDeliveries(now, limit = 20) {
+    return [...this.deliveries.values()]
+      .filter(d => d.status === 'pending' && d.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+      .slice(0, limit)
+      .map(d => copy(d));
+  }
+
+  updateDelivery(id, changes) {
+    const delivery = this.deliveries.get(id);
+    if (delivery) {
+      this.deliveries.set(id, { ...delivery, ...copy(changes) });
+    }
+  }
+
+  getDeliveries(filters = {}) {
+    return [...this.deliveries.values()]
+      .filter(d =>
+        (filters.status === undefined || d.status === filters.status) &&
+        (filters.eventType === undefined || d.eventType === filters.eventType)
+      )
+      .reverse()
+      .slice(0, filters.limit || 100)
+      .map(d => copy(d));
+  }
+
+  createReview(review) {
+    this.reviews.set(review.id, copy(review));
+  }
+
+  getReview(id) {
+    const review = this.reviews.get(id);
+    return review ? copy(review) : null;
+  }
+
+  getReviewByTokenHash(tokenHash) {
+    const review = [...this.reviews.values()].find(r => r.loginTokenHash === tokenHash);
+    return review ? copy(review) : null;
+  }
+
+  listReviews(filters = {}) {
+    return [...this.reviews.values()]
+      .filter(r =>
+        (filters.status === undefined || r.status === filters.status) &&
+        (filters.userId === undefined || r.userId === filters.userId)
+      )
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, filters.limit || 100)
+      .map(r => copy(r));
+  }
+
+  updateReview(id, changes) {
+    const review = this.reviews.get(id);
+    if (review) {
+      this.reviews.set(id, { ...review, ...copy(changes) });
+    }
+  }
+
+  recordReviewAudit(entry) {
+    this.reviewAudit.push(copy(entry));
+  }
+
+  getReviewAudit(reviewId) {
+    return this.reviewAudit.filter(e => e.reviewId === reviewId).map(e => copy(e));
+  }
+
+  saveOutcome(outcome) {
+    this.outcomes.set(outcome.assessmentId, copy(outcome));
+  }
+
+  getOutcome(assessmentId) {
+    const outcome = this.outcomes.get(assessmentId);
+    return outcome ? copy(outcome) : null;
+  }
+
+  recordVelocityEvent(event) {
+    this.velocityEvents.push({ ...event });
+  }
+
+  countVelocity(dimension, key, since) {
+    const events = this.velocityEvents.filter(e => e.dimension === dimension && e.key === key && e.timestamp >= since);
+
+    return {
+      attempts: events.length,
+      failures: events.filter(e => e.failed).length,
+      subjects: new Set(events.map(e => e.subject)).size
+    };
+  }
+
+  pruneVelocity(before) {
+    this.velocityEvents = this.velocityEvents.filter(e => e.timestamp >= before);
+  }
+}
+
+// JSON round-trip, matching what the SQLite adapter stores
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = MemoryRiskStore;
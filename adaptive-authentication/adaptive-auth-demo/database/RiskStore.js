@@ -0,0 +1,209 @@
+/**
+ * Risk Store Interface
+ * Storage adapter contract used by the RiskEngine. All methods are
+ * synchronous so the engine can stay storage-agnostic.
+ *
+ * Profiles are opaque JSON documents; attempts and assessments are
+ * append-only records kept per user. Event deliveries are the persistent
+ * outbox of the webhook dispatcher; reviews are the manual review queue
+ * for blocked logins.
+ */
+
+class RiskStore {
+  /**
+   * @param {string} userId
+   * @returns {Object|null} Stored profile or null
+   */
+  getProfile(userId) {
+    throw new Error(`${this.constructor.name} must implement getProfile()`);
+  }
+
+  /**
+   * @param {string} userId
+   * @param {Object} profile - Full profile document (replaces the stored one)
+   */
+  saveProfile(userId, profile) {
+    throw new Error(`${this.constructor.name} must implement saveProfile()`);
+  }
+
+  /**
+   * @param {string} userId
+   * @param {Object} attempt - { timestamp, success, ipAddress, deviceId }
+   */
+  recordAttempt(userId, attempt) {
+    throw new Error(`${this.constructor.name} must implement recordAttempt()`);
+  }
+
+  /**
+   * @param {string} userId
+   * @param {number} limit - Most recent attempts to return
+   * @returns {Array} Attempts in chronological order
+   */
+  getAttempts(userId, limit = 100) {
+    throw new Error(`${this.constructor.name} must implement getAttempts()`);
+  }
+
+  /**
+   * @param {Object} assessment - { id, userId, action, score, level, decision, breakdown,
+   *   weights, reasons, recommendation, matchedRule, policyVersion, context, timestamp }
+   */
+  saveAssessment(assessment) {
+    throw new Error(`${this.constructor.name} must implement saveAssessment()`);
+  }
+
+  /**
+   * @param {string} userId
+   * @param {number} limit - Most recent assessments to return
+   * @returns {Array} Assessments, newest first
+   */
+  getAssessments(userId, limit = 50) {
+    throw new Error(`${this.constructor.name} must implement getAssessments()`);
+  }
+
+  /**
+   * @param {string} id - Assessment id
+   * @returns {Object|null}
+   */
+  getAssessment(id) {
+    throw new Error(`${this.constructor.name} must implement getAssessment()`);
+  }
+
+  /**
+   * Search the audit trail
+   * @param {Object} filters - { userId, action, decision, level, ipAddress, policyVersion,
+   *   from, to, minScore, maxScore, limit, offset } (all optional; from/to are ms timestamps)
+   * @returns {{ total: number, records: Array }} Matching assessments, newest first
+   */
+  searchAssessments(filters = {}) {
+    throw new Error(`${this.constructor.name} must implement searchAssessments()`);
+  }
+
+  /**
+   * @param {Object} delivery - { id, eventId, eventType, endpointId, payload, status,
+   *   attempts, nextAttemptAt, lastError, createdAt, deliveredAt }
+   */
+  enqueueDelivery(delivery) {
+    throw new Error(`${this.constructor.name} must implement enqueueDelivery()`);
+  }
+
+  /**
+   * @param {number} now - ms timestamp
+   * @param {number} limit
+   * @returns {Array} Pending deliveries whose nextAttemptAt has passed, oldest first
+   */
+  getDueDeliveries(now, limit = 20) {
+    throw new Error(`${this.constructor.name} must implement getDueDeliveries()`);
+  }
+
+  /**
+   * @param {string} id - Delivery id
+   * @param {Object} changes - { status, attempts, nextAttemptAt, lastError, deliveredAt }
+   */
+  updateDelivery(id, changes) {
+    throw new Error(`${this.constructor.name} must implement updateDelivery()`);
+  }
+
+  /**
+   * @param {Object} filters - { status, eventType, limit } (all optional)
+   * @returns {Array} Deliveries, newest first
+   */
+  getDeliveries(filters = {}) {
+    throw new Error(`${this.constructor.name} must implement getDeliveries()`);
+  }
+
+  /**
+   * @param {Object} review - { id, userId, assessmentId, status, context, attempts, createdAt,
+   *   lastAttemptAt, decidedAt, decidedBy, note, loginTokenHash, loginTokenExpiresAt, loginTokenUsedAt }
+   */
+  createReview(review) {
+    throw new Error(`${this.constructor.name} must implement createReview()`);
+  }
+
+  /**
+   * @param {string} id - Review id
+   * @returns {Object|null}
+   */
+  getReview(id) {
+    throw new Error(`${this.constructor.name} must implement getReview()`);
+  }
+
+  /**
+   * @param {string} tokenHash - SHA-256 of a one-time login token
+   * @returns {Object|null}
+   */
+  getReviewByTokenHash(tokenHash) {
+    throw new Error(`${this.constructor.name} must implement getReviewByTokenHash()`);
+  }
+
+  /**
+   * @param {Object} filters - { status, userId, limit } (all optional)
+   * @returns {Array} Reviews, oldest first (queue order)
+   */
+  listReviews(filters = {}) {
+    throw new Error(`${this.constructor.name} must implement listReviews()`);
+  }
+
+  /**
+   * @param {string} id - Review id
+   * @param {Object} changes - Any review fields except id and userId
+   */
+  updateReview(id, changes) {
+    throw new Error(`${this.constructor.name} must implement updateReview()`);
+  }
+
+  /**
+   * @param {Object} entry - { reviewId, actor, action, details, timestamp }
+   */
+  recordReviewAudit(entry) {
+    throw new Error(`${this.constructor.name} must implement recordReviewAudit()`);
+  }
+
+  /**
+   * @param {string} reviewId
+   * @returns {Array} Audit entries in chronological order
+   */
+  getReviewAudit(reviewId) {
+    throw new Error(`${this.constructor.name} must implement getReviewAudit()`);
+  }
+
+  /**
+   * @param {Object} outcome - { assessmentId, clientId, outcome, reportedAt }
+   */
+  saveOutcome(outcome) {
+    throw new Error(`${this.constructor.name} must implement saveOutcome()`);
+  }
+
+  /**
+   * @param {string} assessmentId
+   * @returns {Object|null}
+   */
+  getOutcome(assessmentId) {
+    throw new Error(`${this.constructor.name} must implement getOutcome()`);
+  }
+
+  /**
+   * @param {Object} event - { dimension: 'ip'|'subnet'|'device', key, subject, failed, timestamp }
+   */
+  recordVelocityEvent(event) {
+    throw new Error(`${this.constructor.name} must implement recordVelocityEvent()`);
+  }
+
+  /**
+   * Sliding-window counts for one key
+   * @returns {Object} { attempts, failures, subjects } since the given time
+   */
+  countVelocity(dimension, key, since) {
+    throw new Error(`${this.constructor.name} must implement countVelocity()`);
+  }
+
+  /**
+   * Drop velocity events older than the given time
+   */
+  pruneVelocity(before) {
+    throw new Error(`${this.constructor.name} must implement pruneVelocity()`);
+  }
+
+  close() {}
+}
+
+module.exports = RiskStore;
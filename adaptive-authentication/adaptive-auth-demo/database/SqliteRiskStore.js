@@ -0,0 +1,461 @@
+/**
+ * SQLite Risk Store
+ * Persistent adapter backed by better-sqlite3. WAL mode lets several
+ * Node processes share one database file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const RiskStore = require('./RiskStore');
+const migrations = require('./migrations');
+
+class SqliteRiskStore extends RiskStore {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath;
+    this.maxAttemptsPerUser = options.maxAttemptsPerUser || 100;
+
+    if (this.filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+
+    this.migrate();
+    this.prepareStatements();
+  }
+
+  /**
+   * Apply pending migrations in order, each in its own transaction
+   */
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+      )
+    `);
+
+    const applied = new Set(
+      this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+
+    migrations
+      .filter(migration => !applied.has(migration.version))
+      .sort((a, b) => a.version - b.version)
+      .forEach(migration => {
+        this.db.transaction(() => {
+          this.db.exec(migration.up);
+          this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+            .run(migration.version, migration.name, Date.now());
+        })();
+        console.log(`🗄️  Applied migration ${migration.version}_${migration.name}`);
+      });
+  }
+
+  prepareStatements() {
+    this.statements = {
+      getProfile: this.db.prepare('SELECT data FROM user_profiles WHERE user_id = ?'),
+      saveProfile: this.db.prepare(`
+        INSERT INTO user_profiles (user_id, data, created_at, updated_at)
+        VALUES (@userId, @data, @now, @now)
+        ON CONFLICT (user_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `),
+      insertAttempt: this.db.prepare(`
+        INSERT INTO login_attempts (user_id, timestamp, success, ip_address, device_id)
+        VALUES (@userId, @timestamp, @success, @ipAddress, @deviceId)
+      `),
+      pruneAttempts: this.db.prepare(`
+        DELETE FROM login_attempts WHERE user_id = @userId AND id NOT IN (
+          SELECT id FROM login_attempts WHERE user_id = @userId ORDER BY timestamp DESC, id DESC LIMIT @keep
+        )
+      `),
+      getAttempts: this.db.prepare(`
+        SELECT * FROM (
+          SELECT id, timestamp, success, ip_address, device_id FROM login_attempts
+          WHERE user_id = ? ORDER BY timestamp DESC, id DESC LIMIT ?
+        ) ORDER BY timestamp ASC, id ASC
+      `),
+      insertAssessment: this.db.prepare(`
+        INSERT INTO risk_assessments (
+          assessment_id, user_id, action, ip_address, score, level, decision, breakdown, weights,
+          reasons, recommendation, matched_rule, policy_version, context, timestamp
+        ) VALUES (
+          @id, @userId, @action, @ipAddress, @score, @level, @decision, @breakdown, @weights,
+          @reasons, @recommendation, @matchedRule, @policyVersion, @context, @timestamp
+        )
+      `),
+      getAssessments: this.db.prepare(`
+        SELECT * FROM risk_assessments WHERE user_id = ? ORDER BY timestamp DESC, id DESC LIMIT ?
+      `),
+      getAssessment: this.db.prepare('SELECT * FROM risk_assessments WHERE assessment_id = ?'),
+      insertDelivery: this.db.prepare(`
+        INSERT INTO event_deliveries (
+          id, event_id, event_type, endpoint_id, payload, status, attempts,
+          next_attempt_at, last_error, created_at, delivered_at
+        ) VALUES (
+          @id, @eventId, @eventType, @endpointId, @payload, @status, @attempts,
+          @nextAttemptAt, @lastError, @createdAt, @deliveredAt
+        )
+      `),
+      getDueDeliveries: this.db.prepare(`
+        SELECT * FROM event_deliveries WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at ASC LIMIT ?
+      `),
+      getDelivery: this.db.prepare('SELECT * FROM event_deliveries WHERE id = ?'),
+      insertReview: this.db.prepare(`
+        INSERT INTO login_reviews (
+          id, user_id, assessment_id, status, context, attempts, created_at, last_attempt_at,
+          decided_at, decided_by, note, login_token_hash, login_token_expires_at, login_token_used_at
+        ) VALUES (
+          @id, @userId, @assessmentId, @status, @context, @attempts, @createdAt, @lastAttemptAt,
+          @decidedAt, @decidedBy, @note, @loginTokenHash, @loginTokenExpiresAt, @loginTokenUsedAt
+        )
+      `),
+      updateReview: this.db.prepare(`
+        UPDATE login_reviews SET assessment_id = @assessmentId, status = @status, context = @context,
+          attempts = @attempts, last_attempt_at = @lastAttemptAt, decided_at = @decidedAt,
+          decided_by = @decidedBy, note = @note, login_token_hash = @loginTokenHash,
+          login_token_expires_at = @loginTokenExpiresAt, login_token_used_at = @loginTokenUsedAt
+        WHERE id = @id
+      `),
+      getReview: this.db.prepare('SELECT * FROM login_reviews WHERE id = ?'),
+      getReviewByTokenHash: this.db.prepare('SELECT * FROM login_reviews WHERE login_token_hash = ?'),
+      insertReviewAudit: this.db.prepare(`
+        INSERT INTO review_audit (review_id, actor, action, details, timestamp)
+        VALUES (@reviewId, @actor, @action, @details, @timestamp)
+      `),
+      getReviewAudit: this.db.prepare('SELECT * FROM review_audit WHERE review_id = ? ORDER BY timestamp ASC, id ASC'),
+      insertOutcome: this.db.prepare(`
+        INSERT INTO assessment_outcomes (assessment_id, client_id, outcome, reported_at)
+        VALUES (@assessmentId, @clientId, @outcome, @reportedAt)
+      `),
+      getOutcome: this.db.prepare('SELECT * FROM assessment_outcomes WHERE assessment_id = ?'),
+      insertVelocityEvent: this.db.prepare(`
+        INSERT INTO velocity_events (dimension, key, subject, failed, timestamp)
+        VALUES (@dimension, @key, @subject, @failed, @timestamp)
+      `),
+      countVelocity: this.db.prepare(`
+        SELECT COUNT(*) AS attempts, COALESCE(SUM(failed), 0) AS failures, COUNT(DISTINCT subject) AS subjects
+        FROM velocity_events WHERE dimension = ? AND key = ? AND timestamp >= ?
+      `),
+      pruneVelocity: this.db.prepare('DELETE FROM velocity_events WHERE timestamp < ?')
+    };
+  }
+
+  getProfile(userId) {
+    const row = this.statements.getProfile.get(userId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  saveProfile(userId, profile) {
+    this.statements.saveProfile.run({ userId, data: JSON.stringify(profile), now: Date.now() });
+  }
+
+  recordAttempt(userId, attempt) {
+    this.db.transaction(() => {
+      this.statements.insertAttempt.run({
+        userId,
+        timestamp: attempt.timestamp,
+        success: attempt.success ? 1 : 0,
+        ipAddress: attempt.ipAddress || null,
+        deviceId: attempt.deviceId || null
+      });
+      this.statements.pruneAttempts.run({ userId, keep: this.maxAttemptsPerUser });
+    })();
+  }
+
+  getAttempts(userId, limit = 100) {
+    return this.statements.getAttempts.all(userId, limit).map(row => ({
+      timestamp: row.timestamp,
+      success: row.success === 1,
+      ipAddress: row.ip_address,
+      deviceId: row.device_id
+    }));
+  }
+
+  saveAssessment(assessment) {
+    const json = value => (value === undefined ? null : JSON.stringify(value));
+
+    this.statements.insertAssessment.run({
+      id: assessment.id || null,
+      userId: assessment.userId || null,
+      action: assessment.action || null,
+      ipAddress: assessment.context?.ipAddress || null,
+      score: assessment.score,
+      level: assessment.level,
+      decision: assessment.decision,
+      breakdown: JSON.stringify(assessment.breakdown),
+      weights: json(assessment.weights),
+      reasons: json(assessment.reasons),
+      recommendation: json(assessment.recommendation),
+      matchedRule: json(assessment.matchedRule),
+      policyVersion: assessment.policyVersion || null,
+      context: json(assessment.context),
+      timestamp: assessment.timestamp
+    });
+  }
+
+  getAssessments(userId, limit = 50) {
+    return this.statements.getAssessments.all(userId, limit).map(rowToAssessment);
+  }
+
+  getAssessment(id) {
+    const row = this.statements.getAssessment.get(id);
+    return row ? rowToAssessment(row) : null;
+  }
+
+  searchAssessments(filters = {}) {
+    const columns = {
+      userId: 'user_id = @userId',
+      action: 'action = @action',
+      decision: 'decision = @decision',
+      level: 'level = @level',
+      ipAddress: 'ip_address = @ipAddress',
+      policyVersion: 'policy_version = @policyVersion',
+      from: 'timestamp >= @from',
+      to: 'timestamp <= @to',
+      minScore: 'score >= @minScore',
+      maxScore: 'score <= @maxScore'
+    };
+
+    const params = {};
+    const conditions = Object.keys(columns)
+      .filter(key => filters[key] !== undefined)
+      .map(key => {
+        params[key] = filters[key];
+        return columns[key];
+      });
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM risk_assessments ${where}`).get(params);
+    const rows = this.db.prepare(`
+      SELECT * FROM risk_assessments ${where}
+      ORDER BY timestamp DESC, id DESC LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit: filters.limit || 100, offset: filters.offset || 0 });
+
+    return { total, records: rows.map(rowToAssessment) };
+  }
+
+  enqueueDelivery(delivery) {
+    this.statements.insertDelivery.run({
+      id: delivery.id,
+      eventId: delivery.eventId,
+      eventType: delivery.eventType,
+      endpointId: delivery.endpointId,
+      payload: JSON.stringify(delivery.payload),
+      status: delivery.status,
+      attempts: delivery.attempts || 0,
+      nextAttemptAt: delivery.nextAttemptAt,
+      lastError: delivery.lastError || null,
+      createdAt: delivery.createdAt,
+      deliveredAt: delivery.deliveredAt || null
+    });
+  }
+
+  getDueDeliveries(now, limit = 20) {
+    return this.statements.getDueDeliveries.all(now, limit).map(rowToDelivery);
+  }
+
+  updateDelivery(id, changes) {
+    const current = this.statements.getDelivery.get(id);
+    if (!current) return;
+
+    const delivery = { ...rowToDelivery(current), ...changes };
+    this.db.prepare(`
+      UPDATE event_deliveries SET status = @status, attempts = @attempts, next_attempt_at = @nextAttemptAt,
+        last_error = @lastError, delivered_at = @deliveredAt
+      WHERE id = @id
+    `).run({
+      id,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      nextAttemptAt: delivery.nextAttemptAt,
+      lastError: delivery.lastError || null,
+      deliveredAt: delivery.deliveredAt || null
+    });
+  }
+
+  getDeliveries(filters = {}) {
+    const conditions = [];
+    if (filters.status !== undefined) conditions.push('status = @status');
+    if (filters.eventType !== undefined) conditions.push('event_type = @eventType');
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return this.db.prepare(`
+      SELECT * FROM event_deliveries ${where} ORDER BY created_at DESC, rowid DESC LIMIT @limit
+    `).all({ status: filters.status, eventType: filters.eventType, limit: filters.limit || 100 }).map(rowToDelivery);
+  }
+
+  createReview(review) {
+    this.statements.insertReview.run(reviewToRow(review));
+  }
+
+  getReview(id) {
+    const row = this.statements.getReview.get(id);
+    return row ? rowToReview(row) : null;
+  }
+
+  getReviewByTokenHash(tokenHash) {
+    const row = this.statements.getReviewByTokenHash.get(tokenHash);
+    return row ? rowToReview(row) : null;
+  }
+
+  listReviews(filters = {}) {
+    const conditions = [];
+    if (filters.status !== undefined) conditions.push('status = @status');
+    if (filters.userId !== undefined) conditions.push('user_id = @userId');
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return this.db.prepare(`
+      SELECT * FROM login_reviews ${where} ORDER BY created_at ASC LIMIT @limit
+    `).all({ status: filters.status, userId: filters.userId, limit: filters.limit || 100 }).map(rowToReview);
+  }
+
+  updateReview(id, changes) {
+    const current = this.getReview(id);
+    if (!current) return;
+
+    this.statements.updateReview.run(reviewToRow({ ...current, ...changes, id }));
+  }
+
+  recordReviewAudit(entry) {
+    this.statements.insertReviewAudit.run({
+      reviewId: entry.reviewId,
+      actor: entry.actor,
+      action: entry.action,
+      details: entry.details === undefined ? null : JSON.stringify(entry.details),
+      timestamp: entry.timestamp
+    });
+  }
+
+  getReviewAudit(reviewId) {
+    return this.statements.getReviewAudit.all(reviewId).map(row => ({
+      reviewId: row.review_id,
+      actor: row.actor,
+      action: row.action,
+      details: row.details === null ? null : JSON.parse(row.details),
+      timestamp: row.timestamp
+    }));
+  }
+
+  saveOutcome(outcome) {
+    this.statements.insertOutcome.run(outcome);
+  }
+
+  getOutcome(assessmentId) {
+    const row = this.statements.getOutcome.get(assessmentId);
+    return row ? {
+      assessmentId: row.assessment_id,
+      clientId: row.client_id,
+      outcome: row.outcome,
+      reportedAt: row.reported_at
+    } : null;
+  }
+
+  recordVelocityEvent(event) {
+    this.statements.insertVelocityEvent.run({ ...event, failed: event.failed ? 1 : 0 });
+  }
+
+  countVelocity(dimension, key, since) {
+    return this.statements.countVelocity.get(dimension, key, since);
+  }
+
+  pruneVelocity(before) {
+    this.statements.pruneVelocity.run(before);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function reviewToRow(review) {
+  return {
+    id: review.id,
+    userId: review.userId,
+    assessmentId: review.assessmentId || null,
+    status: review.status,
+    context: JSON.stringify(review.context),
+    attempts: review.attempts || 1,
+    createdAt: review.createdAt,
+    lastAttemptAt: review.lastAttemptAt,
+    decidedAt: review.decidedAt || null,
+    decidedBy: review.decidedBy || null,
+    note: review.note || null,
+    loginTokenHash: review.loginTokenHash || null,
+    loginTokenExpiresAt: review.loginTokenExpiresAt || null,
+    loginTokenUsedAt: review.loginTokenUsedAt || null
+  };
+}
+
+/**
+ * Map a login_reviews row back to the shape passed to createReview()
+ */
+function rowToReview(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    assessmentId: row.assessment_id,
+    status: row.status,
+    context: JSON.parse(row.context),
+    attempts: row.attempts,
+    createdAt: row.created_at,
+    lastAttemptAt: row.last_attempt_at,
+    decidedAt: row.decided_at,
+    decidedBy: row.decided_by,
+    note: row.note,
+    loginTokenHash: row.login_token_hash,
+    loginTokenExpiresAt: row.login_token_expires_at,
+    loginTokenUsedAt: row.login_token_used_at
+  };
+}
+
+/**
+ * Map an event_deliveries row back to the shape passed to enqueueDelivery()
+ */
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    endpointId: row.endpoint_id,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at
+  };
+}
+
+/**
+ * Map a risk_assessments row back to the shape passed to saveAssessment()
+ */
+function rowToAssessment(row) {
+  const parse = value => (value === null ? null : JSON.parse(value));
+
+  return {
+    id: row.assessment_id,
+    userId: row.user_id,
+    action: row.action,
+    score: row.score,
+    level: row.level,
+    decision: row.decision,
+    breakdown: JSON.parse(row.breakdown),
+    weights: parse(row.weights),
+    reasons: parse(row.reasons) || [],
+    recommendation: parse(row.recommendation),
+    matchedRule: parse(row.matched_rule),
+    policyVersion: row.policy_version,
+    context: parse(row.context),
+    timestamp: row.timestamp
+  };
+}
+
+module.exports = SqliteRiskStore;
@@ -0,0 +1,26 @@
+/**
+ * Risk store factory
+ * RISK_STORE=sqlite (default) | memory
+ * RISK_DB_PATH=path to the SQLite file (default data/risk.db)
+ */
+
+const path = require('path');
+const MemoryRiskStore = require('./MemoryRiskStore');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', 'data', 'risk.db');
+
+function createRiskStore(type = process.env.RISK_STORE || 'sqlite', options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryRiskStore(options);
+    case 'sqlite': {
+      // Required lazily so the memory store works without the native module
+      const SqliteRiskStore = require('./SqliteRiskStore');
+      return new SqliteRiskStore({ filePath: process.env.RISK_DB_PATH || DEFAULT_DB_PATH, ...options });
+    }
+    default:
+      throw new Error(`Unknown risk store "${type}" (expected "sqlite" or "memory")`);
+  }
+}
+
+module.exports = { createRiskStore };
@@ -0,0 +1,39 @@
+/**
+ * Initial schema: user risk profiles, login attempts and risk assessments
+ */
+
+module.exports = {
+  version: 1,
+  name: 'create_risk_tables',
+  up: `
+    CREATE TABLE user_profiles (
+      user_id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE login_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      success INTEGER NOT NULL,
+      ip_address TEXT,
+      device_id TEXT
+    );
+    CREATE INDEX idx_login_attempts_user ON login_attempts (user_id, timestamp);
+
+    CREATE TABLE risk_assessments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT,
+      action TEXT,
+      score INTEGER NOT NULL,
+      level TEXT NOT NULL,
+      decision TEXT NOT NULL,
+      breakdown TEXT NOT NULL,
+      policy_version TEXT,
+      timestamp INTEGER NOT NULL
+    );
+    CREATE INDEX idx_risk_assessments_user ON risk_assessments (user_id, timestamp);
+  `
+};
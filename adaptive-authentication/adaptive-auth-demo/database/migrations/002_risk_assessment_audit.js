@@ -0,0 +1,22 @@
+/**
+ * Audit trail: keep the full input context, weights, sub-rule reasons,
+ * recommendation and matched policy rule for every assessment
+ */
+
+module.exports = {
+  version: 2,
+  name: 'risk_assessment_audit',
+  up: `
+    ALTER TABLE risk_assessments ADD COLUMN assessment_id TEXT;
+    ALTER TABLE risk_assessments ADD COLUMN ip_address TEXT;
+    ALTER TABLE risk_assessments ADD COLUMN weights TEXT;
+    ALTER TABLE risk_assessments ADD COLUMN reasons TEXT;
+    ALTER TABLE risk_assessments ADD COLUMN recommendation TEXT;
+    ALTER TABLE risk_assessments ADD COLUMN matched_rule TEXT;
+    ALTER TABLE risk_assessments ADD COLUMN context TEXT;
+
+    CREATE UNIQUE INDEX idx_risk_assessments_assessment_id ON risk_assessments (assessment_id);
+    CREATE INDEX idx_risk_assessments_decision ON risk_assessments (decision, timestamp);
+    CREATE INDEX idx_risk_assessments_timestamp ON risk_assessments (timestamp);
+  `
+};
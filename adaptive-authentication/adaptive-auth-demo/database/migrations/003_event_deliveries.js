@@ -0,0 +1,27 @@
+/**
+ * Persistent outbox for outbound webhook events: one row per
+ * event × endpoint, retried until delivered or dead
+ */
+
+module.exports = {
+  version: 3,
+  name: 'event_deliveries',
+  up: `
+    CREATE TABLE event_deliveries (
+      id TEXT PRIMARY KEY,
+      event_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      endpoint_id TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at INTEGER NOT NULL,
+      last_error TEXT,
+      created_at INTEGER NOT NULL,
+      delivered_at INTEGER
+    );
+
+    CREATE INDEX idx_event_deliveries_due ON event_deliveries (status, next_attempt_at);
+    CREATE INDEX idx_event_deliveries_event ON event_deliveries (event_id);
+  `
+};
@@ -0,0 +1,42 @@
+/**
+ * Manual review queue for blocked logins and the audit log of every
+ * review decision
+ */
+
+module.exports = {
+  version: 4,
+  name: 'review_queue',
+  up: `
+    CREATE TABLE login_reviews (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      assessment_id TEXT,
+      status TEXT NOT NULL,
+      context TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 1,
+      created_at INTEGER NOT NULL,
+      last_attempt_at INTEGER NOT NULL,
+      decided_at INTEGER,
+      decided_by TEXT,
+      note TEXT,
+      login_token_hash TEXT,
+      login_token_expires_at INTEGER,
+      login_token_used_at INTEGER
+    );
+
+    CREATE INDEX idx_login_reviews_status ON login_reviews (status, created_at);
+    CREATE INDEX idx_login_reviews_user ON login_reviews (user_id, status);
+    CREATE UNIQUE INDEX idx_login_reviews_token ON login_reviews (login_token_hash);
+
+    CREATE TABLE review_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      review_id TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      action TEXT NOT NULL,
+      details TEXT,
+      timestamp INTEGER NOT NULL
+    );
+
+    CREATE INDEX idx_review_audit_review ON review_audit (review_id, timestamp);
+  `
+};
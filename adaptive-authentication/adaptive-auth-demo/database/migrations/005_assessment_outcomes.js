@@ -0,0 +1,16 @@
+/**
+ * Final outcomes reported back by risk API clients, one per assessment
+ */
+
+module.exports = {
+  version: 5,
+  name: 'assessment_outcomes',
+  up: `
+    CREATE TABLE assessment_outcomes (
+      assessment_id TEXT PRIMARY KEY,
+      client_id TEXT NOT NULL,
+      outcome TEXT NOT NULL,
+      reported_at INTEGER NOT NULL
+    );
+  `
+};
@@ -0,0 +1,22 @@
+/**
+ * Cross-account velocity: one row per login attempt and dimension
+ * (IP, subnet, device), counted over sliding windows
+ */
+
+module.exports = {
+  version: 6,
+  name: 'velocity_events',
+  up: `
+    CREATE TABLE velocity_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      dimension TEXT NOT NULL,
+      key TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      failed INTEGER NOT NULL,
+      timestamp INTEGER NOT NULL
+    );
+
+    CREATE INDEX idx_velocity_events_key ON velocity_events (dimension, key, timestamp);
+    CREATE INDEX idx_velocity_events_timestamp ON velocity_events (timestamp);
+  `
+};
@@ -0,0 +1,13 @@
+/**
+ * Ordered list of SQLite migrations. Append new files here; never edit
+ * a migration that has already been released.
+ */
+
+module.exports = [
+  require('./001_create_risk_tables'),
+  require('./002_risk_assessment_audit'),
+  require('./003_event_deliveries'),
+  require('./004_review_queue'),
+  require('./005_assessment_outcomes'),
+  require('./006_velocity_events')
+];
@@ -0,0 +1,94 @@
+/**
+ * Device signal collector
+ * Fills every <input name="deviceSignals"> with a JSON description of the
+ * device (screen, timezone, platform, hardware, canvas/WebGL hashes). The
+ * server compares it with known devices by similarity (services/deviceMatcher.js).
+ */
+
+const AdaptiveFingerprint = {
+  collect() {
+    const webgl = this.webgl();
+
+    return {
+      screen: `${screen.width}x${screen.height}x${screen.colorDepth}`,
+      pixelRatio: window.devicePixelRatio || 1,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || String(new Date().getTimezoneOffset()),
+      language: navigator.language,
+      platform: navigator.platform,
+      hardwareConcurrency: navigator.hardwareConcurrency,
+      deviceMemory: navigator.deviceMemory,
+      touchPoints: navigator.maxTouchPoints || 0,
+      canvasHash: this.canvasHash(),
+      webglRenderer: webgl.renderer,
+      webglHash: webgl.hash
+    };
+  },
+
+  // Text and shapes render slightly differently per GPU, driver and font set
+  canvasHash() {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = 240;
+      canvas.height = 60;
+      const ctx = canvas.getContext('2d');
+
+      ctx.textBaseline = 'top';
+      ctx.font = '16px Arial';
+      ctx.fillStyle = '#f60';
+      ctx.fillRect(120, 5, 80, 30);
+      ctx.fillStyle = '#069';
+      ctx.fillText('Adaptive auth 🔐 <canvas>', 4, 12);
+      ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
+      ctx.beginPath();
+      ctx.arc(60, 40, 18, 0, Math.PI * 2);
+      ctx.fill();
+
+      return this.hash(canvas.toDataURL());
+    } catch (error) {
+      return undefined;
+    }
+  },
+
+  webgl() {
+    try {
+      const gl = document.createElement('canvas').getContext('webgl');
+      if (!gl) return {};
+
+      const debug = gl.getExtension('WEBGL_debug_renderer_info');
+      const renderer = debug
+        ? gl.getParameter(debug.UNMASKED_RENDERER_WEBGL)
+        : gl.getParameter(gl.RENDERER);
+      const params = [
+        gl.getParameter(gl.MAX_TEXTURE_SIZE),
+        gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+        gl.getParameter(gl.MAX_VERTEX_ATTRIBS),
+        gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
+        (gl.getSupportedExtensions() || []).join(',')
+      ];
+
+      return { renderer, hash: this.hash(params.join('|')) };
+    } catch (error) {
+      return {};
+    }
+  },
+
+  // FNV-1a (32 bit); crypto.subtle is unavailable on plain HTTP
+  hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+  },
+
+  fillForms() {
+    const fields = document.querySelectorAll('input[name="deviceSignals"]');
+    if (fields.length === 0) return;
+
+    const value = JSON.stringify(this.collect());
+    fields.forEach(field => { field.value = value; });
+  }
+};
+
+document.addEventListener('DOMContentLoaded', () => AdaptiveFingerprint.fillForms());
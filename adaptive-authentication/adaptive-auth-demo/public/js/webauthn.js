@@ -0,0 +1,117 @@
+/**
+ * WebAuthn helper for step-up verification and security key enrollment
+ */
+
+const AdaptiveWebAuthn = {
+  isAvailable() {
+    return window.PublicKeyCredential !== undefined && navigator.credentials !== undefined;
+  },
+
+  // Convert base64url to ArrayBuffer
+  base64urlToBuffer(base64url) {
+    const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+    const padLen = (4 - (base64.length % 4)) % 4;
+    return Uint8Array.from(atob(base64 + '='.repeat(padLen)), c => c.charCodeAt(0));
+  },
+
+  // Convert ArrayBuffer to base64url
+  bufferToBase64url(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let str = '';
+    for (const byte of bytes) {
+      str += String.fromCharCode(byte);
+    }
+    return btoa(str).replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+  },
+
+  async postJson(url, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      const error = new Error(result.error || 'Request failed');
+      error.redirect = result.redirect;
+      throw error;
+    }
+    return result;
+  },
+
+  /**
+   * Sign the server's assertion options and submit them to verifyUrl
+   */
+  async authenticate(options, verifyUrl) {
+    if (!this.isAvailable()) {
+      throw new Error('WebAuthn is not supported in this browser');
+    }
+
+    const publicKey = {
+      ...options,
+      challenge: this.base64urlToBuffer(options.challenge),
+      allowCredentials: (options.allowCredentials || []).map(cred => ({
+        ...cred,
+        id: this.base64urlToBuffer(cred.id)
+      }))
+    };
+
+    const credential = await navigator.credentials.get({ publicKey });
+
+    return this.postJson(verifyUrl, {
+      webauthnResponse: {
+        id: credential.id,
+        rawId: this.bufferToBase64url(credential.rawId),
+        type: credential.type,
+        response: {
+          clientDataJSON: this.bufferToBase64url(credential.response.clientDataJSON),
+          authenticatorData: this.bufferToBase64url(credential.response.authenticatorData),
+          signature: this.bufferToBase64url(credential.response.signature),
+          userHandle: credential.response.userHandle
+            ? this.bufferToBase64url(credential.response.userHandle)
+            : undefined
+        },
+        clientExtensionResults: credential.getClientExtensionResults()
+      }
+    });
+  },
+
+  /**
+   * Register a new security key
+   */
+  async register(optionsUrl, registerUrl, name) {
+    if (!this.isAvailable()) {
+      throw new Error('WebAuthn is not supported in this browser');
+    }
+
+    const { options } = await this.postJson(optionsUrl, {});
+
+    const publicKey = {
+      ...options,
+      challenge: this.base64urlToBuffer(options.challenge),
+      user: { ...options.user, id: this.base64urlToBuffer(options.user.id) },
+      excludeCredentials: (options.excludeCredentials || []).map(cred => ({
+        ...cred,
+        id: this.base64urlToBuffer(cred.id)
+      }))
+    };
+
+    const credential = await navigator.credentials.create({ publicKey });
+
+    return this.postJson(registerUrl, {
+      name,
+      response: {
+        id: credential.id,
+        rawId: this.bufferToBase64url(credential.rawId),
+        type: credential.type,
+        response: {
+          clientDataJSON: this.bufferToBase64url(credential.response.clientDataJSON),
+          attestationObject: this.bufferToBase64url(credential.response.attestationObject),
+          transports: credential.response.getTransports ? credential.response.getTransports() : []
+        },
+        clientExtensionResults: credential.getClientExtensionResults()
+      }
+    });
+  }
+};
@@ -0,0 +1,215 @@
+const express = require('express');
+const router = express.Router();
+const riskEngine = require('../services/riskEngine');
+const events = require('../services/eventDispatcher');
+const reviewQueue = require('../services/reviewQueue');
+
+const MAX_PAGE_SIZE = 500;
+const MAX_EXPORT_SIZE = 10000;
+
+// Admin middleware (JSON API, so no redirects)
+function requireAdmin(req, res, next) {
+  if (!req.session.userId) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+  if (req.session.role !== 'admin') {
+    return res.status(403).json({ success: false, error: 'Admin access required' });
+  }
+  next();
+}
+
+router.use(requireAdmin);
+
+// GET /admin/api/assessments - Search the risk audit trail
+router.get('/api/assessments', (req, res) => {
+  const filters = parseFilters(req.query, MAX_PAGE_SIZE);
+  if (filters.error) {
+    return res.status(400).json({ success: false, error: filters.error });
+  }
+
+  const { total, records } = riskEngine.searchAssessments(filters);
+
+  res.json({
+    success: true,
+    total,
+    limit: filters.limit,
+    offset: filters.offset,
+    records
+  });
+});
+
+// GET /admin/api/assessments/export?format=csv|json - Download matching records
+router.get('/api/assessments/export', (req, res) => {
+  const format = (req.query.format || 'json').toLowerCase();
+  if (format !== 'json' && format !== 'csv') {
+    return res.status(400).json({ success: false, error: 'format must be "json" or "csv"' });
+  }
+
+  const filters = parseFilters({ limit: MAX_EXPORT_SIZE, ...req.query }, MAX_EXPORT_SIZE);
+  if (filters.error) {
+    return res.status(400).json({ success: false, error: filters.error });
+  }
+
+  const { records } = riskEngine.searchAssessments(filters);
+  const filename = `risk-assessments-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.attachment(filename);
+
+  if (format === 'csv') {
+    res.type('text/csv');
+    return res.send(toCsv(records));
+  }
+
+  res.json(records);
+});
+
+// GET /admin/api/assessments/:id - One record with a human-readable explanation
+router.get('/api/assessments/:id', (req, res) => {
+  const record = riskEngine.getAssessment(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({ success: false, error: 'Assessment not found' });
+  }
+
+  res.json({
+    success: true,
+    record,
+    explanation: riskEngine.explainAssessment(record)
+  });
+});
+
+// GET /admin/api/webhooks/deliveries - Outbound event outbox (status=pending|delivered|dead)
+router.get('/api/webhooks/deliveries', (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, MAX_PAGE_SIZE);
+  const deliveries = events.getDeliveries({
+    status: req.query.status,
+    eventType: req.query.eventType,
+    limit
+  });
+
+  res.json({ success: true, deliveries });
+});
+
+// GET /admin/api/reviews - Manual review queue (status=pending|approved|fraud, default pending)
+router.get('/api/reviews', (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, MAX_PAGE_SIZE);
+  const reviews = reviewQueue.list({
+    status: req.query.status || 'pending',
+    userId: req.query.userId,
+    limit
+  });
+
+  res.json({ success: true, reviews });
+});
+
+// GET /admin/api/reviews/:id - Case context, risk breakdown, explanation and audit log
+router.get('/api/reviews/:id', (req, res) => {
+  const review = reviewQueue.get(req.params.id);
+
+  if (!review) {
+    return res.status(404).json({ success: false, error: 'Review not found' });
+  }
+
+  res.json({ success: true, review });
+});
+
+// POST /admin/api/reviews/:id/approve - Trust device/location and send a one-time login link
+router.post('/api/reviews/:id/approve', async (req, res) => {
+  const result = await reviewQueue.approve(req.params.id, req.session.username, {
+    trustDevice: req.body.trustDevice !== false && req.body.trustDevice !== 'false',
+    trustLocation: req.body.trustLocation !== false && req.body.trustLocation !== 'false',
+    note: req.body.note || null
+  });
+
+  res.status(result.success ? 200 : result.status).json(result);
+});
+
+// POST /admin/api/reviews/:id/fraud - Confirm the attempt as fraud
+router.post('/api/reviews/:id/fraud', (req, res) => {
+  const result = reviewQueue.confirmFraud(req.params.id, req.session.username, {
+    note: req.body.note || null
+  });
+
+  res.status(result.success ? 200 : result.status).json(result);
+});
+
+// Helper: Parse and validate search query parameters
+function parseFilters(query, maxLimit) {
+  const filters = {};
+
+  ['userId', 'action', 'decision', 'level', 'ipAddress', 'policyVersion'].forEach(key => {
+    if (query[key]) filters[key] = String(query[key]);
+  });
+
+  for (const key of ['minScore', 'maxScore', 'limit', 'offset']) {
+    if (query[key] === undefined || query[key] === '') continue;
+
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${key} must be a non-negative number` };
+    }
+    filters[key] = value;
+  }
+
+  // from/to accept epoch milliseconds or ISO-8601 dates
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+
+    const value = /^\d+$/.test(query[key]) ? Number(query[key]) : Date.parse(query[key]);
+    if (Number.isNaN(value)) {
+      return { error: `${key} must be a timestamp or ISO date` };
+    }
+    filters[key] = value;
+  }
+
+  filters.limit = Math.min(filters.limit || 100, maxLimit);
+  filters.offset = filters.offset || 0;
+
+  return filters;
+}
+
+// Helper: Flatten assessment records to CSV (one column per factor of the
+// current policy, plus any other factor found in the records' breakdowns)
+function toCsv(records) {
+  const factors = [...new Set([
+    ...Object.keys(riskEngine.policy.getWeights()),
+    ...records.flatMap(r => Object.keys(r.breakdown || {}))
+  ])];
+  const header = [
+    'id', 'timestamp', 'userId', 'action', 'ipAddress', 'country', 'userAgent', 'deviceId',
+    'score', 'level', 'decision', 'policyVersion', 'matchedRule', ...factors, 'reasons'
+  ];
+
+  const rows = records.map(r => [
+    r.id,
+    new Date(r.timestamp).toISOString(),
+    r.userId,
+    r.action,
+    r.context?.ipAddress,
+    r.context?.geo?.country,
+    r.context?.userAgent,
+    r.context?.deviceId,
+    r.score,
+    r.level,
+    r.decision,
+    r.policyVersion,
+    r.matchedRule?.applied ? r.matchedRule.id : '',
+    ...factors.map(f => r.breakdown?.[f]),
+    (r.reasons || []).map(reason => `${reason.description} ${reason.points >= 0 ? '+' : ''}${reason.points}`).join('; ')
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvEscape).join(',')).join('\n') + '\n';
+}
+
+function csvEscape(value) {
+  if (value === undefined || value === null) return '';
+
+  let text = String(value);
+  // Neutralise spreadsheet formula injection
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = router;
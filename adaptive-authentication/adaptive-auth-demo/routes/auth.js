@@ -1,36 +1,22 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
 const router = express.Router();
 const riskEngine = require('../services/riskEngine');
-
-// Mock user database (in production, use a real database)
-const users = new Map([
-  ['demo', {
-    id: '1',
-    username: 'demo',
-    password: bcrypt.hashSync('demo123', 10),
-    email: 'demo@example.com',
-    role: 'user'
-  }],
-  ['admin', {
-    id: '2',
-    username: 'admin',
-    password: bcrypt.hashSync('admin123', 10),
-    email: 'admin@example.com',
-    role: 'admin'
-  }]
-]);
+const userService = require('../services/userService');
+const challengeService = require('../services/challengeService');
+const outbox = require('../services/outbox');
+const sessionMonitor = require('../services/sessionMonitor');
+const events = require('../services/eventDispatcher');
+const reviewQueue = require('../services/reviewQueue');
+const deviceMatcher = require('../services/deviceMatcher');
+const captchaService = require('../services/captchaService');
+const trustedDevices = require('../services/trustedDevices');
 
 // GET /auth/login - Show login page
 router.get('/login', (req, res) => {
   if (req.session.userId) {
     return res.redirect('/dashboard');
   }
-  res.render('login', {
-    title: 'Login',
-    error: null,
-    message: req.query.message || null
-  });
+  renderLogin(req, res, { message: req.query.message || null });
 });
 
 // POST /auth/login - Process login
@@ -38,30 +24,37 @@ router.post('/login', async (req, res) => {
   const { username, password } = req.body;
 
   try {
+    // Credential stuffing defence: CAPTCHA and progressive delay for busy sources
+    const velocity = riskEngine.evaluateVelocity(buildContext(req, null, 'login'));
+
+    if (velocity.delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, velocity.delayMs));
+    }
+    if (velocity.requireCaptcha && !captchaService.verify(req.session, req.body.captcha)) {
+      return renderLogin(req, res, {
+        error: req.body.captcha ? 'Incorrect answer, please try again' : 'Please answer the security question'
+      });
+    }
+
     // Get user
-    const user = users.get(username);
+    const user = userService.getByUsername(username);
 
     if (!user) {
-      return res.render('login', {
-        title: 'Login',
-        error: 'Invalid username or password',
-        message: null
-      });
+      // Unknown usernames still count toward cross-account velocity
+      riskEngine.recordUnknownUserAttempt(username, buildContext(req, null, 'login'));
+
+      return renderLogin(req, res, { error: 'Invalid username or password' });
     }
 
     // Verify password
-    const passwordValid = await bcrypt.compare(password, user.password);
+    const passwordValid = await userService.verifyPassword(user, password);
 
     if (!passwordValid) {
       // Record failed attempt
       const context = buildContext(req, user.id, 'login');
       riskEngine.recordLoginAttempt(user.id, false, context);
 
-      return res.render('login', {
-        title: 'Login',
-        error: 'Invalid username or password',
-        message: null
-      });
+      return renderLogin(req, res, { error: 'Invalid username or password' });
     }
 
     // Build context for risk assessment
@@ -73,27 +66,33 @@ router.post('/login', async (req, res) => {
     // Record successful attempt
     riskEngine.recordLoginAttempt(user.id, true, context);
 
-    // Store risk assessment in session
+    // Store risk assessment in session (deviceId as resolved by the device matcher)
     req.session.riskAssessment = riskAssessment;
     req.session.deviceId = context.deviceId;
+    req.session.deviceAttributes = context.deviceAttributes;
 
     // Handle based on risk level
     if (riskAssessment.recommendation.action === 'BLOCK') {
-      return res.render('login', {
-        title: 'Login',
-        error: 'Access denied due to high security risk. Please contact support.',
-        message: null
+      events.emit('risk.blocked', events.riskEventData(riskAssessment, context));
+      const review = reviewQueue.enqueue(riskAssessment, context);
+
+      return renderLogin(req, res, {
+        error: 'This sign-in was blocked for security reasons and sent to our team for review. ' +
+          `If we approve it, you will receive a one-time login link by email. Reference: ${review.id.substring(0, 8)}`
       });
     }
 
     if (riskAssessment.recommendation.action === 'CHALLENGE') {
-      // Store pending auth info
+      events.emit('risk.challenged', events.riskEventData(riskAssessment, context));
+
+      // Store pending auth info (a fresh challenge is issued on /auth/verify)
       req.session.pendingAuth = {
         userId: user.id,
         username: user.username,
         requireMFA: true,
         mfaType: riskAssessment.recommendation.mfaType
       };
+      challengeService.clear(req.session, 'login');
 
       return res.redirect('/auth/verify');
     }
@@ -103,6 +102,7 @@ router.post('/login', async (req, res) => {
     req.session.username = user.username;
     req.session.role = user.role;
     req.session.loginTime = Date.now();
+    sessionMonitor.start(req);
 
     // Update user profile
     updateUserProfile(user.id, context);
@@ -111,46 +111,58 @@ router.post('/login', async (req, res) => {
 
   } catch (error) {
     console.error('Login error:', error);
-    res.render('login', {
-      title: 'Login',
-      error: 'An error occurred during login',
-      message: null
-    });
+    renderLogin(req, res, { error: 'An error occurred during login' });
   }
 });
 
 // GET /auth/verify - Show MFA verification page
-router.get('/verify', (req, res) => {
+router.get('/verify', async (req, res) => {
   if (!req.session.pendingAuth) {
     return res.redirect('/auth/login');
   }
 
-  res.render('verify', {
-    title: 'Additional Verification Required',
-    riskAssessment: req.session.riskAssessment,
-    mfaType: req.session.pendingAuth.mfaType
-  });
+  const user = userService.getById(req.session.pendingAuth.userId);
+  const challenge = challengeService.get(req.session, 'login');
+  const requestedMethod = req.query.method;
+
+  try {
+    // Issue a challenge on first visit or when the user switches method
+    if (!challenge || (requestedMethod && requestedMethod !== challenge.method)) {
+      await challengeService.start(req.session, 'login', user, req.session.pendingAuth.mfaType, requestedMethod);
+    }
+  } catch (error) {
+    return abandonLogin(req, res, error.message);
+  }
+
+  renderVerify(req, res, user);
 });
 
-// POST /auth/verify - Process MFA verification
+// POST /auth/verify - Process MFA verification (form code or WebAuthn JSON)
 router.post('/verify', async (req, res) => {
-  const { verificationCode } = req.body;
+  const wantsJson = req.is('application/json');
 
   if (!req.session.pendingAuth) {
-    return res.redirect('/auth/login');
+    return wantsJson
+      ? res.status(401).json({ success: false, error: 'No login in progress' })
+      : res.redirect('/auth/login');
   }
 
-  // Mock verification (in production, verify actual OTP/code)
-  // Accept "123456" as valid code for demo
-  if (verificationCode === '123456') {
-    const user = Array.from(users.values()).find(u => u.id === req.session.pendingAuth.userId);
+  const user = userService.getById(req.session.pendingAuth.userId);
+  const challenge = challengeService.get(req.session, 'login');
+  const result = await challengeService.verify(req.session, 'login', user, {
+    code: req.body.verificationCode,
+    credential: req.body.webauthnResponse
+  });
 
+  if (result.success) {
     // Set session
     req.session.userId = user.id;
     req.session.username = user.username;
     req.session.role = user.role;
     req.session.loginTime = Date.now();
+    sessionMonitor.start(req);
     req.session.mfaVerified = true;
+    req.session.mfaMethod = result.method;
 
     // Clear pending auth
     delete req.session.pendingAuth;
@@ -159,15 +171,86 @@ router.post('/verify', async (req, res) => {
     const context = buildContext(req, user.id, 'mfa_verify');
     updateUserProfile(user.id, context);
 
-    return res.redirect('/dashboard');
+    return wantsJson
+      ? res.json({ success: true, redirect: '/dashboard' })
+      : res.redirect('/dashboard');
   }
 
-  res.render('verify', {
-    title: 'Additional Verification Required',
-    riskAssessment: req.session.riskAssessment,
-    mfaType: req.session.pendingAuth.mfaType,
-    error: 'Invalid verification code. Try 123456 for demo.'
-  });
+  if (result.locked || result.remainingAttempts !== undefined) {
+    events.emit('stepup.failed', events.stepupEventData(buildContext(req, user.id, 'mfa_verify'), 'login', challenge, result));
+  }
+
+  if (result.locked) {
+    riskEngine.recordLoginAttempt(user.id, false, buildContext(req, user.id, 'mfa_verify'));
+    return abandonLogin(req, res, result.error, wantsJson);
+  }
+
+  if (wantsJson) {
+    return res.status(401).json({ success: false, error: result.error });
+  }
+
+  renderVerify(req, res, user, result.error);
+});
+
+// POST /auth/verify/resend - Issue a new challenge with the current method
+router.post('/verify/resend', async (req, res) => {
+  if (!req.session.pendingAuth) {
+    return res.redirect('/auth/login');
+  }
+
+  const user = userService.getById(req.session.pendingAuth.userId);
+  const current = challengeService.get(req.session, 'login');
+
+  try {
+    await challengeService.start(req.session, 'login', user, req.session.pendingAuth.mfaType, current && current.method);
+  } catch (error) {
+    return abandonLogin(req, res, error.message);
+  }
+
+  res.redirect('/auth/verify');
+});
+
+// GET /auth/review-login/:token - One-time login link issued by an approved review
+router.get('/review-login/:token', (req, res) => {
+  const context = buildContext(req, null, 'review_login');
+  const result = reviewQueue.redeem(req.params.token, context);
+
+  if (!result.success) {
+    return res.redirect(`/auth/login?message=${encodeURIComponent(result.error)}`);
+  }
+
+  const user = userService.getById(result.review.userId);
+  context.userId = user.id;
+
+  // Set session
+  req.session.userId = user.id;
+  req.session.username = user.username;
+  req.session.role = user.role;
+  req.session.loginTime = Date.now();
+  req.session.deviceId = context.deviceId;
+  sessionMonitor.start(req);
+
+  riskEngine.recordLoginAttempt(user.id, true, context);
+  updateUserProfile(user.id, context);
+
+  res.redirect('/dashboard');
+});
+
+// GET /auth/outbox - Dev only (DEMO_OUTBOX_ROUTE=true): messages delivered to the pending user
+router.get('/outbox', (req, res) => {
+  const userId = req.session.userId || req.session.pendingAuth?.userId;
+
+  if (!req.app.locals.outboxRoute || !userId) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const user = userService.getById(userId);
+  const messages = [
+    ...outbox.list(user.email),
+    ...outbox.list(user.phone)
+  ].sort((a, b) => b.sentAt - a.sentAt);
+
+  res.json({ messages });
 });
 
 // GET /auth/logout - Logout
@@ -180,70 +263,83 @@ router.get('/logout', (req, res) => {
   });
 });
 
+// Helper: Render the login page, with a CAPTCHA while this source is under velocity pressure
+function renderLogin(req, res, { error = null, message = null } = {}) {
+  const velocity = riskEngine.evaluateVelocity(buildContext(req, null, 'login'));
+
+  res.render('login', {
+    title: 'Login',
+    error,
+    message,
+    captcha: velocity.requireCaptcha ? captchaService.issue(req.session) : null
+  });
+}
+
+// Helper: Render the verification page for the active login challenge
+function renderVerify(req, res, user, error = null) {
+  const challenge = challengeService.get(req.session, 'login');
+
+  res.render('verify', {
+    title: 'Additional Verification Required',
+    riskAssessment: req.session.riskAssessment,
+    mfaType: req.session.pendingAuth.mfaType,
+    challenge: challenge ? challengeService.describe(challenge, user) : null,
+    error
+  });
+}
+
+// Helper: Give up on a pending login and send the user back to the login page
+function abandonLogin(req, res, reason, wantsJson = false) {
+  delete req.session.pendingAuth;
+  challengeService.clear(req.session, 'login');
+
+  const redirect = `/auth/login?message=${encodeURIComponent(reason)}`;
+  return wantsJson
+    ? res.status(401).json({ success: false, error: reason, redirect })
+    : res.redirect(redirect);
+}
+
 // Helper: Build context for risk assessment
 function buildContext(req, userId, action) {
   const ipAddress = req.ip || req.connection.remoteAddress || '127.0.0.1';
   const userAgent = req.get('user-agent') || '';
-
-  // Generate device fingerprint
-  const deviceId = riskEngine.generateDeviceFingerprint(
-    userAgent,
-    req.get('accept-language') || '',
-    req.get('accept-encoding') || ''
-  );
+  const acceptLanguage = req.get('accept-language') || '';
+
+  // Device attributes from the login page collector (public/js/fingerprint.js)
+  let deviceAttributes = deviceMatcher.collect(req.body && req.body.deviceSignals, { userAgent, acceptLanguage });
+  let deviceId;
+
+  if (deviceAttributes) {
+    deviceId = deviceMatcher.fingerprint(deviceAttributes);
+  } else if (req.session.deviceAttributes) {
+    // Later steps of the same login (MFA) keep the device resolved at login
+    deviceAttributes = req.session.deviceAttributes;
+    deviceId = req.session.deviceId;
+  } else {
+    // No collector data: fall back to a header fingerprint
+    deviceId = riskEngine.generateDeviceFingerprint(userAgent, acceptLanguage, req.get('accept-encoding') || '');
+  }
 
   return {
     userId,
     ipAddress,
     userAgent,
     deviceId,
+    deviceAttributes,
     action,
     session: req.session,
     timestamp: Date.now()
   };
 }
 
-// Helper: Update user profile with login data
+// Helper: Update user profile with login data (and report sign-ins from new devices)
 function updateUserProfile(userId, context) {
-  const profile = riskEngine.getUserProfile(userId) || {};
+  const { newDevice } = riskEngine.learnFromLogin(userId, context);
 
-  // Add device if new
-  if (!profile.knownDevices || !profile.knownDevices.includes(context.deviceId)) {
-    const knownDevices = profile.knownDevices || [];
-    knownDevices.push(context.deviceId);
-    profile.knownDevices = knownDevices.slice(-5); // Keep last 5 devices
+  if (newDevice) {
+    trustedDevices.notifyNewDevice(userService.getById(userId), context)
+      .catch(error => console.error('New device notification error:', error));
   }
-
-  // Add location if new
-  const geoip = require('geoip-lite');
-  const geo = geoip.lookup(context.ipAddress);
-  if (geo) {
-    const knownLocations = profile.knownLocations || [];
-    const locationExists = knownLocations.some(loc =>
-      loc.country === geo.country && loc.city === geo.city
-    );
-
-    if (!locationExists) {
-      knownLocations.push(geo);
-      profile.knownLocations = knownLocations.slice(-5); // Keep last 5 locations
-    }
-
-    profile.lastLocation = geo;
-    profile.lastLocationTime = Date.now();
-  }
-
-  // Track login hours
-  const hour = new Date().getHours();
-  const typicalLoginHours = profile.typicalLoginHours || [];
-  if (!typicalLoginHours.includes(hour)) {
-    typicalLoginHours.push(hour);
-  }
-  profile.typicalLoginHours = typicalLoginHours;
-
-  // Increment login count
-  profile.loginCount = (profile.loginCount || 0) + 1;
-
-  riskEngine.updateUserProfile(userId, profile);
 }
 
 module.exports = router;
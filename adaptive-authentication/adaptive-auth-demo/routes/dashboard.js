@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const riskEngine = require('../services/riskEngine');
+const userService = require('../services/userService');
+const challengeService = require('../services/challengeService');
+const sessionMonitor = require('../services/sessionMonitor');
+const events = require('../services/eventDispatcher');
+const trustedDevices = require('../services/trustedDevices');
 
 // Authentication middleware
 function requireAuth(req, res, next) {
@@ -10,9 +15,11 @@ function requireAuth(req, res, next) {
   next();
 }
 
-// Risk assessment middleware
+// Risk assessment middleware (JSON requests get a JSON 403 instead of a page)
 function assessRisk(action) {
   return async (req, res, next) => {
+    const wantsJson = req.is('application/json');
+
     try {
       const context = {
         userId: req.session.userId,
@@ -26,18 +33,36 @@ function assessRisk(action) {
 
       const riskAssessment = await riskEngine.calculateRiskScore(context);
       req.riskAssessment = riskAssessment;
+      sessionMonitor.recordAssessment(req.session, riskAssessment);
 
       // Check if step-up auth required
       if (riskAssessment.recommendation.action === 'BLOCK') {
+        events.emit('risk.blocked', events.riskEventData(riskAssessment, context));
+        if (wantsJson) {
+          return res.status(403).json({ success: false, error: 'Access denied due to high risk' });
+        }
         return res.render('blocked', {
           title: 'Access Denied',
           riskAssessment
         });
       }
 
-      if (riskAssessment.recommendation.action === 'CHALLENGE' &&
-          !req.session.recentlyVerified) {
-        req.session.returnTo = req.originalUrl;
+      // A downgraded session must step up again even when the action itself is low risk
+      const downgraded = req.session.risk?.state === 'downgraded';
+
+      const mfaType = riskAssessment.recommendation.mfaType || 'email_or_sms';
+
+      if ((riskAssessment.recommendation.action === 'CHALLENGE' || downgraded) &&
+          !sessionMonitor.isStepUpFresh(req.session, mfaType)) {
+        events.emit('risk.challenged', { ...events.riskEventData(riskAssessment, context), sessionDowngraded: downgraded });
+
+        // A JSON call cannot be replayed after the step-up: come back to the page instead
+        req.session.returnTo = wantsJson ? req.get('referer') || '/dashboard' : req.originalUrl;
+        req.session.stepupMfaType = mfaType;
+        challengeService.clear(req.session, 'stepup');
+        if (wantsJson) {
+          return res.status(403).json({ success: false, error: 'Additional verification required', redirect: '/dashboard/stepup' });
+        }
         return res.redirect('/dashboard/stepup');
       }
 
@@ -60,12 +85,14 @@ router.get('/', requireAuth, async (req, res) => {
   };
 
   const riskAssessment = await riskEngine.calculateRiskScore(context);
+  sessionMonitor.recordAssessment(req.session, riskAssessment);
 
   res.render('dashboard', {
     title: 'Dashboard',
     username: req.session.username,
     role: req.session.role,
     riskAssessment,
+    sessionRisk: req.session.risk || null,
     loginTime: new Date(req.session.loginTime)
   });
 });
@@ -128,47 +155,238 @@ router.post('/transfer', requireAuth, assessRisk('transfer'), async (req, res) =
 
   // Log transfer attempt
   console.log(`Transfer request: ${req.session.username} -> ${recipient}: $${amount}`);
-  console.log(`Risk Score: ${req.riskAssessment.score} (${req.riskAssessment.level})`);
+  console.log(`Risk Score: ${req.riskAssessment.score} (${req.riskAssessment.level}) - assessment ${req.riskAssessment.id}`);
 
   res.redirect('/dashboard/transfer?message=Transfer processed (demo mode)');
 });
 
 // Step-up authentication page
-router.get('/stepup', requireAuth, (req, res) => {
-  res.render('stepup', {
-    title: 'Additional Verification Required',
-    username: req.session.username,
-    returnTo: req.session.returnTo || '/dashboard'
-  });
+router.get('/stepup', requireAuth, async (req, res) => {
+  const user = userService.getById(req.session.userId);
+  const challenge = challengeService.get(req.session, 'stepup');
+  const requestedMethod = req.query.method;
+
+  try {
+    // Issue a challenge on first visit or when the user switches method
+    if (!challenge || (requestedMethod && requestedMethod !== challenge.method)) {
+      await challengeService.start(req.session, 'stepup', user, req.session.stepupMfaType || 'email_or_sms', requestedMethod);
+    }
+  } catch (error) {
+    return renderStepup(req, res, user, error.message);
+  }
+
+  renderStepup(req, res, user);
 });
 
 router.post('/stepup', requireAuth, async (req, res) => {
-  const { verificationCode } = req.body;
+  const wantsJson = req.is('application/json');
+  const user = userService.getById(req.session.userId);
+  const challenge = challengeService.get(req.session, 'stepup');
 
-  // Accept "123456" for demo
-  if (verificationCode === '123456') {
-    req.session.recentlyVerified = true;
-    req.session.verifiedAt = Date.now();
+  const result = await challengeService.verify(req.session, 'stepup', user, {
+    code: req.body.verificationCode,
+    credential: req.body.webauthnResponse
+  });
 
-    // Clear verification after 5 minutes
-    setTimeout(() => {
-      delete req.session.recentlyVerified;
-    }, 5 * 60 * 1000);
+  if (result.locked || result.remainingAttempts !== undefined) {
+    events.emit('stepup.failed', events.stepupEventData({
+      userId: user.id,
+      action: 'stepup',
+      ipAddress: req.ip || req.connection.remoteAddress || '127.0.0.1',
+      userAgent: req.get('user-agent') || ''
+    }, 'stepup', challenge, result));
+  }
+
+  if (result.success) {
+    // Freshness is checked against the timestamp; nothing to clean up later
+    sessionMonitor.markStepUp(req.session, result.method);
 
     const returnTo = req.session.returnTo || '/dashboard';
     delete req.session.returnTo;
+    delete req.session.stepupMfaType;
 
-    return res.redirect(returnTo);
+    return wantsJson ? res.json({ success: true, redirect: returnTo }) : res.redirect(returnTo);
   }
 
-  res.render('stepup', {
-    title: 'Additional Verification Required',
+  // Too many failures: end the session rather than allow unlimited retries
+  if (result.locked) {
+    const redirect = `/auth/login?message=${encodeURIComponent(result.error + ' Please log in again.')}`;
+    return req.session.destroy(() => {
+      wantsJson ? res.status(401).json({ success: false, error: result.error, redirect }) : res.redirect(redirect);
+    });
+  }
+
+  if (wantsJson) {
+    return res.status(401).json({ success: false, error: result.error });
+  }
+
+  renderStepup(req, res, user, result.error);
+});
+
+router.post('/stepup/resend', requireAuth, async (req, res) => {
+  const user = userService.getById(req.session.userId);
+  const current = challengeService.get(req.session, 'stepup');
+
+  try {
+    await challengeService.start(req.session, 'stepup', user, req.session.stepupMfaType || 'email_or_sms', current && current.method);
+  } catch (error) {
+    return renderStepup(req, res, user, error.message);
+  }
+
+  res.redirect('/dashboard/stepup');
+});
+
+// Verification methods (TOTP and security key enrollment). Changes pass the same
+// risk check as the page, or a stolen session could enroll its own factor.
+router.get('/security', requireAuth, assessRisk('manage_mfa'), (req, res) => {
+  const user = userService.getById(req.session.userId);
+
+  res.render('security', {
+    title: 'Verification Methods',
     username: req.session.username,
-    returnTo: req.session.returnTo || '/dashboard',
-    error: 'Invalid verification code. Try 123456 for demo.'
+    user,
+    totpEnrollment: req.session.totpEnrollment || null,
+    message: req.query.message || null,
+    error: req.query.error || null
+  });
+});
+
+router.post('/security/totp/setup', requireAuth, assessRisk('manage_mfa'), async (req, res, next) => {
+  try {
+    const user = userService.getById(req.session.userId);
+    const totp = challengeService.getProvider('totp');
+
+    req.session.totpEnrollment = await totp.startEnrollment(user);
+    res.redirect('/dashboard/security');
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/security/totp/confirm', requireAuth, assessRisk('manage_mfa'), (req, res) => {
+  const enrollment = req.session.totpEnrollment;
+  if (!enrollment) {
+    return res.redirect('/dashboard/security');
+  }
+
+  const totp = challengeService.getProvider('totp').confirmEnrollment(enrollment.secret, req.body.token);
+  if (!totp) {
+    return res.redirect('/dashboard/security?error=Invalid code, please try again');
+  }
+
+  userService.update(req.session.userId, { totp });
+  delete req.session.totpEnrollment;
+
+  res.redirect('/dashboard/security?message=Authenticator app enrolled');
+});
+
+router.post('/security/totp/remove', requireAuth, assessRisk('manage_mfa'), (req, res) => {
+  userService.update(req.session.userId, { totp: null });
+  res.redirect('/dashboard/security?message=Authenticator app removed');
+});
+
+router.post('/security/webauthn/options', requireAuth, assessRisk('manage_mfa'), async (req, res) => {
+  try {
+    const user = userService.getById(req.session.userId);
+    const options = await challengeService.getProvider('webauthn').generateRegistrationOptions(user);
+
+    req.session.webauthnRegistrationChallenge = options.challenge;
+    res.json({ success: true, options });
+  } catch (error) {
+    console.error('WebAuthn options error:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate registration options' });
+  }
+});
+
+router.post('/security/webauthn/register', requireAuth, assessRisk('manage_mfa'), async (req, res) => {
+  const expectedChallenge = req.session.webauthnRegistrationChallenge;
+  delete req.session.webauthnRegistrationChallenge;
+
+  if (!expectedChallenge) {
+    return res.status(400).json({ success: false, error: 'Registration challenge not found or expired' });
+  }
+
+  try {
+    const user = userService.getById(req.session.userId);
+    const credential = await challengeService.getProvider('webauthn')
+      .verifyRegistration(user, req.body.response, expectedChallenge, req.body.name);
+
+    if (!credential) {
+      return res.status(400).json({ success: false, error: 'Registration could not be verified' });
+    }
+
+    user.webauthnCredentials.push(credential);
+    res.json({ success: true, credential: { id: credential.id, name: credential.name } });
+  } catch (error) {
+    console.error('WebAuthn registration error:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/security/webauthn/:credentialId/remove', requireAuth, assessRisk('manage_mfa'), (req, res) => {
+  const user = userService.getById(req.session.userId);
+
+  userService.update(user.id, {
+    webauthnCredentials: user.webauthnCredentials.filter(c => c.id !== req.params.credentialId)
+  });
+  res.redirect('/dashboard/security?message=Security key removed');
+});
+
+// Recognized devices and locations
+router.get('/devices', requireAuth, assessRisk('manage_devices'), (req, res) => {
+  res.render('devices', {
+    title: 'Devices and Locations',
+    username: req.session.username,
+    ...trustedDevices.list(req.session.userId, req.session.deviceId),
+    message: req.query.message || null,
+    error: req.query.error || null
   });
 });
 
+router.post('/devices/:kind/:key/rename', requireAuth, assessRisk('manage_devices'), (req, res) => {
+  const result = trustedDevices.rename(req.session.userId, req.params.kind, req.params.key, req.body.name);
+  redirectToDevices(res, result, 'Name saved');
+});
+
+router.post('/devices/:kind/:key/pin', requireAuth, assessRisk('manage_devices'), (req, res) => {
+  const result = trustedDevices.pin(req.session.userId, req.params.kind, req.params.key, true);
+  redirectToDevices(res, result, 'Pinned: it will not be forgotten when unused');
+});
+
+router.post('/devices/:kind/:key/unpin', requireAuth, assessRisk('manage_devices'), (req, res) => {
+  const result = trustedDevices.pin(req.session.userId, req.params.kind, req.params.key, false);
+  redirectToDevices(res, result, 'Unpinned');
+});
+
+router.post('/devices/:kind/:key/revoke', requireAuth, assessRisk('manage_devices'), (req, res) => {
+  const result = trustedDevices.revoke(req.session.userId, req.params.kind, req.params.key);
+  redirectToDevices(res, result, 'Revoked: signing in from it again will require extra verification');
+});
+
+// JSON API for the same operations
+router.get('/api/devices', requireAuth, assessRisk('manage_devices'), (req, res) => {
+  res.json({ success: true, ...trustedDevices.list(req.session.userId, req.session.deviceId) });
+});
+
+router.patch('/api/devices/:kind/:key', requireAuth, assessRisk('manage_devices'), (req, res) => {
+  const { name, pinned } = req.body;
+  let result = { success: false, status: 400, error: 'Nothing to change (name, pinned)' };
+
+  if (name !== undefined) {
+    result = trustedDevices.rename(req.session.userId, req.params.kind, req.params.key, name);
+  }
+  if (pinned !== undefined && (name === undefined || result.success)) {
+    result = trustedDevices.pin(req.session.userId, req.params.kind, req.params.key, pinned);
+  }
+
+  res.status(result.success ? 200 : result.status).json(result);
+});
+
+router.delete('/api/devices/:kind/:key', requireAuth, assessRisk('manage_devices'), (req, res) => {
+  const result = trustedDevices.revoke(req.session.userId, req.params.kind, req.params.key);
+  res.status(result.success ? 200 : result.status).json(result);
+});
+
 // Risk analysis page
 router.get('/risk-analysis', requireAuth, async (req, res) => {
   const context = {
@@ -189,6 +407,7 @@ router.get('/risk-analysis', requireAuth, async (req, res) => {
     username: req.session.username,
     riskAssessment,
     profile,
+    baseline: riskEngine.describeBaseline(req.session.userId),
     loginAttempts: loginAttempts.slice(-10), // Last 10 attempts
     geoip: require('geoip-lite').lookup(context.ipAddress)
   });
@@ -209,8 +428,28 @@ router.get('/api/risk-check', requireAuth, async (req, res) => {
 
   res.json({
     success: true,
-    riskAssessment
+    riskAssessment,
+    sessionRisk: req.session.risk || null
   });
 });
 
+// Helper: Back to the devices page with the outcome of a form action
+function redirectToDevices(res, result, message) {
+  const query = result.success ? `message=${encodeURIComponent(message)}` : `error=${encodeURIComponent(result.error)}`;
+  res.redirect(`/dashboard/devices?${query}`);
+}
+
+// Helper: Render the step-up page for the active challenge
+function renderStepup(req, res, user, error = null) {
+  const challenge = challengeService.get(req.session, 'stepup');
+
+  res.render('stepup', {
+    title: 'Additional Verification Required',
+    username: req.session.username,
+    returnTo: req.session.returnTo || '/dashboard',
+    challenge: challenge ? challengeService.describe(challenge, user) : null,
+    error
+  });
+}
+
 module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const net = require('net');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const riskEngine = require('../services/riskEngine');
+const apiClients = require('../services/apiClients');
+const events = require('../services/eventDispatcher');
+const deviceMatcher = require('../services/deviceMatcher');
+
+const OUTCOMES = ['success', 'failure', 'fraud'];
+
+// How far a client-supplied timestamp may be from the server clock
+const TIMESTAMP_WINDOW = {
+  pastMs: 15 * 60 * 1000, // Delayed delivery of a login that just happened
+  futureMs: 60 * 1000 // Clock skew
+};
+
+/**
+ * Profile key of a client's user. Each client has its own namespace, so one
+ * application cannot change the risk profile of another's (or the demo
+ * site's) users.
+ */
+function profileId(client, userId) {
+  return `api:${client.id}:${userId}`;
+}
+
+// Client credentials (HTTP Basic), no sessions or redirects
+function requireClient(req, res, next) {
+  const client = apiClients.authenticate(req.get('authorization'));
+
+  if (!client) {
+    res.set('WWW-Authenticate', 'Basic realm="risk-api"');
+    return res.status(401).json({ success: false, error: 'Invalid client credentials' });
+  }
+
+  req.apiClient = client;
+  next();
+}
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiClient.scopes.includes(scope)) {
+      return res.status(403).json({ success: false, error: `Client lacks the "${scope}" scope` });
+    }
+    next();
+  };
+}
+
+router.use(requireClient);
+
+// Per-client rate limit (the site-wide per-IP limit does not apply here)
+router.use(rateLimit({
+  windowMs: 60 * 1000,
+  limit: req => req.apiClient.rateLimitPerMinute,
+  keyGenerator: req => req.apiClient.id,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: (req, res) => res.status(429).json({ success: false, error: 'Rate limit exceeded' })
+}));
+
+// POST /api/v1/risk/assess - Score a login context sent by another application
+router.post('/assess', requireScope('risk:assess'), async (req, res) => {
+  const context = parseContext(req.body, req.apiClient);
+  if (context.error) {
+    return res.status(400).json({ success: false, error: context.error });
+  }
+
+  const { outcome, ...riskContext } = context;
+  const riskAssessment = await riskEngine.calculateRiskScore(riskContext);
+
+  // The caller's own credential check, if it already knows the result
+  if (outcome) {
+    riskEngine.recordLoginAttempt(riskContext.userId, outcome === 'success', riskContext);
+  }
+
+  const decision = riskAssessment.recommendation.action;
+  if (decision === 'BLOCK') {
+    events.emit('risk.blocked', events.riskEventData(riskAssessment, riskContext));
+  } else if (decision === 'CHALLENGE') {
+    events.emit('risk.challenged', events.riskEventData(riskAssessment, riskContext));
+  }
+
+  res.json({ success: true, riskAssessment });
+});
+
+// POST /api/v1/risk/assessments/:id/outcome - Report how the login finally ended
+router.post('/assessments/:id/outcome', requireScope('risk:outcome'), (req, res) => {
+  const { outcome } = req.body;
+  if (!OUTCOMES.includes(outcome)) {
+    return res.status(400).json({ success: false, error: `outcome must be one of ${OUTCOMES.join(', ')}` });
+  }
+
+  const record = riskEngine.getAssessment(req.params.id);
+  if (!record || record.context.clientId !== req.apiClient.id) {
+    return res.status(404).json({ success: false, error: 'Assessment not found' });
+  }
+
+  const previous = riskEngine.getOutcome(record.id);
+  if (previous) {
+    return res.status(409).json({ success: false, error: `Outcome already reported (${previous.outcome})` });
+  }
+
+  riskEngine.reportOutcome(record, outcome, req.apiClient.id);
+
+  res.json({ success: true, assessmentId: record.id, outcome });
+});
+
+// Helper: Validate the posted login context
+function parseContext(body, client) {
+  const { userId, ipAddress, userAgent = '', deviceId, deviceSignals, action = 'login', outcome, timestamp } = body || {};
+
+  if (typeof userId !== 'string' || !userId) {
+    return { error: 'userId is required' };
+  }
+  if (typeof ipAddress !== 'string' || !net.isIP(ipAddress)) {
+    return { error: 'ipAddress must be an IPv4 or IPv6 address' };
+  }
+  if (typeof userAgent !== 'string') {
+    return { error: 'userAgent must be a string' };
+  }
+  if (deviceId !== undefined && (typeof deviceId !== 'string' || !deviceId)) {
+    return { error: 'deviceId must be a non-empty string' };
+  }
+  if (typeof action !== 'string' || !/^[a-z_]{1,40}$/.test(action)) {
+    return { error: 'action must be a lowercase identifier (e.g. "login", "transfer")' };
+  }
+  if (deviceSignals !== undefined && (typeof deviceSignals !== 'object' || deviceSignals === null)) {
+    return { error: 'deviceSignals must be the collector object (public/js/fingerprint.js)' };
+  }
+  if (outcome !== undefined && outcome !== 'success' && outcome !== 'failure') {
+    return { error: 'outcome must be "success" or "failure"' };
+  }
+  if (timestamp !== undefined && !Number.isFinite(timestamp)) {
+    return { error: 'timestamp must be epoch milliseconds' };
+  }
+
+  const now = Date.now();
+  if (timestamp !== undefined && (timestamp < now - TIMESTAMP_WINDOW.pastMs || timestamp > now + TIMESTAMP_WINDOW.futureMs)) {
+    return { error: `timestamp must be within ${TIMESTAMP_WINDOW.pastMs / 60000} minutes before and ${TIMESTAMP_WINDOW.futureMs / 1000} seconds after the server time` };
+  }
+
+  // Collector signals enable fuzzy device matching and replace deviceId
+  const deviceAttributes = deviceMatcher.collect(deviceSignals, { userAgent });
+
+  return {
+    userId: profileId(client, userId),
+    ipAddress,
+    userAgent,
+    // Without a client fingerprint, fall back to the user agent alone
+    deviceId: deviceId || riskEngine.generateDeviceFingerprint(userAgent, '', ''),
+    deviceAttributes,
+    action,
+    outcome,
+    clientId: client.id,
+    timestamp: timestamp || now
+  };
+}
+
+module.exports = router;
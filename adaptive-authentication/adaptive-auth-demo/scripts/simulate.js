@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Risk simulation CLI
+ *
+ *   node scripts/simulate.js run <events> [--policy file] [--geo file] [--out file] [--json]
+ *   node scripts/simulate.js diff <events> --policy a.json --against b.json [--geo file] [--json]
+ *   node scripts/simulate.js generate [--users 20] [--days 14] [--seed 1] [--fraud-rate 0.05] [--out file]
+ *
+ * <events> is JSONL (see services/riskSimulator.js) or a JSON audit export.
+ * Runs use an in-memory store and never touch data/risk.db.
+ */
+
+// Deterministic defaults, set before the engine modules load
+process.env.TZ = process.env.TZ || 'UTC';
+process.env.RISK_STORE = process.env.RISK_STORE || 'memory';
+
+const fs = require('fs');
+const path = require('path');
+const simulator = require('../services/riskSimulator');
+
+const DEFAULT_GEO = path.join(__dirname, '..', 'fixtures', 'simulation', 'geo.json');
+
+async function main(argv) {
+  const { command, file, options } = parseArgs(argv);
+  const geoLookup = options.geo === 'geoip' ? undefined : simulator.createGeoLookup(options.geo || DEFAULT_GEO);
+
+  switch (command) {
+    case 'run': {
+      const events = simulator.loadEvents(requireFile(file));
+      const { policyVersion, results, metrics } = await simulator.replay(events, { policy: options.policy, geoLookup });
+
+      if (options.out) {
+        fs.writeFileSync(options.out, results.map(r => JSON.stringify(r)).join('\n') + '\n');
+      }
+      if (options.json) {
+        return print({ policyVersion, metrics, ...(!options.out && { results }) });
+      }
+
+      console.log(`📊 ${events.length} events replayed with policy ${policyVersion}\n`);
+      printMetrics(metrics);
+      if (options.out) console.log(`\nPer-event decisions written to ${options.out}`);
+      return;
+    }
+
+    case 'diff': {
+      if (!options.policy || !options.against) {
+        throw new Error('diff needs --policy <before> and --against <after>');
+      }
+
+      const events = simulator.loadEvents(requireFile(file));
+      const report = await simulator.diff(events, options.policy, options.against, { geoLookup });
+
+      if (options.json) return print(report);
+
+      console.log(`📊 ${events.length} events: policy ${report.before.policyVersion} → ${report.after.policyVersion}\n`);
+      printComparison(report);
+      console.log(`\n${report.changes.length} decision(s) changed`);
+      report.changes.slice(0, 50).forEach(c => {
+        console.log(`  #${c.index} ${new Date(c.timestamp).toISOString()} ${c.userId} ${c.ipAddress}` +
+          `${c.label ? ` [${c.label}]` : ''}: ${c.before.decision} (${c.before.score}) → ${c.after.decision} (${c.after.score})`);
+      });
+      if (report.changes.length > 50) console.log(`  … ${report.changes.length - 50} more (use --json)`);
+      return;
+    }
+
+    case 'generate': {
+      const events = simulator.generateEvents({
+        users: numberOption(options.users, 20),
+        days: numberOption(options.days, 14),
+        seed: numberOption(options.seed, 1),
+        fraudRate: numberOption(options['fraud-rate'], 0.05)
+      });
+      const lines = events.map(e => JSON.stringify({ ...e, timestamp: new Date(e.timestamp).toISOString() }));
+
+      if (options.out) {
+        fs.writeFileSync(options.out, lines.join('\n') + '\n');
+        console.log(`📝 ${events.length} events written to ${options.out}`);
+      } else {
+        process.stdout.write(lines.join('\n') + '\n');
+      }
+      return;
+    }
+
+    default:
+      throw new Error('Usage: simulate.js run|diff|generate … (see the header of scripts/simulate.js)');
+  }
+}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  let file = null;
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('--')) {
+      const key = rest[i].slice(2);
+      const next = rest[i + 1];
+      options[key] = next === undefined || next.startsWith('--') ? true : rest[++i];
+    } else if (!file) {
+      file = rest[i];
+    }
+  }
+
+  return { command, file, options };
+}
+
+function requireFile(file) {
+  if (!file) throw new Error('Missing events file');
+  return file;
+}
+
+function numberOption(value, fallback) {
+  if (value === undefined) return fallback;
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new Error(`Not a number: ${value}`);
+  return number;
+}
+
+function percent(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printMetrics(m) {
+  console.log(`Scored events:        ${m.scored} (${m.credentialFailures} password failures not scored)`);
+  console.log(`Decisions:            ALLOW ${m.decisions.ALLOW} / CHALLENGE ${m.decisions.CHALLENGE} / BLOCK ${m.decisions.BLOCK}`);
+  console.log(`Challenge rate:       ${percent(m.challengeRate)}`);
+  console.log(`Block rate:           ${percent(m.blockRate)}`);
+  console.log(`Average score:        ${m.averageScore ?? 'n/a'}`);
+  console.log(`Labelled:             ${m.labelled.legit} legit / ${m.labelled.fraud} fraud`);
+  console.log(`False positive rate:  ${percent(m.falsePositiveRate)} (legit challenged or blocked)`);
+  console.log(`False block rate:     ${percent(m.falseBlockRate)} (legit blocked)`);
+  console.log(`False negative rate:  ${percent(m.falseNegativeRate)} (fraud allowed)`);
+}
+
+function printComparison({ before, after }) {
+  const rows = [
+    ['Challenge rate', 'challengeRate'],
+    ['Block rate', 'blockRate'],
+    ['False positive rate', 'falsePositiveRate'],
+    ['False block rate', 'falseBlockRate'],
+    ['False negative rate', 'falseNegativeRate']
+  ];
+
+  console.log(`${''.padEnd(22)}${'before'.padStart(10)}${'after'.padStart(10)}`);
+  rows.forEach(([label, key]) => {
+    console.log(`${label.padEnd(22)}${percent(before.metrics[key]).padStart(10)}${percent(after.metrics[key]).padStart(10)}`);
+  });
+  console.log(`${'Average score'.padEnd(22)}${String(before.metrics.averageScore).padStart(10)}${String(after.metrics.averageScore).padStart(10)}`);
+}
+
+function print(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -9,11 +9,24 @@ const rateLimit = require('express-rate-limit');
 
 const authRoutes = require('./routes/auth');
 const dashboardRoutes = require('./routes/dashboard');
+const adminRoutes = require('./routes/admin');
+const riskApiRoutes = require('./routes/riskApi');
 const riskEngine = require('./services/riskEngine');
+const policyEngine = require('./services/policyEngine');
+const ipIntelligence = require('./services/ipIntelligence');
+const sessionMonitor = require('./services/sessionMonitor');
+const eventDispatcher = require('./services/eventDispatcher');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// /auth/outbox shows pending codes to whoever holds the session, which defeats
+// the second factor: it is off unless a developer turns it on
+app.locals.outboxRoute = process.env.DEMO_OUTBOX_ROUTE === 'true' && process.env.NODE_ENV !== 'production';
+if (app.locals.outboxRoute) {
+  console.warn('⚠️  DEMO_OUTBOX_ROUTE is on: /auth/outbox shows verification codes. Development only.');
+}
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: false // Disable for demo purposes
@@ -25,7 +38,8 @@ app.use(morgan('dev'));
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  skip: (req) => req.path.startsWith('/api/v1/') // Risk API clients have their own limit
 });
 app.use(limiter);
 
@@ -39,6 +53,9 @@ app.use(bodyParser.urlencoded({ extended: true }));
 app.use(bodyParser.json());
 app.use(cookieParser());
 
+// Risk scoring API for other applications (client credentials, no session)
+app.use('/api/v1/risk', riskApiRoutes);
+
 // Session configuration
 app.use(session({
   secret: 'adaptive-auth-demo-secret-key-change-in-production',
@@ -59,9 +76,13 @@ app.use((req, res, next) => {
   next();
 });
 
+// Re-evaluate session risk (IP / user agent / fingerprint drift) on every request
+app.use(sessionMonitor.middleware());
+
 // Routes
 app.use('/auth', authRoutes);
 app.use('/dashboard', dashboardRoutes);
+app.use('/admin', adminRoutes);
 
 // Home page
 app.get('/', (req, res) => {
@@ -90,6 +111,15 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Hot-reload the risk policy when its file changes
+policyEngine.watch();
+
+// Re-read the IP reputation feeds on a schedule
+ipIntelligence.startRefresh();
+
+// Deliver queued webhook events and retry failed deliveries
+eventDispatcher.start();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`\n🚀 Adaptive Authentication Demo Server Started!`);
@@ -97,6 +127,9 @@ app.listen(PORT, () => {
   console.log(`\n📚 Test Accounts:`);
   console.log(`   Username: demo | Password: demo123`);
   console.log(`   Username: admin | Password: admin123`);
+  console.log(`\n📜 Risk Policy: ${policyEngine.filePath} (version ${policyEngine.getVersion()})`);
+  console.log(`📣 Webhook endpoints: ${[...eventDispatcher.endpoints.keys()].join(', ') || 'none'}`);
+  console.log(`🌐 IP Feeds: ${ipIntelligence.manifestPath} (${ipIntelligence.trie.size} ranges)`);
   console.log(`\n🔐 Features:`);
   console.log(`   - Real-time risk scoring`);
   console.log(`   - Device fingerprinting`);
@@ -0,0 +1,70 @@
+/**
+ * Risk API Clients
+ * Client credentials for the external risk scoring API, read from
+ * config/api-clients.json. Only the SHA-256 of each client secret is
+ * stored; clients authenticate with HTTP Basic (client id : secret).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CLIENTS_PATH = path.join(__dirname, '..', 'config', 'api-clients.json');
+
+class ApiClients {
+  constructor(configPath) {
+    this.configPath = configPath;
+    this.clients = new Map();
+
+    this.load();
+  }
+
+  load() {
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+
+    this.clients = new Map();
+    (config.clients || [])
+      .filter(client => client.enabled !== false)
+      .forEach(client => {
+        if (!/^[0-9a-f]{64}$/i.test(client.secretHash || '')) {
+          throw new Error(`API client "${client.id}" needs a SHA-256 hex secretHash`);
+        }
+        this.clients.set(client.id, {
+          id: client.id,
+          name: client.name || client.id,
+          secretHash: client.secretHash.toLowerCase(),
+          scopes: client.scopes || [],
+          rateLimitPerMinute: client.rateLimitPerMinute || 600
+        });
+      });
+  }
+
+  /**
+   * Resolve an Authorization header to a client, or null
+   */
+  authenticate(header) {
+    const match = /^Basic\s+(.+)$/i.exec(header || '');
+    if (!match) return null;
+
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator < 0) return null;
+
+    const client = this.clients.get(decoded.slice(0, separator));
+    const secretHash = hashSecret(decoded.slice(separator + 1));
+
+    // Compare even for unknown clients so timing does not reveal valid ids
+    const expected = Buffer.from(client ? client.secretHash : secretHash.replace(/./g, '0'), 'hex');
+    const valid = crypto.timingSafeEqual(expected, Buffer.from(secretHash, 'hex'));
+
+    return client && valid ? client : null;
+  }
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+module.exports = new ApiClients(process.env.API_CLIENTS_PATH || DEFAULT_CLIENTS_PATH);
+module.exports.ApiClients = ApiClients;
+module.exports.hashSecret = hashSecret;
@@ -0,0 +1,57 @@
+/**
+ * CAPTCHA Service
+ * Human check shown on the login form while the client's IP, network or
+ * device is under velocity pressure. The demo asks a small arithmetic
+ * question; a hosted CAPTCHA only needs to replace issue() and verify().
+ * Only the answer's hash is kept in the session, and each question can be
+ * answered once.
+ */
+
+const crypto = require('crypto');
+
+class CaptchaService {
+  constructor({ ttl = 5 * 60 * 1000 } = {}) {
+    this.ttl = ttl;
+  }
+
+  /**
+   * Store a new question in the session and return what the form shows
+   */
+  issue(session) {
+    const a = crypto.randomInt(2, 20);
+    const b = crypto.randomInt(2, 10);
+    const now = Date.now();
+
+    session.captcha = {
+      answerHash: hashAnswer(String(a + b)),
+      expiresAt: now + this.ttl
+    };
+
+    return { question: `What is ${a} + ${b}?` };
+  }
+
+  /**
+   * Check an answer against the session's question (consumed either way)
+   */
+  verify(session, answer) {
+    const captcha = session.captcha;
+    delete session.captcha;
+
+    if (!captcha || Date.now() > captcha.expiresAt) return false;
+
+    const normalized = String(answer || '').trim();
+    if (!/^\d{1,3}$/.test(normalized)) return false;
+
+    return crypto.timingSafeEqual(
+      Buffer.from(hashAnswer(normalized), 'hex'),
+      Buffer.from(captcha.answerHash, 'hex')
+    );
+  }
+}
+
+function hashAnswer(answer) {
+  return crypto.createHash('sha256').update(answer).digest('hex');
+}
+
+module.exports = new CaptchaService();
+module.exports.CaptchaService = CaptchaService;
@@ -0,0 +1,201 @@
+/**
+ * Challenge Service
+ * Pluggable step-up verification: picks a challenge provider from the
+ * risk recommendation's mfaType and enforces expiry and attempt limits.
+ *
+ * Providers implement:
+ *   type, label, ttl, maxAttempts
+ *   isAvailable(user) -> boolean
+ *   issue(user, challenge) -> { state, clientData }
+ *   verify(user, challenge, response) -> boolean
+ */
+
+const crypto = require('crypto');
+const OtpChallenge = require('./challenges/otpChallenge');
+const TotpChallenge = require('./challenges/totpChallenge');
+const WebAuthnChallenge = require('./challenges/webauthnChallenge');
+
+// Providers tried (in order) for each mfaType of a recommendation
+const METHOD_CHAINS = {
+  email_or_sms: ['email', 'sms', 'totp'],
+  strong_mfa: ['webauthn', 'totp']
+};
+
+// mfaTypes from weakest to strongest
+const MFA_STRENGTH = ['email_or_sms', 'strong_mfa'];
+
+// How many times a challenge may be (re)issued before the flow is abandoned
+const MAX_ISSUES = 5;
+
+class ChallengeService {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a challenge provider
+   */
+  register(provider) {
+    this.providers.set(provider.type, provider);
+  }
+
+  getProvider(type) {
+    return this.providers.get(type);
+  }
+
+  /**
+   * Methods the user can complete for an mfaType. strong_mfa never falls
+   * back to email or SMS: without an enrolled factor there is no method.
+   */
+  getAvailableMethods(user, mfaType = 'email_or_sms') {
+    return (METHOD_CHAINS[mfaType] || [])
+      .filter(type => this.providers.has(type) && this.providers.get(type).isAvailable(user));
+  }
+
+  /**
+   * Strongest mfaType a completed method counts as (TOTP is strong_mfa even
+   * when an email_or_sms challenge offered it)
+   */
+  mfaTypeOf(method) {
+    return [...MFA_STRENGTH].reverse().find(type => METHOD_CHAINS[type].includes(method)) || null;
+  }
+
+  /**
+   * Whether a verification of mfaType `done` is enough where `required` is asked for
+   */
+  satisfies(done, required = 'email_or_sms') {
+    return MFA_STRENGTH.indexOf(done) >= Math.max(0, MFA_STRENGTH.indexOf(required));
+  }
+
+  /**
+   * Issue a new challenge and store it in the session under `key`
+   */
+  async start(session, key, user, mfaType, method = null) {
+    const previous = this.get(session, key);
+    const issueCount = (previous ? previous.issueCount : 0) + 1;
+
+    if (issueCount > MAX_ISSUES) {
+      throw new Error('Too many verification codes requested. Please start again.');
+    }
+
+    const methods = this.getAvailableMethods(user, mfaType);
+    const type = method && methods.includes(method) ? method : methods[0];
+
+    if (!type) {
+      throw new Error(mfaType === 'strong_mfa'
+        ? 'This requires a security key or authenticator app, and none is enrolled for this account.'
+        : 'No verification method is available for this account');
+    }
+
+    const provider = this.providers.get(type);
+    const now = Date.now();
+    const challenge = {
+      id: crypto.randomUUID(),
+      method: type,
+      mfaType,
+      createdAt: now,
+      expiresAt: now + provider.ttl,
+      attempts: 0,
+      maxAttempts: provider.maxAttempts,
+      issueCount
+    };
+
+    const { state, clientData } = await provider.issue(user, challenge);
+    challenge.state = state;
+    challenge.clientData = clientData;
+
+    session.challenges = session.challenges || {};
+    session.challenges[key] = challenge;
+
+    return challenge;
+  }
+
+  get(session, key) {
+    return session.challenges ? session.challenges[key] || null : null;
+  }
+
+  clear(session, key) {
+    if (session.challenges) {
+      delete session.challenges[key];
+    }
+  }
+
+  isExpired(challenge) {
+    return Date.now() > challenge.expiresAt;
+  }
+
+  /**
+   * Verify a response against the active challenge.
+   * Locked challenges are removed from the session.
+   */
+  async verify(session, key, user, response) {
+    const challenge = this.get(session, key);
+
+    if (!challenge) {
+      return { success: false, error: 'No verification in progress.' };
+    }
+
+    if (this.isExpired(challenge)) {
+      return { success: false, expired: true, error: 'Verification expired. Request a new code.' };
+    }
+
+    const provider = this.providers.get(challenge.method);
+    challenge.attempts++;
+
+    let verified = false;
+    try {
+      verified = await provider.verify(user, challenge, response);
+    } catch (error) {
+      console.error(`${challenge.method} verification error:`, error.message);
+    }
+
+    if (verified) {
+      this.clear(session, key);
+      return { success: true, method: challenge.method };
+    }
+
+    const remainingAttempts = challenge.maxAttempts - challenge.attempts;
+    if (remainingAttempts <= 0) {
+      this.clear(session, key);
+      return { success: false, locked: true, error: 'Too many failed verification attempts.' };
+    }
+
+    return {
+      success: false,
+      remainingAttempts,
+      error: `Invalid verification. ${remainingAttempts} attempt(s) remaining.`
+    };
+  }
+
+  /**
+   * Data for rendering a challenge (never includes provider state)
+   */
+  describe(challenge, user) {
+    const provider = this.providers.get(challenge.method);
+    const methods = this.getAvailableMethods(user, challenge.mfaType);
+
+    return {
+      method: challenge.method,
+      label: provider.label,
+      mfaType: challenge.mfaType,
+      expiresAt: challenge.expiresAt,
+      remainingAttempts: challenge.maxAttempts - challenge.attempts,
+      clientData: challenge.clientData,
+      alternatives: methods
+        .filter(type => type !== challenge.method)
+        .map(type => ({ type, label: this.providers.get(type).label }))
+    };
+  }
+}
+
+const challengeService = new ChallengeService();
+
+challengeService.register(new OtpChallenge('email'));
+challengeService.register(new OtpChallenge('sms'));
+challengeService.register(new TotpChallenge());
+challengeService.register(new WebAuthnChallenge({
+  rpID: process.env.WEBAUTHN_RP_ID || 'localhost',
+  origin: process.env.WEBAUTHN_ORIGIN || `http://localhost:${process.env.PORT || 3000}`
+}));
+
+module.exports = challengeService;
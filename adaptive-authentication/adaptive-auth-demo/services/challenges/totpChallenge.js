@@ -0,0 +1,88 @@
+/**
+ * TOTP Challenge
+ * Verifies codes from authenticator apps (Google Authenticator, Authy, etc.)
+ * and handles enrollment of new TOTP secrets
+ */
+
+const speakeasy = require('speakeasy');
+const QRCode = require('qrcode');
+
+class TotpChallenge {
+  constructor() {
+    this.type = 'totp';
+    this.label = 'Authenticator app';
+    this.ttl = 5 * 60 * 1000;
+    this.maxAttempts = 5;
+  }
+
+  isAvailable(user) {
+    return Boolean(user.totp && user.totp.enabled);
+  }
+
+  /**
+   * Nothing is sent; the user reads the code from their app
+   */
+  async issue() {
+    return { state: {}, clientData: {} };
+  }
+
+  async verify(user, challenge, response) {
+    const step = this.verifyToken(user.totp.secret, response.code);
+
+    // Reject codes from a time step that was already used (replay)
+    if (step === null || (user.totp.lastUsedStep !== undefined && step <= user.totp.lastUsedStep)) {
+      return false;
+    }
+
+    user.totp.lastUsedStep = step;
+    return true;
+  }
+
+  /**
+   * Verify a token and return the time step it belongs to (or null)
+   */
+  verifyToken(secret, token) {
+    const delta = speakeasy.totp.verifyDelta({
+      secret,
+      encoding: 'base32',
+      token: String(token || '').trim(),
+      window: 1 // Allow 1 time step tolerance (±30 seconds)
+    });
+
+    if (!delta) return null;
+    return Math.floor(Date.now() / 30000) + delta.delta;
+  }
+
+  /**
+   * Generate a secret and QR code for a new enrollment
+   */
+  async startEnrollment(user, issuer = 'Adaptive Auth Demo') {
+    const secret = speakeasy.generateSecret({
+      name: `${issuer} (${user.username})`,
+      issuer,
+      length: 20
+    });
+
+    return {
+      secret: secret.base32,
+      qrCode: await QRCode.toDataURL(secret.otpauth_url)
+    };
+  }
+
+  /**
+   * Confirm an enrollment with a code from the app
+   */
+  confirmEnrollment(secret, token) {
+    const step = this.verifyToken(secret, token);
+    if (step === null) return null;
+
+    return {
+      enabled: true,
+      secret,
+      enrolledAt: Date.now(),
+      lastUsedStep: step
+    };
+  }
+}
+
+module.exports = TotpChallenge;
@@ -0,0 +1,129 @@
+/**
+ * WebAuthn Challenge
+ * Security keys / platform authenticators used for strong_mfa step-up
+ */
+
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+
+class WebAuthnChallenge {
+  constructor(config = {}) {
+    this.type = 'webauthn';
+    this.label = 'Security key';
+    this.ttl = 2 * 60 * 1000;
+    this.maxAttempts = 3;
+
+    this.rpName = config.rpName || 'Adaptive Auth Demo';
+    this.rpID = config.rpID || 'localhost';
+    this.origin = config.origin || 'http://localhost:3000';
+  }
+
+  isAvailable(user) {
+    return user.webauthnCredentials.length > 0;
+  }
+
+  /**
+   * Generate assertion options for the user's registered credentials
+   */
+  async issue(user) {
+    const options = await generateAuthenticationOptions({
+      rpID: this.rpID,
+      allowCredentials: user.webauthnCredentials.map(cred => ({
+        id: cred.credentialID,
+        type: 'public-key',
+        transports: cred.transports || []
+      })),
+      userVerification: 'preferred',
+      timeout: this.ttl
+    });
+
+    return {
+      state: { expectedChallenge: options.challenge },
+      clientData: { options }
+    };
+  }
+
+  async verify(user, challenge, response) {
+    const assertion = response.credential;
+    if (!assertion || !assertion.id) return false;
+
+    const credential = user.webauthnCredentials.find(c => c.id === assertion.id);
+    if (!credential) return false;
+
+    const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+      response: assertion,
+      expectedChallenge: challenge.state.expectedChallenge,
+      expectedOrigin: this.origin,
+      expectedRPID: this.rpID,
+      authenticator: {
+        credentialID: credential.credentialID,
+        credentialPublicKey: credential.credentialPublicKey,
+        counter: credential.counter,
+        transports: credential.transports || []
+      },
+      requireUserVerification: false
+    });
+
+    if (verified) {
+      credential.counter = authenticationInfo.newCounter;
+      credential.lastUsed = Date.now();
+    }
+
+    return verified;
+  }
+
+  /**
+   * Registration options for enrolling a new security key
+   */
+  async generateRegistrationOptions(user) {
+    return generateRegistrationOptions({
+      rpName: this.rpName,
+      rpID: this.rpID,
+      userID: user.id,
+      userName: user.username,
+      attestationType: 'none',
+      excludeCredentials: user.webauthnCredentials.map(cred => ({
+        id: cred.credentialID,
+        type: 'public-key',
+        transports: cred.transports || []
+      })),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'preferred'
+      },
+      supportedAlgorithmIDs: [-7, -257] // ES256 and RS256
+    });
+  }
+
+  /**
+   * Verify a registration response and build the credential record
+   */
+  async verifyRegistration(user, response, expectedChallenge, name) {
+    const { verified, registrationInfo } = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: this.origin,
+      expectedRPID: this.rpID,
+      requireUserVerification: false
+    });
+
+    if (!verified || !registrationInfo) return null;
+
+    return {
+      id: Buffer.from(registrationInfo.credentialID).toString('base64url'),
+      credentialID: registrationInfo.credentialID,
+      credentialPublicKey: registrationInfo.credentialPublicKey,
+      counter: registrationInfo.counter,
+      transports: response.response.transports || [],
+      name: name || `Security Key ${user.webauthnCredentials.length + 1}`,
+      registeredAt: Date.now(),
+      lastUsed: null
+    };
+  }
+}
+
+module.exports = WebAuthnChallenge;
@@ -0,0 +1,117 @@
+/**
+ * CIDR Trie
+ * Binary prefix trie for IPv4 and IPv6 ranges. Lookups walk at most
+ * 32/128 bits regardless of how many ranges are loaded.
+ */
+
+const net = require('net');
+
+class CidrTrie {
+  constructor() {
+    this.roots = { 4: {}, 6: {} };
+    this.size = 0;
+  }
+
+  /**
+   * Add a range ("10.0.0.0/8", "2001:db8::/32" or a single address)
+   */
+  insert(cidr, value) {
+    const [address, prefix] = cidr.trim().split('/');
+    const bytes = parseIp(address);
+
+    if (!bytes) {
+      throw new Error(`Invalid CIDR "${cidr}"`);
+    }
+
+    const version = bytes.length === 4 ? 4 : 6;
+    const maxBits = bytes.length * 8;
+    const bits = prefix === undefined ? maxBits : Number(prefix);
+
+    if (!Number.isInteger(bits) || bits < 0 || bits > maxBits) {
+      throw new Error(`Invalid CIDR prefix "${cidr}"`);
+    }
+
+    let node = this.roots[version];
+    for (let i = 0; i < bits; i++) {
+      const bit = getBit(bytes, i);
+      node = node[bit] || (node[bit] = {});
+    }
+
+    node.values = node.values || [];
+    node.values.push(value);
+    this.size++;
+  }
+
+  /**
+   * All values whose range contains the address, least specific first
+   */
+  lookup(ip) {
+    const bytes = parseIp(ip);
+    if (!bytes) return [];
+
+    const matches = [];
+    let node = this.roots[bytes.length === 4 ? 4 : 6];
+
+    for (let i = 0; node; i++) {
+      if (node.values) matches.push(...node.values);
+      if (i === bytes.length * 8) break;
+      node = node[getBit(bytes, i)];
+    }
+
+    return matches;
+  }
+}
+
+function getBit(bytes, index) {
+  return (bytes[index >> 3] >> (7 - (index & 7))) & 1;
+}
+
+/**
+ * Parse an address into bytes (4 for IPv4, 16 for IPv6).
+ * IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are treated as IPv4.
+ */
+function parseIp(ip) {
+  if (!ip) return null;
+
+  const address = ip.trim().replace(/^\[|\]$/g, '').split('%')[0];
+  const version = net.isIP(address);
+
+  if (version === 4) {
+    return address.split('.').map(Number);
+  }
+
+  if (version !== 6) return null;
+
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return parseIp(mapped[1]);
+
+  // Expand an embedded IPv4 tail into two hextets
+  let text = address;
+  const tail = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (tail) {
+    const v4 = parseIp(tail[1]);
+    text = text.slice(0, -tail[1].length) +
+      `${((v4[0] << 8) | v4[1]).toString(16)}:${((v4[2] << 8) | v4[3]).toString(16)}`;
+  }
+
+  const [head, rest] = text.split('::');
+  const headParts = head ? head.split(':') : [];
+  const restParts = rest ? rest.split(':') : [];
+  const missing = 8 - headParts.length - restParts.length;
+  const hextets = [
+    ...headParts,
+    ...(rest !== undefined ? new Array(missing).fill('0') : []),
+    ...restParts
+  ];
+
+  const bytes = [];
+  hextets.forEach(h => {
+    const value = parseInt(h, 16);
+    bytes.push(value >> 8, value & 0xff);
+  });
+
+  return bytes;
+}
+
+module.exports = CidrTrie;
+module.exports.parseIp = parseIp;
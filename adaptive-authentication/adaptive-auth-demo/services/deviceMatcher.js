@@ -0,0 +1,180 @@
+/**
+ * Device Matching
+ * Turns the signals from public/js/fingerprint.js (plus request headers)
+ * into device attributes and compares them with a user's known devices by
+ * weighted similarity, so a browser upgrade or a new monitor changes a
+ * few attributes instead of producing an unrelated device.
+ */
+
+const crypto = require('crypto');
+const UAParser = require('ua-parser-js');
+
+const DEFAULT_CONFIG = {
+  sameDeviceSimilarity: 0.85, // At or above: the attempt is that known device
+  minSimilarity: 0.5, // Below: no usable match, the device is unknown
+  minCoverage: 0.5 // Share of the attribute weight both sides must have
+};
+
+// Stable hardware/rendering traits weigh more than easily changed ones
+const ATTRIBUTE_WEIGHTS = {
+  canvasHash: 0.16,
+  webglRenderer: 0.14,
+  webglHash: 0.1,
+  platform: 0.1,
+  osName: 0.08,
+  browserName: 0.08,
+  hardwareConcurrency: 0.06,
+  deviceMemory: 0.05,
+  screen: 0.06,
+  timezone: 0.06,
+  language: 0.04,
+  touchPoints: 0.03,
+  pixelRatio: 0.02,
+  osVersion: 0.01,
+  browserMajor: 0.01
+};
+
+const MAX_VALUE_LENGTH = 200;
+
+/**
+ * Normalised attributes from collector signals and request headers
+ * @param {Object|string|null} signals - Collector output (object or JSON string)
+ * @param {Object} headers - { userAgent, acceptLanguage }
+ * @returns {Object|null} attributes, or null when the collector did not run
+ */
+function collect(signals, { userAgent = '', acceptLanguage = '' } = {}) {
+  const raw = parseSignals(signals);
+  if (!raw) return null;
+
+  const ua = new UAParser(userAgent);
+  const browser = ua.getBrowser();
+  const os = ua.getOS();
+
+  const attributes = {
+    browserName: browser.name,
+    browserMajor: browser.major,
+    osName: os.name,
+    osVersion: os.version,
+    language: raw.language || acceptLanguage.split(',')[0],
+    platform: raw.platform,
+    screen: raw.screen,
+    pixelRatio: raw.pixelRatio,
+    timezone: raw.timezone,
+    hardwareConcurrency: raw.hardwareConcurrency,
+    deviceMemory: raw.deviceMemory,
+    touchPoints: raw.touchPoints,
+    canvasHash: raw.canvasHash,
+    webglRenderer: raw.webglRenderer,
+    webglHash: raw.webglHash
+  };
+
+  // Untrusted input: keep short scalar values only
+  Object.keys(attributes).forEach(key => {
+    const value = attributes[key];
+    if (value === undefined || value === null || value === '' ||
+      (typeof value !== 'string' && typeof value !== 'number')) {
+      delete attributes[key];
+    } else {
+      attributes[key] = String(value).substring(0, MAX_VALUE_LENGTH);
+    }
+  });
+
+  return attributes;
+}
+
+function parseSignals(signals) {
+  if (!signals) return null;
+  if (typeof signals === 'object') return signals;
+
+  try {
+    const parsed = JSON.parse(signals);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Device ID for a set of attributes
+ */
+function fingerprint(attributes) {
+  const canonical = Object.keys(attributes).sort().map(key => `${key}=${attributes[key]}`).join('|');
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * Weighted similarity over the attributes both sides have
+ * @returns {Object} { similarity 0..1, coverage 0..1, changed: [attribute] }
+ */
+function compare(a, b) {
+  let shared = 0;
+  let matching = 0;
+  const changed = [];
+
+  Object.entries(ATTRIBUTE_WEIGHTS).forEach(([key, weight]) => {
+    if (a[key] === undefined || b[key] === undefined) return;
+
+    shared += weight;
+    if (a[key] === b[key]) {
+      matching += weight;
+    } else {
+      changed.push(key);
+    }
+  });
+
+  const total = Object.values(ATTRIBUTE_WEIGHTS).reduce((sum, w) => sum + w, 0);
+
+  return {
+    similarity: shared > 0 ? matching / shared : 0,
+    coverage: shared / total,
+    changed
+  };
+}
+
+/**
+ * Most similar known device
+ * @param {Object} devices - Baseline devices ({ id: { attributes } })
+ * @param {Object} attributes - Attributes of the current attempt
+ * @returns {Object|null} { deviceId, similarity, changed, same }
+ */
+function bestMatch(devices, attributes, config = DEFAULT_CONFIG) {
+  let best = null;
+
+  Object.entries(devices || {}).forEach(([deviceId, device]) => {
+    if (!device.attributes) return;
+
+    const result = compare(device.attributes, attributes);
+    if (result.coverage < config.minCoverage) return;
+
+    if (!best || result.similarity > best.similarity) {
+      best = { deviceId, similarity: result.similarity, changed: result.changed };
+    }
+  });
+
+  if (!best || best.similarity < config.minSimilarity) return null;
+
+  return {
+    ...best,
+    similarity: Math.round(best.similarity * 100) / 100,
+    same: best.similarity >= config.sameDeviceSimilarity
+  };
+}
+
+/**
+ * Device risk points for a match: the full unknown-device points at
+ * minSimilarity, falling linearly to 0 at an exact match
+ */
+function gradedPoints(similarity, unknownPoints, config = DEFAULT_CONFIG) {
+  const share = (1 - similarity) / (1 - config.minSimilarity);
+  return Math.round(Math.min(1, Math.max(0, share)) * unknownPoints);
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  ATTRIBUTE_WEIGHTS,
+  collect,
+  fingerprint,
+  compare,
+  bestMatch,
+  gradedPoints
+};
@@ -0,0 +1,270 @@
+/**
+ * Event Dispatcher
+ * Outbound security events (risk.blocked, risk.challenged, stepup.failed)
+ * for webhooks and the SOC. Every event is written to the persistent
+ * outbox (one delivery per endpoint) before any delivery is tried, then
+ * delivered with an HMAC signature and retried with exponential backoff.
+ *
+ * Sinks implement:
+ *   type
+ *   deliver(event, { body, signatureHeader }) -> Promise (rejects on failure)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const riskEngine = require('./riskEngine');
+const HttpSink = require('./sinks/httpSink');
+const FileSink = require('./sinks/fileSink');
+const SmtpSink = require('./sinks/smtpSink');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'webhooks.json');
+const DEV_SECRET = 'adaptive-auth-demo-webhook-secret-change-in-production';
+
+const EVENT_TYPES = ['risk.blocked', 'risk.challenged', 'stepup.failed'];
+
+const SINKS = {
+  http: HttpSink,
+  file: FileSink,
+  smtp: SmtpSink
+};
+
+/**
+ * HMAC secret of an endpoint. Outside development a missing secret stops the
+ * server: events signed with the public demo secret could be forged by anyone.
+ */
+function signingSecret(endpoint) {
+  const name = endpoint.secretEnv || 'WEBHOOK_SECRET';
+  if (process.env[name]) return process.env[name];
+
+  if (process.env.NODE_ENV !== undefined && process.env.NODE_ENV !== 'development') {
+    throw new Error(`Webhook endpoint "${endpoint.id}" has no signing secret: set ${name}`);
+  }
+
+  console.warn(`⚠️  ${name} is not set: webhook endpoint "${endpoint.id}" is signed with the demo secret (development only)`);
+  return DEV_SECRET;
+}
+
+class EventDispatcher {
+  constructor(store, configPath) {
+    this.store = store;
+    this.configPath = configPath;
+    this.endpoints = new Map();
+    this.timer = null;
+    this.processing = null;
+
+    this.load();
+  }
+
+  /**
+   * Read the endpoint configuration and build a sink per enabled endpoint
+   */
+  load() {
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    const baseDir = path.dirname(this.configPath);
+
+    this.retry = { maxAttempts: 8, baseDelaySeconds: 5, maxDelaySeconds: 3600, ...config.retry };
+    this.pollIntervalSeconds = config.pollIntervalSeconds || 5;
+    this.endpoints = new Map();
+
+    (config.endpoints || [])
+      .filter(endpoint => endpoint.enabled !== false)
+      .forEach(endpoint => {
+        const Sink = SINKS[endpoint.sink];
+        if (!Sink) {
+          throw new Error(`Webhook endpoint "${endpoint.id}" has unknown sink "${endpoint.sink}"`);
+        }
+
+        const options = endpoint.sink === 'file'
+          ? { ...endpoint, path: path.resolve(baseDir, endpoint.path) }
+          : endpoint;
+
+        this.endpoints.set(endpoint.id, {
+          id: endpoint.id,
+          events: endpoint.events || ['*'],
+          secret: signingSecret(endpoint),
+          sink: new Sink(options)
+        });
+      });
+  }
+
+  /**
+   * Queue an event for every endpoint subscribed to its type
+   */
+  emit(type, data, now = Date.now()) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type "${type}"`);
+    }
+
+    const event = { id: crypto.randomUUID(), type, createdAt: now, data };
+
+    this.endpoints.forEach(endpoint => {
+      if (!endpoint.events.includes('*') && !endpoint.events.includes(type)) return;
+
+      this.store.enqueueDelivery({
+        id: crypto.randomUUID(),
+        eventId: event.id,
+        eventType: type,
+        endpointId: endpoint.id,
+        payload: event,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        createdAt: now,
+        deliveredAt: null
+      });
+    });
+
+    // Try right away; failures stay in the outbox for the retry loop
+    setImmediate(() => this.processDue());
+
+    return event;
+  }
+
+  /**
+   * Deliver everything that is due. Concurrent calls share one run.
+   */
+  processDue(now = Date.now()) {
+    if (!this.processing) {
+      this.processing = this.deliverDue(now).finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  async deliverDue(now) {
+    const deliveries = this.store.getDueDeliveries(now);
+
+    for (const delivery of deliveries) {
+      const endpoint = this.endpoints.get(delivery.endpointId);
+      const attempts = delivery.attempts + 1;
+
+      if (!endpoint) {
+        this.store.updateDelivery(delivery.id, { status: 'dead', attempts, lastError: 'Endpoint no longer configured' });
+        continue;
+      }
+
+      const body = JSON.stringify(delivery.payload);
+      const signatureHeader = sign(body, endpoint.secret, Math.floor(Date.now() / 1000));
+
+      try {
+        await endpoint.sink.deliver(delivery.payload, { body, signatureHeader });
+        this.store.updateDelivery(delivery.id, { status: 'delivered', attempts, deliveredAt: Date.now(), lastError: null });
+      } catch (error) {
+        if (attempts >= this.retry.maxAttempts) {
+          this.store.updateDelivery(delivery.id, { status: 'dead', attempts, lastError: error.message });
+          console.error(`Webhook ${delivery.eventType} to ${endpoint.id} failed permanently: ${error.message}`);
+        } else {
+          this.store.updateDelivery(delivery.id, {
+            attempts,
+            nextAttemptAt: Date.now() + this.backoff(attempts),
+            lastError: error.message
+          });
+        }
+      }
+    }
+
+    return deliveries.length;
+  }
+
+  /**
+   * Exponential backoff with ±20% jitter
+   */
+  backoff(attempts) {
+    const { baseDelaySeconds, maxDelaySeconds } = this.retry;
+    const delay = Math.min(maxDelaySeconds, baseDelaySeconds * Math.pow(2, attempts - 1));
+    return Math.round(delay * 1000 * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * Poll the outbox for retries (also picks up deliveries left by a restart)
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processDue(), this.pollIntervalSeconds * 1000);
+    this.timer.unref();
+    this.processDue();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getDeliveries(filters) {
+    return this.store.getDeliveries(filters);
+  }
+}
+
+/**
+ * Signature header: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+function sign(body, secret, timestamp) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Receiver-side check of a signature header (rejects stale timestamps)
+ */
+function verifySignature(body, header, secret, toleranceSeconds = 300, now = Date.now()) {
+  const parts = Object.fromEntries(String(header).split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+
+  if (!timestamp || !parts.v1 || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = sign(body, secret, timestamp).split('v1=')[1];
+  return expected.length === parts.v1.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+}
+
+/**
+ * Event data for a risk decision
+ */
+function riskEventData(assessment, context) {
+  return {
+    assessmentId: assessment.id,
+    userId: context.userId,
+    action: context.action,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    score: assessment.score,
+    level: assessment.level,
+    decision: assessment.recommendation.action,
+    mfaType: assessment.recommendation.mfaType || null,
+    notifySecurityTeam: Boolean(assessment.recommendation.notifySecurityTeam),
+    requireManualReview: Boolean(assessment.recommendation.requireManualReview),
+    matchedRule: assessment.matchedRule,
+    policyVersion: assessment.policyVersion,
+    reasons: assessment.reasons
+  };
+}
+
+/**
+ * Event data for a failed login or step-up verification
+ */
+function stepupEventData(context, stage, challenge, result) {
+  return {
+    userId: context.userId,
+    stage,
+    action: context.action,
+    method: challenge ? challenge.method : null,
+    locked: Boolean(result.locked),
+    remainingAttempts: result.remainingAttempts ?? 0,
+    error: result.error,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent
+  };
+}
+
+module.exports = new EventDispatcher(riskEngine.store, process.env.WEBHOOKS_PATH || DEFAULT_CONFIG_PATH);
+module.exports.EventDispatcher = EventDispatcher;
+module.exports.sign = sign;
+module.exports.verifySignature = verifySignature;
+module.exports.riskEventData = riskEventData;
+module.exports.stepupEventData = stepupEventData;
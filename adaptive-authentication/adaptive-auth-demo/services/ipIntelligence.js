@@ -0,0 +1,170 @@
+/**
+ * IP Intelligence
+ * Offline IP reputation from local feed files (Tor exit nodes, VPN and
+ * hosting ranges, internal allow/deny lists, same-org ranges, corporate
+ * VPN egress points, high-risk countries).
+ * Feeds are listed in config/ip-feeds.json and re-read on a schedule.
+ *
+ * Network feed lines:  <cidr> [AS<number>] [label]   (# starts a comment)
+ * Country feed lines:  <ISO 3166-1 alpha-2 code>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CidrTrie = require('./cidrTrie');
+
+const DEFAULT_MANIFEST_PATH = path.join(__dirname, '..', 'config', 'ip-feeds.json');
+
+const NETWORK_CATEGORIES = ['tor', 'vpn', 'hosting', 'allow', 'deny', 'same_org', 'vpn_egress'];
+
+class IpIntelligence {
+  constructor(manifestPath) {
+    this.manifestPath = manifestPath;
+    this.trie = new CidrTrie();
+    this.countries = new Set();
+    this.feeds = [];
+    this.mtimes = {};
+    this.loadedAt = null;
+    this.timer = null;
+
+    this.load();
+  }
+
+  /**
+   * Read the manifest and every feed, then swap them in at once
+   */
+  load() {
+    const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+    const baseDir = path.dirname(this.manifestPath);
+    const trie = new CidrTrie();
+    const countries = new Set();
+    const mtimes = { [this.manifestPath]: mtime(this.manifestPath) };
+
+    const feeds = (manifest.feeds || []).map(feed => {
+      if (feed.category !== 'country' && !NETWORK_CATEGORIES.includes(feed.category)) {
+        throw new Error(`IP feed "${feed.name}" has unknown category "${feed.category}"`);
+      }
+
+      const file = path.resolve(baseDir, feed.file);
+      const status = { name: feed.name, category: feed.category, file, entries: 0, skipped: 0, error: null };
+
+      mtimes[file] = mtime(file);
+      if (mtimes[file] === null) {
+        status.error = 'File not found';
+        console.warn(`⚠️  IP feed "${feed.name}" not found: ${file}`);
+        return status;
+      }
+
+      readLines(file).forEach(line => {
+        try {
+          if (feed.category === 'country') {
+            countries.add(line.split(/\s+/)[0].toUpperCase());
+          } else {
+            const [cidr, ...rest] = line.split(/\s+/);
+            const asn = rest[0] && /^AS\d+$/i.test(rest[0]) ? rest.shift().toUpperCase() : null;
+            trie.insert(cidr, { feed: feed.name, category: feed.category, cidr, asn, label: rest.join(' ') || null });
+          }
+          status.entries++;
+        } catch (error) {
+          status.skipped++;
+        }
+      });
+
+      if (status.skipped > 0) {
+        console.warn(`⚠️  IP feed "${feed.name}": skipped ${status.skipped} invalid line(s)`);
+      }
+
+      return status;
+    });
+
+    this.manifest = manifest;
+    this.trie = trie;
+    this.countries = countries;
+    this.feeds = feeds;
+    this.mtimes = mtimes;
+    this.loadedAt = Date.now();
+
+    return feeds;
+  }
+
+  /**
+   * Reload if the manifest or any feed file changed since the last load
+   */
+  refresh() {
+    const changed = Object.entries(this.mtimes).some(([file, time]) => mtime(file) !== time);
+    if (!changed) return false;
+
+    try {
+      this.load();
+      console.log(`🔄 IP feeds reloaded (${this.trie.size} ranges, ${this.countries.size} countries)`);
+      return true;
+    } catch (error) {
+      console.error('IP feed reload failed, keeping previous feeds:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Refresh feeds periodically (refreshIntervalMinutes from the manifest)
+   */
+  startRefresh(interval = (this.manifest.refreshIntervalMinutes || 60) * 60 * 1000) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.refresh(), interval);
+    this.timer.unref();
+  }
+
+  stopRefresh() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Reputation signals for an address (and its GeoIP country, if known)
+   */
+  lookup(ipAddress, country = null) {
+    const matches = this.trie.lookup(ipAddress);
+    const has = category => matches.some(m => m.category === category);
+
+    return {
+      tor: has('tor'),
+      vpn: has('vpn'),
+      hosting: has('hosting'),
+      allowlisted: has('allow'),
+      denylisted: has('deny'),
+      sameOrg: has('same_org'),
+      vpnEgress: has('vpn_egress'),
+      highRiskCountry: Boolean(country && this.countries.has(country)),
+      asn: (matches.filter(m => m.asn).pop() || {}).asn || null,
+      matches
+    };
+  }
+
+  getStatus() {
+    return {
+      manifest: this.manifestPath,
+      loadedAt: this.loadedAt,
+      ranges: this.trie.size,
+      countries: this.countries.size,
+      feeds: this.feeds
+    };
+  }
+}
+
+function mtime(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+function readLines(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean);
+}
+
+module.exports = new IpIntelligence(process.env.IP_FEEDS_PATH || DEFAULT_MANIFEST_PATH);
+module.exports.IpIntelligence = IpIntelligence;
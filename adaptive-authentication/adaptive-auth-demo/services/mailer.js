@@ -0,0 +1,60 @@
+/**
+ * Mailer
+ * User-facing email (security notifications) through a pluggable transport.
+ * The default transport writes to the local outbox; set MAIL_TRANSPORT to a
+ * module path to plug in a real one (SMTP, an email API, ...).
+ *
+ * Transports implement:
+ *   name
+ *   send({ to, subject, body }) -> Promise
+ */
+
+const path = require('path');
+const outbox = require('./outbox');
+
+const outboxTransport = {
+  name: 'outbox',
+  send: ({ to, subject, body }) => outbox.send({ channel: 'email', to, subject, body })
+};
+
+class Mailer {
+  constructor(transport = outboxTransport) {
+    this.use(transport);
+  }
+
+  /**
+   * Replace the transport
+   */
+  use(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('Mail transport must implement send({ to, subject, body })');
+    }
+    this.transport = transport;
+  }
+
+  /**
+   * Send an email; delivery errors are logged, not thrown, so a mail outage
+   * never breaks the login that triggered the message
+   */
+  async send({ to, subject, body }) {
+    if (!to) return null;
+
+    try {
+      return await this.transport.send({ to, subject, body });
+    } catch (error) {
+      console.error(`❌ Mail via ${this.transport.name || 'transport'} to ${to} failed:`, error.message);
+      return null;
+    }
+  }
+}
+
+function loadTransport(modulePath) {
+  if (!modulePath) return outboxTransport;
+
+  console.log(`📮 Mail transport: ${modulePath}`);
+  return require(path.resolve(modulePath));
+}
+
+module.exports = new Mailer(loadTransport(process.env.MAIL_TRANSPORT));
+module.exports.Mailer = Mailer;
+module.exports.outboxTransport = outboxTransport;
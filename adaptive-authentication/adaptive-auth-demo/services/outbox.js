@@ -0,0 +1,58 @@
+/**
+ * Local Outbox Transport
+ * Stands in for an email/SMS gateway: messages are appended to
+ * data/outbox.jsonl and echoed to the console instead of being delivered
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_OUTBOX_PATH = path.join(__dirname, '..', 'data', 'outbox.jsonl');
+
+class Outbox {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Deliver a message to the outbox
+   * @param {Object} message - { channel: 'email'|'sms', to, subject, body }
+   */
+  async send({ channel, to, subject = null, body }) {
+    const message = {
+      id: crypto.randomUUID(),
+      channel,
+      to,
+      subject,
+      body,
+      sentAt: Date.now()
+    };
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, JSON.stringify(message) + '\n');
+
+    console.log(`\n${channel === 'sms' ? '📱 SMS' : '📧 EMAIL'} TO: ${to}`);
+    if (subject) console.log(`   Subject: ${subject}`);
+    console.log(`   ${body}\n`);
+
+    return message;
+  }
+
+  /**
+   * Read delivered messages, newest first
+   */
+  list(recipient = null, limit = 20) {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(m => !recipient || m.to === recipient)
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+module.exports = new Outbox(process.env.OUTBOX_PATH || DEFAULT_OUTBOX_PATH);
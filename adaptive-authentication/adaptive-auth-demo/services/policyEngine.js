@@ -0,0 +1,296 @@
+/**
+ * Risk Policy Engine
+ * Loads declarative risk policies (JSON/YAML), validates them against
+ * config/risk-policy.schema.json and evaluates them for the RiskEngine
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
+
+const schema = require('../config/risk-policy.schema.json');
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, '..', 'config', 'risk-policy.json');
+
+/**
+ * Default and per-action weights scaled to sum to 1, so the combined score
+ * stays on the 0-100 scale the thresholds are written for
+ */
+function normalizeWeights(policy) {
+  const normalize = weights => {
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    return Object.fromEntries(Object.entries(weights).map(([factor, weight]) => [factor, weight / total]));
+  };
+
+  return {
+    default: normalize(policy.weights),
+    actions: Object.fromEntries(Object.entries(policy.actions || {})
+      .filter(([, overrides]) => overrides.weights)
+      .map(([action, overrides]) => [action, normalize({ ...policy.weights, ...overrides.weights })]))
+  };
+}
+
+class PolicyEngine {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.policy = null;
+    this.weights = null;
+    this.loadedAt = null;
+    this.watcher = null;
+
+    const ajv = new Ajv({ allErrors: true });
+    this.validateSchema = ajv.compile(schema);
+
+    this.load(filePath);
+  }
+
+  /**
+   * Load, parse and validate a policy file
+   */
+  load(filePath = this.filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    const policy = (ext === '.yml' || ext === '.yaml') ? yaml.load(raw) : JSON.parse(raw);
+
+    this.validate(policy);
+
+    this.filePath = filePath;
+    this.policy = policy;
+    this.weights = normalizeWeights(policy);
+    this.loadedAt = Date.now();
+
+    return policy;
+  }
+
+  /**
+   * Validate a parsed policy (schema + cross references)
+   */
+  validate(policy) {
+    if (!this.validateSchema(policy)) {
+      const details = this.validateSchema.errors
+        .map(e => `${e.instancePath || '/'} ${e.message}`)
+        .join('; ');
+      throw new Error(`Invalid risk policy: ${details}`);
+    }
+
+    const checkThresholds = (thresholds, where) => {
+      thresholds.forEach((threshold, i) => {
+        const isLast = i === thresholds.length - 1;
+
+        if (!policy.outcomes[threshold.outcome]) {
+          throw new Error(`Invalid risk policy: ${where} references unknown outcome "${threshold.outcome}"`);
+        }
+        if (!isLast && threshold.below === undefined) {
+          throw new Error(`Invalid risk policy: ${where}[${i}] must define "below"`);
+        }
+        if (i > 0 && threshold.below !== undefined && threshold.below <= thresholds[i - 1].below) {
+          throw new Error(`Invalid risk policy: ${where} must be in ascending order`);
+        }
+      });
+    };
+
+    checkThresholds(policy.thresholds, 'thresholds');
+
+    const checkWeights = (weights, where) => {
+      if (Object.values(weights).reduce((sum, weight) => sum + weight, 0) <= 0) {
+        throw new Error(`Invalid risk policy: ${where} must have at least one positive weight`);
+      }
+    };
+
+    checkWeights(policy.weights, 'weights');
+
+    Object.entries(policy.actions || {}).forEach(([action, overrides]) => {
+      if (overrides.thresholds) {
+        checkThresholds(overrides.thresholds, `actions.${action}.thresholds`);
+      }
+      if (overrides.weights) {
+        checkWeights({ ...policy.weights, ...overrides.weights }, `actions.${action}.weights`);
+      }
+    });
+
+    (policy.rules || []).forEach(rule => {
+      if (!policy.outcomes[rule.outcome]) {
+        throw new Error(`Invalid risk policy: rule "${rule.id}" references unknown outcome "${rule.outcome}"`);
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Reload the policy whenever the file changes on disk.
+   * An invalid edit is rejected and the previous policy stays active.
+   */
+  watch(interval = 2000) {
+    if (this.watcher) return;
+
+    this.watcher = fs.watchFile(this.filePath, { interval }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+
+      try {
+        const policy = this.load();
+        console.log(`🔄 Risk policy reloaded (version ${policy.version})`);
+      } catch (error) {
+        console.error(`Risk policy reload failed, keeping version ${this.getVersion()}:`, error.message);
+      }
+    });
+    this.watcher.unref();
+  }
+
+  unwatch() {
+    if (!this.watcher) return;
+
+    fs.unwatchFile(this.filePath);
+    this.watcher = null;
+  }
+
+  getVersion() {
+    return this.policy.version;
+  }
+
+  /**
+   * Factor weights for an action (action overrides merged over defaults),
+   * normalized to sum to 1 when the policy was loaded
+   */
+  getWeights(action) {
+    return { ...(this.weights.actions[action] || this.weights.default) };
+  }
+
+  getThresholds(action) {
+    return this.policy.actions?.[action]?.thresholds || this.policy.thresholds;
+  }
+
+  /**
+   * Statistical baseline settings (riskBaseline defaults fill the gaps)
+   */
+  getBaselineConfig() {
+    return this.policy.baseline || {};
+  }
+
+  /**
+   * Fuzzy device matching settings (deviceMatcher defaults fill the gaps)
+   */
+  getDeviceConfig() {
+    return this.policy.device || {};
+  }
+
+  /**
+   * Cross-account velocity settings (velocityTracker defaults fill the gaps)
+   */
+  getVelocityConfig() {
+    return this.policy.velocity || {};
+  }
+
+  /**
+   * Impossible travel settings (travelAnalyzer defaults fill the gaps)
+   */
+  getTravelConfig() {
+    return this.policy.travel || {};
+  }
+
+  /**
+   * Session monitoring settings (sessionMonitor defaults fill the gaps)
+   */
+  getSessionConfig() {
+    return this.policy.session || {};
+  }
+
+  /**
+   * Find the threshold band a score falls into
+   */
+  resolveThreshold(score, action) {
+    const thresholds = this.getThresholds(action);
+    return thresholds.find(t => t.below === undefined || score < t.below) ||
+      thresholds[thresholds.length - 1];
+  }
+
+  /**
+   * Evaluate the policy for a scored attempt.
+   * The threshold band gives the base outcome. Every rule is checked: the
+   * first matching "override" rule replaces the outcome unconditionally, then
+   * the most severe other matching rule replaces it if that is stricter.
+   * matchedRule is the rule that decided the outcome, else the first match.
+   */
+  evaluate(score, facts) {
+    const threshold = this.resolveThreshold(score, facts.action);
+    const outcomes = this.policy.outcomes;
+    let outcomeName = threshold.outcome;
+    let decidingRule = null;
+
+    const matched = (this.policy.rules || []).filter(r => this.matches(r.when, facts));
+
+    const override = matched.find(r => r.override);
+    if (override) {
+      outcomeName = override.outcome;
+      decidingRule = override;
+    }
+
+    // The most severe of the other matches; the earlier rule wins a tie
+    const strictest = matched
+      .filter(r => !r.override)
+      .reduce((best, r) => (!best || outcomes[r.outcome].severity > outcomes[best.outcome].severity ? r : best), null);
+    if (strictest && outcomes[strictest.outcome].severity > outcomes[outcomeName].severity) {
+      outcomeName = strictest.outcome;
+      decidingRule = strictest;
+    }
+
+    const rule = decidingRule || matched[0];
+    const matchedRule = rule
+      ? { id: rule.id, description: rule.description || null, outcome: rule.outcome, applied: rule === decidingRule }
+      : null;
+
+    const { severity, ...recommendation } = this.policy.outcomes[outcomeName];
+
+    return {
+      level: threshold.level,
+      outcome: outcomeName,
+      recommendation,
+      matchedRule,
+      policyVersion: this.getVersion()
+    };
+  }
+
+  /**
+   * Evaluate a condition tree against the facts
+   */
+  matches(condition, facts) {
+    if (condition.all) return condition.all.every(c => this.matches(c, facts));
+    if (condition.any) return condition.any.some(c => this.matches(c, facts));
+    if (condition.not) return !this.matches(condition.not, facts);
+
+    const actual = resolveFact(facts, condition.fact);
+    const expected = condition.value && typeof condition.value === 'object' && !Array.isArray(condition.value) && condition.value.fact
+      ? resolveFact(facts, condition.value.fact)
+      : condition.value;
+
+    if (condition.operator === 'exists') {
+      return (actual !== undefined && actual !== null) === (expected !== false);
+    }
+
+    // Unknown facts never match (e.g. no geo data for private IPs)
+    if (actual === undefined || actual === null) return false;
+
+    switch (condition.operator) {
+      case 'equal': return actual === expected;
+      case 'notEqual': return actual !== expected;
+      case 'in': return Array.isArray(expected) && expected.includes(actual);
+      case 'notIn': return Array.isArray(expected) && !expected.includes(actual);
+      case 'greaterThan': return actual > expected;
+      case 'greaterThanOrEqual': return actual >= expected;
+      case 'lessThan': return actual < expected;
+      case 'lessThanOrEqual': return actual <= expected;
+      default: return false;
+    }
+  }
+}
+
+/**
+ * Resolve a dotted fact path, e.g. "breakdown.location"
+ */
+function resolveFact(facts, factPath) {
+  return factPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), facts);
+}
+
+module.exports = new PolicyEngine(process.env.RISK_POLICY_PATH || DEFAULT_POLICY_PATH);
+module.exports.PolicyEngine = PolicyEngine;
@@ -0,0 +1,189 @@
+/**
+ * Manual Review Queue
+ * Blocked logins wait here for an admin. Approving a case trusts its
+ * device/location and emails the user a one-time login link (only the
+ * token's hash is stored); confirming fraud counts a security incident.
+ * Every step is written to the review audit log.
+ */
+
+const crypto = require('crypto');
+const riskEngine = require('./riskEngine');
+const userService = require('./userService');
+const outbox = require('./outbox');
+
+const LOGIN_LINK_TTL = 24 * 60 * 60 * 1000;
+const BASE_URL = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+class ReviewQueue {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Queue a blocked attempt. Repeats from the same user, device and IP are
+   * folded into the open case instead of opening a new one.
+   */
+  enqueue(assessment, context, now = Date.now()) {
+    const snapshot = {
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      deviceId: context.deviceId,
+      deviceAttributes: context.deviceAttributes || null,
+      action: context.action
+    };
+
+    const open = this.store.listReviews({ status: 'pending', userId: context.userId })
+      .find(r => r.context.deviceId === snapshot.deviceId && r.context.ipAddress === snapshot.ipAddress);
+
+    if (open) {
+      this.store.updateReview(open.id, { assessmentId: assessment.id, attempts: open.attempts + 1, lastAttemptAt: now });
+      this.audit(open.id, 'system', 'attempt_repeated', { assessmentId: assessment.id, score: assessment.score }, now);
+      return this.store.getReview(open.id);
+    }
+
+    const review = {
+      id: crypto.randomUUID(),
+      userId: context.userId,
+      assessmentId: assessment.id,
+      status: 'pending',
+      context: snapshot,
+      attempts: 1,
+      createdAt: now,
+      lastAttemptAt: now
+    };
+
+    this.store.createReview(review);
+    this.audit(review.id, 'system', 'queued', { assessmentId: assessment.id, score: assessment.score }, now);
+    console.log(`🗂️  Blocked login for user ${context.userId} queued for review (${review.id})`);
+
+    return review;
+  }
+
+  list(filters) {
+    return this.store.listReviews(filters).map(publicReview);
+  }
+
+  /**
+   * A case with the blocked assessment, its explanation and the audit log
+   */
+  get(id) {
+    const review = this.store.getReview(id);
+    if (!review) return null;
+
+    const assessment = review.assessmentId ? riskEngine.getAssessment(review.assessmentId) : null;
+
+    return {
+      ...publicReview(review),
+      assessment,
+      explanation: assessment ? riskEngine.explainAssessment(assessment) : null,
+      audit: this.store.getReviewAudit(id)
+    };
+  }
+
+  /**
+   * Trust the attempt's device and/or location and email a one-time login link
+   */
+  async approve(id, reviewer, { trustDevice = true, trustLocation = true, note = null } = {}, now = Date.now()) {
+    const { review, error, status } = this.findPending(id);
+    if (error) return { success: false, status, error };
+
+    const user = userService.getById(review.userId);
+
+    riskEngine.trustContext(review.userId, review.context, { device: trustDevice, location: trustLocation });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = now + LOGIN_LINK_TTL;
+
+    this.store.updateReview(id, {
+      status: 'approved',
+      decidedAt: now,
+      decidedBy: reviewer,
+      note,
+      loginTokenHash: hashToken(token),
+      loginTokenExpiresAt: expiresAt
+    });
+    this.audit(id, reviewer, 'approved', { trustDevice, trustLocation, note, loginLinkExpiresAt: expiresAt }, now);
+
+    await outbox.send({
+      channel: 'email',
+      to: user.email,
+      subject: 'Your sign-in was approved',
+      body: `We reviewed your blocked sign-in and approved it. Use this link within 24 hours to log in (it works once): ` +
+        `${BASE_URL}/auth/review-login/${token}`
+    });
+
+    console.log(`✅ Review ${id} approved by ${reviewer}`);
+    return { success: true, review: publicReview(this.store.getReview(id)), loginLinkExpiresAt: expiresAt };
+  }
+
+  /**
+   * Record the attempt as fraud against the user's profile
+   */
+  confirmFraud(id, reviewer, { note = null } = {}, now = Date.now()) {
+    const { review, error, status } = this.findPending(id);
+    if (error) return { success: false, status, error };
+
+    riskEngine.recordSecurityIncident(review.userId);
+
+    this.store.updateReview(id, { status: 'fraud', decidedAt: now, decidedBy: reviewer, note });
+    this.audit(id, reviewer, 'fraud_confirmed', { note }, now);
+
+    console.log(`🚨 Review ${id} confirmed as fraud by ${reviewer}`);
+    return { success: true, review: publicReview(this.store.getReview(id)) };
+  }
+
+  /**
+   * Exchange a login link token for its approved case (once, before expiry)
+   */
+  redeem(token, context, now = Date.now()) {
+    const review = token ? this.store.getReviewByTokenHash(hashToken(token)) : null;
+
+    if (!review || review.status !== 'approved') {
+      return { success: false, error: 'This login link is not valid.' };
+    }
+    if (review.loginTokenUsedAt) {
+      return { success: false, error: 'This login link has already been used.' };
+    }
+    if (now > review.loginTokenExpiresAt) {
+      return { success: false, error: 'This login link has expired. Please log in again.' };
+    }
+
+    this.store.updateReview(review.id, { loginTokenUsedAt: now });
+    this.audit(review.id, review.userId, 'login_link_used', {
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    }, now);
+
+    return { success: true, review: publicReview(this.store.getReview(review.id)) };
+  }
+
+  findPending(id) {
+    const review = this.store.getReview(id);
+
+    if (!review) {
+      return { status: 404, error: 'Review not found' };
+    }
+    if (review.status !== 'pending') {
+      return { status: 409, error: `Review already ${review.status}` };
+    }
+
+    return { review };
+  }
+
+  audit(reviewId, actor, action, details, timestamp = Date.now()) {
+    this.store.recordReviewAudit({ reviewId, actor, action, details, timestamp });
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// The token hash never leaves the store
+function publicReview(review) {
+  const { loginTokenHash, ...rest } = review;
+  return rest;
+}
+
+module.exports = new ReviewQueue(riskEngine.store);
+module.exports.ReviewQueue = ReviewQueue;
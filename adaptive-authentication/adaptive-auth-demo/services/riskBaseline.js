@@ -0,0 +1,373 @@
+/**
+ * Statistical Behavioural Baselines
+ * Per-user decayed histograms of login hours and weekdays plus
+ * frequency-weighted devices and locations. Every observation decays the
+ * existing weights (half-life), so a one-off 3am login fades instead of
+ * becoming "typical" forever.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CONFIG = {
+  halfLifeDays: 30, // Weight of an observation halves every 30 days
+  learningPeriodDays: 7, // No statistical anomaly points before this...
+  minObservations: 5, // ...and before this many logins
+  minWeight: 0.25, // Devices/locations below this decayed weight are forgotten
+  rareShare: 0.1, // Bins/devices/locations with less than 10% of the weight are "rare"
+  zThreshold: 2, // Login hour anomaly starts at 2 standard deviations
+  pointsPerSigma: 7.5,
+  maxTimePoints: 30,
+  locationRadiusKm: 100
+};
+
+function createBaseline(now = Date.now()) {
+  return {
+    startedAt: now,
+    updatedAt: now,
+    observations: 0,
+    learningPeriodDays: null, // Per-profile override of config.learningPeriodDays
+    hours: new Array(24).fill(0),
+    weekdays: new Array(7).fill(0),
+    devices: {},
+    locations: {}
+  };
+}
+
+/**
+ * Seed a baseline from a profile created before baselines existed
+ */
+function fromLegacyProfile(profile, now = Date.now()) {
+  const baseline = createBaseline(profile.createdAt || now);
+  baseline.updatedAt = now;
+  baseline.observations = profile.loginCount || 0;
+
+  (profile.knownDevices || []).forEach(deviceId => {
+    baseline.devices[deviceId] = { weight: 1, count: 1, firstSeen: now, lastSeen: now };
+  });
+  (profile.knownLocations || []).forEach(geo => {
+    baseline.locations[locationKey(geo)] = {
+      country: geo.country, city: geo.city, ll: geo.ll, weight: 1, count: 1, firstSeen: now, lastSeen: now
+    };
+  });
+  (profile.typicalLoginHours || []).forEach(hour => {
+    baseline.hours[hour] = 1;
+  });
+
+  return baseline;
+}
+
+function decayFactor(baseline, now, config) {
+  const elapsedDays = Math.max(0, now - baseline.updatedAt) / DAY_MS;
+  return Math.pow(0.5, elapsedDays / config.halfLifeDays);
+}
+
+/**
+ * Decay existing weights to `now` and add one observation
+ */
+function observe(baseline, observation, config = DEFAULT_CONFIG) {
+  const date = new Date(observation.timestamp);
+
+  decay(baseline, observation.timestamp, config);
+
+  baseline.hours[date.getHours()] += 1;
+  baseline.weekdays[date.getDay()] += 1;
+  addPlaces(baseline, observation, config);
+
+  baseline.observations += 1;
+
+  return baseline;
+}
+
+/**
+ * Add a device and/or location vouched for outside a login (e.g. by an
+ * admin review). Login hours and the observation count are left alone.
+ */
+function trust(baseline, observation, config = DEFAULT_CONFIG) {
+  decay(baseline, observation.timestamp, config);
+  addPlaces(baseline, observation, config);
+
+  return baseline;
+}
+
+function decay(baseline, timestamp, config) {
+  const factor = decayFactor(baseline, timestamp, config);
+
+  baseline.hours = baseline.hours.map(w => w * factor);
+  baseline.weekdays = baseline.weekdays.map(w => w * factor);
+  Object.values(baseline.devices).forEach(d => { d.weight *= factor; });
+  Object.values(baseline.locations).forEach(l => { l.weight *= factor; });
+  baseline.updatedAt = timestamp;
+}
+
+function addPlaces(baseline, { timestamp, deviceId, deviceAttributes, deviceLabel, geo, ipAddress }, config) {
+  if (deviceId) {
+    // A revoked device that is vouched for again starts over
+    const existing = baseline.devices[deviceId];
+    const device = existing && !existing.revokedAt
+      ? existing
+      : { weight: 0, count: 0, firstSeen: timestamp, name: existing?.name };
+    device.weight += 1;
+    device.count += 1;
+    device.lastSeen = timestamp;
+    if (ipAddress) device.lastIp = ipAddress;
+    if (deviceLabel) device.label = deviceLabel;
+    // Latest attributes, so gradual drift (browser upgrades) keeps matching
+    if (deviceAttributes) device.attributes = deviceAttributes;
+    baseline.devices[deviceId] = device;
+  }
+
+  if (geo) {
+    const key = locationKey(geo);
+    const existing = baseline.locations[key];
+    const location = existing && !existing.revokedAt
+      ? existing
+      : { country: geo.country, city: geo.city, ll: geo.ll, weight: 0, count: 0, firstSeen: timestamp, name: existing?.name };
+    location.weight += 1;
+    location.count += 1;
+    location.lastSeen = timestamp;
+    if (ipAddress) location.lastIp = ipAddress;
+    baseline.locations[key] = location;
+  }
+
+  // Forget devices and locations whose weight has decayed away
+  prune(baseline.devices, config.minWeight);
+  prune(baseline.locations, config.minWeight);
+}
+
+function prune(entries, minWeight) {
+  Object.keys(entries).forEach(key => {
+    // Pinned and revoked entries are kept until the user changes them
+    if (entries[key].pinned || entries[key].revokedAt) return;
+    if (entries[key].weight < minWeight / 10) {
+      delete entries[key];
+    }
+  });
+}
+
+/**
+ * Whether the profile is still collecting data (no statistical anomaly points yet)
+ */
+function isLearning(baseline, now, config = DEFAULT_CONFIG) {
+  if (!baseline) return true;
+
+  const learningPeriodDays = baseline.learningPeriodDays ?? config.learningPeriodDays;
+  return baseline.observations < config.minObservations ||
+    now - baseline.startedAt < learningPeriodDays * DAY_MS;
+}
+
+/**
+ * How unusual a login hour is for this user.
+ * Returns the smoothed share of the hour's bin and a circular z-score
+ * (distance from the weighted mean hour in circular standard deviations).
+ */
+function hourAnomaly(baseline, hour) {
+  const total = sum(baseline.hours);
+  if (total === 0) return { share: 0, z: 0, meanHour: null };
+
+  // Neighbouring hours count half, so 8:55 and 9:05 logins support each other
+  const smoothed = baseline.hours[hour] +
+    0.5 * (baseline.hours[(hour + 23) % 24] + baseline.hours[(hour + 1) % 24]);
+  const share = smoothed / total;
+
+  let x = 0;
+  let y = 0;
+  baseline.hours.forEach((w, h) => {
+    const angle = (2 * Math.PI * h) / 24;
+    x += w * Math.cos(angle);
+    y += w * Math.sin(angle);
+  });
+
+  const resultant = Math.sqrt(x * x + y * y) / total;
+  const meanHour = ((Math.atan2(y, x) * 24) / (2 * Math.PI) + 24) % 24;
+  const sdHours = resultant > 0
+    ? (Math.sqrt(-2 * Math.log(resultant)) * 24) / (2 * Math.PI)
+    : Infinity;
+
+  const distance = Math.min(Math.abs(hour - meanHour), 24 - Math.abs(hour - meanHour));
+  const z = distance / Math.max(sdHours, 1);
+
+  return { share, z, meanHour };
+}
+
+function weekdayShare(baseline, day) {
+  const total = sum(baseline.weekdays);
+  return total === 0 ? 0 : baseline.weekdays[day] / total;
+}
+
+/**
+ * Anomaly points for a z-score
+ */
+function zPoints(z, config = DEFAULT_CONFIG) {
+  if (z < config.zThreshold) return 0;
+  return Math.min(config.maxTimePoints, Math.round(z * config.pointsPerSigma));
+}
+
+/**
+ * Decayed weight and share of a device
+ */
+function deviceStats(baseline, deviceId, now, config = DEFAULT_CONFIG) {
+  const factor = decayFactor(baseline, now, config);
+  const device = baseline.devices[deviceId];
+  const total = sum(Object.values(baseline.devices).filter(d => !d.revokedAt).map(d => d.weight));
+
+  if (device && device.revokedAt) return { known: false, revoked: true, weight: 0, share: 0 };
+  if (!device || total === 0) return { known: false, weight: 0, share: 0 };
+
+  const weight = device.weight * factor;
+  return {
+    known: device.pinned || weight >= config.minWeight,
+    pinned: Boolean(device.pinned),
+    weight,
+    share: device.weight / total
+  };
+}
+
+/**
+ * Decayed weight and share of locations near `geo`
+ */
+function locationStats(baseline, geo, now, distanceFn, config = DEFAULT_CONFIG) {
+  const factor = decayFactor(baseline, now, config);
+  const locations = Object.values(baseline.locations).filter(l => !l.revokedAt);
+  const total = sum(locations.map(l => l.weight));
+
+  const nearby = locations.filter(l =>
+    l.country === geo.country && l.ll && distanceFn(l, geo) < config.locationRadiusKm
+  );
+  const weight = sum(nearby.map(l => l.weight));
+
+  if (nearby.length === 0 || total === 0) return { known: false, weight: 0, share: 0 };
+
+  const pinned = nearby.some(l => l.pinned);
+  return { known: pinned || weight * factor >= config.minWeight, pinned, weight: weight * factor, share: weight / total };
+}
+
+/**
+ * Devices that are still remembered (or pinned), most used first
+ */
+function knownDevices(baseline, now, config = DEFAULT_CONFIG) {
+  const factor = decayFactor(baseline, now, config);
+  return Object.entries(baseline.devices)
+    .filter(([, d]) => isRemembered(d, factor, config))
+    .sort((a, b) => b[1].weight - a[1].weight)
+    .map(([deviceId]) => deviceId);
+}
+
+function knownLocations(baseline, now, config = DEFAULT_CONFIG) {
+  const factor = decayFactor(baseline, now, config);
+  return Object.values(baseline.locations)
+    .filter(l => isRemembered(l, factor, config))
+    .sort((a, b) => b.weight - a.weight)
+    .map(({ country, city, ll }) => ({ country, city, ll }));
+}
+
+function isRemembered(entry, factor, config) {
+  return !entry.revokedAt && (entry.pinned || entry.weight * factor >= config.minWeight);
+}
+
+/**
+ * Devices and locations with their user-facing details, for the devices page.
+ * Revoked entries are listed too, so the user can see what was revoked.
+ */
+function listPlaces(baseline, now, config = DEFAULT_CONFIG) {
+  const factor = decayFactor(baseline, now, config);
+  const details = (key, entry) => ({
+    key,
+    name: entry.name || null,
+    firstSeen: entry.firstSeen,
+    lastSeen: entry.lastSeen,
+    lastIp: entry.lastIp || null,
+    count: entry.count,
+    pinned: Boolean(entry.pinned),
+    revokedAt: entry.revokedAt || null,
+    known: isRemembered(entry, factor, config)
+  });
+  const byLastSeen = (a, b) => (b.lastSeen || 0) - (a.lastSeen || 0);
+
+  return {
+    devices: Object.entries(baseline.devices)
+      .map(([deviceId, d]) => ({ ...details(deviceId, d), label: d.label || null }))
+      .sort(byLastSeen),
+    locations: Object.entries(baseline.locations)
+      .map(([key, l]) => ({ ...details(key, l), country: l.country, city: l.city }))
+      .sort(byLastSeen)
+  };
+}
+
+/**
+ * Rename, pin/unpin or revoke a device or location
+ * @param {string} kind - 'devices' or 'locations'
+ * @param {Object} changes - { name, pinned, revoked }
+ * @returns {Object|null} the updated entry, or null if there is no such entry
+ */
+function updatePlace(baseline, kind, key, { name, pinned, revoked }, now = Date.now()) {
+  const entry = baseline[kind] && Object.prototype.hasOwnProperty.call(baseline[kind], key) ? baseline[kind][key] : null;
+  if (!entry) return null;
+
+  if (name !== undefined) {
+    entry.name = name || undefined;
+  }
+  if (pinned !== undefined) {
+    entry.pinned = pinned || undefined;
+  }
+  if (revoked) {
+    entry.revokedAt = now;
+    entry.pinned = undefined;
+  }
+
+  return entry;
+}
+
+/**
+ * Most common login hours, for display
+ */
+function usualHours(baseline, count = 3) {
+  const total = sum(baseline.hours);
+  return baseline.hours
+    .map((w, hour) => ({ hour, share: total ? w / total : 0 }))
+    .filter(h => h.share > 0)
+    .sort((a, b) => b.share - a.share)
+    .slice(0, count);
+}
+
+/**
+ * Summary of a baseline for display
+ */
+function describe(baseline, now = Date.now(), config = DEFAULT_CONFIG) {
+  const learningPeriodDays = baseline.learningPeriodDays ?? config.learningPeriodDays;
+
+  return {
+    learning: isLearning(baseline, now, config),
+    learningUntil: baseline.startedAt + learningPeriodDays * DAY_MS,
+    observations: baseline.observations,
+    minObservations: config.minObservations,
+    usualHours: usualHours(baseline)
+  };
+}
+
+function locationKey(geo) {
+  return `${geo.country}|${geo.city || ''}`;
+}
+
+function sum(values) {
+  return values.reduce((a, b) => a + b, 0);
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  createBaseline,
+  fromLegacyProfile,
+  observe,
+  trust,
+  isLearning,
+  hourAnomaly,
+  weekdayShare,
+  zPoints,
+  deviceStats,
+  locationStats,
+  knownDevices,
+  knownLocations,
+  listPlaces,
+  updatePlace,
+  usualHours,
+  describe
+};
@@ -1,64 +1,194 @@
 const geoip = require('geoip-lite');
 const UAParser = require('ua-parser-js');
 const crypto = require('crypto');
+const policyEngine = require('./policyEngine');
+const riskBaseline = require('./riskBaseline');
+const ipIntelligence = require('./ipIntelligence');
+const travelAnalyzer = require('./travelAnalyzer');
+const deviceMatcher = require('./deviceMatcher');
+const VelocityTracker = require('./velocityTracker');
+const { createRiskStore } = require('../database');
 
 class RiskEngine {
-  constructor() {
-    this.userProfiles = new Map();
-    this.loginAttempts = new Map();
+  /**
+   * @param {RiskStore} store - Storage adapter for profiles, attempts and assessments
+   * @param {Object} options - Replaceable dependencies (for simulations and replays)
+   * @param {PolicyEngine} options.policy - Risk policy (default: the shared policy engine)
+   * @param {IpIntelligence} options.ipIntel - IP reputation feeds
+   * @param {Function} options.clock - () -> epoch ms
+   * @param {Function} options.geoLookup - ip -> geoip-lite style record or null
+   */
+  constructor(store, {
+    policy = policyEngine,
+    ipIntel = ipIntelligence,
+    clock = () => Date.now(),
+    geoLookup = ip => geoip.lookup(ip)
+  } = {}) {
+    this.store = store;
+    this.policy = policy;
+    this.ipIntel = ipIntel;
+    this.clock = clock;
+    this.geoLookup = geoLookup;
+    this.velocity = new VelocityTracker(store, () => this.policy.getVelocityConfig());
   }
 
   /**
    * Calculate comprehensive risk score for authentication attempt
    */
   async calculateRiskScore(context) {
+    const reasons = [];
+    this.resolveDevice(context);
+    const travel = this.analyzeTravel(context);
+    const velocity = this.evaluateVelocity(context);
     const scores = {
-      device: this.assessDeviceRisk(context),
-      location: this.assessLocationRisk(context),
-      time: this.assessTimeRisk(context),
-      behavioral: this.assessBehavioralRisk(context),
-      historical: this.assessHistoricalRisk(context)
+      device: this.assessDeviceRisk(context, reasons),
+      location: this.assessLocationRisk(context, reasons, travel),
+      time: this.assessTimeRisk(context, reasons),
+      behavioral: this.assessBehavioralRisk(context, reasons, velocity),
+      historical: this.assessHistoricalRisk(context, reasons),
+      anonymizer: this.assessAnonymizerRisk(context, reasons),
+      reputation: this.assessReputationRisk(context, reasons)
     };
 
-    // Weighted calculation
-    const weights = {
-      device: 0.25,
-      location: 0.30,
-      time: 0.15,
-      behavioral: 0.20,
-      historical: 0.10
-    };
+    // Weighted calculation (weights come from the active policy)
+    const weights = this.policy.getWeights(context.action);
 
     const totalScore = Object.keys(scores).reduce((sum, key) => {
-      return sum + (scores[key] * weights[key]);
+      return sum + (scores[key] * (weights[key] || 0));
     }, 0);
 
-    const riskLevel = this.getRiskLevel(totalScore);
-    const recommendation = this.getRecommendation(totalScore, riskLevel);
+    const riskLevel = this.getRiskLevel(totalScore, context.action);
+    const facts = {
+      ...this.buildPolicyFacts(context, scores, totalScore, riskLevel),
+      travel,
+      velocity: { pressure: velocity.pressure, requireCaptcha: velocity.requireCaptcha, exempt: velocity.exempt }
+    };
+    const decision = this.policy.evaluate(totalScore, facts);
 
-    return {
+    const assessment = {
+      id: crypto.randomUUID(),
       score: Math.round(totalScore),
       level: riskLevel,
       breakdown: scores,
-      recommendation,
+      reasons,
+      recommendation: decision.recommendation,
+      matchedRule: decision.matchedRule,
+      policyVersion: decision.policyVersion,
+      travel,
+      velocity,
+      device: { id: context.deviceId, match: context.deviceMatch || null },
       factors: this.identifyTopFactors(scores),
-      timestamp: Date.now()
+      timestamp: this.clock()
+    };
+
+    // Audit trail: everything needed to reconstruct the decision later
+    this.store.saveAssessment({
+      id: assessment.id,
+      userId: context.userId,
+      action: context.action,
+      score: assessment.score,
+      level: assessment.level,
+      decision: assessment.recommendation.action,
+      breakdown: scores,
+      weights,
+      reasons,
+      recommendation: assessment.recommendation,
+      matchedRule: assessment.matchedRule,
+      policyVersion: assessment.policyVersion,
+      context: { ...this.buildAuditContext(context), travel, velocity: { pressure: velocity.pressure, counts: velocity.counts } },
+      timestamp: assessment.timestamp
+    });
+
+    return assessment;
+  }
+
+  /**
+   * Record a sub-rule that changed a factor's score and return its points
+   */
+  explain(reasons, factor, rule, points, description) {
+    reasons.push({ factor, rule, points, description });
+    return points;
+  }
+
+  /**
+   * Input context as stored in the audit trail (no session data)
+   */
+  buildAuditContext(context) {
+    const geo = this.lookupGeo(context.ipAddress);
+
+    return {
+      userId: context.userId,
+      action: context.action,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      deviceId: context.deviceId,
+      deviceAttributes: context.deviceAttributes || null,
+      timestamp: context.timestamp || null,
+      geo: geo ? { country: geo.country, region: geo.region, city: geo.city, ll: geo.ll } : null,
+      network: this.lookupNetwork(context.ipAddress, geo),
+      deviceMatch: context.deviceMatch || null,
+      ...(context.clientId && { clientId: context.clientId })
+    };
+  }
+
+  /**
+   * Build the facts that policy rule conditions are evaluated against
+   */
+  buildPolicyFacts(context, scores, score, level) {
+    const profile = this.getUserProfile(context.userId);
+    const geo = this.lookupGeo(context.ipAddress);
+    const now = new Date(this.clock());
+    const network = this.lookupNetwork(context.ipAddress, geo);
+
+    return {
+      action: context.action,
+      userId: context.userId,
+      ipAddress: context.ipAddress,
+      score,
+      level,
+      breakdown: scores,
+      country: geo?.country || null,
+      city: geo?.city || null,
+      knownCountries: [...new Set((profile?.knownLocations || []).map(loc => loc.country))],
+      knownDevice: (profile?.knownDevices || []).includes(context.deviceId),
+      revokedDevice: Boolean(this.getBaseline(profile)?.devices[context.deviceId]?.revokedAt),
+      network: { ...network, anonymizer: network.tor || network.vpn || network.hosting },
+      newUser: !profile,
+      hour: now.getHours(),
+      day: now.getDay()
     };
   }
 
   /**
    * Assess device risk
    */
-  assessDeviceRisk(context) {
+  assessDeviceRisk(context, reasons = []) {
     let risk = 0;
     const { deviceId, userAgent, session } = context;
 
-    // Check if device is known
-    const knownDevices = this.getUserProfile(context.userId)?.knownDevices || [];
-    const isKnownDevice = knownDevices.includes(deviceId);
-
-    if (!isKnownDevice) {
-      risk += 40; // Unknown device
+    // Check if device is known, and how often it is used
+    const now = context.timestamp || this.clock();
+    const config = this.getBaselineConfig();
+    const baseline = this.getBaseline(this.getUserProfile(context.userId));
+    const stats = baseline ? riskBaseline.deviceStats(baseline, deviceId, now, config) : { known: false };
+
+    const match = context.deviceMatch;
+    const deviceConfig = this.getDeviceConfig();
+
+    if (stats.revoked) {
+      risk += this.explain(reasons, 'device', 'revoked_device', 60, 'Device was revoked by the account owner');
+    } else if (!stats.known && match) {
+      // Similar to a known device: graded instead of all-or-nothing
+      risk += this.explain(reasons, 'device', 'similar_device', deviceMatcher.gradedPoints(match.similarity, 40, deviceConfig),
+        `Similar to a known device (${Math.round(match.similarity * 100)}% match, changed: ${match.changed.join(', ')})`);
+    } else if (!stats.known) {
+      risk += this.explain(reasons, 'device', 'unknown_device', 40, 'Unknown device');
+    } else if (match && match.changed.length > 0) {
+      risk += this.explain(reasons, 'device', 'device_changed', deviceMatcher.gradedPoints(match.similarity, 40, deviceConfig),
+        `Known device with changed attributes (${match.changed.join(', ')})`);
+    } else if (!riskBaseline.isLearning(baseline, now, config) && stats.share < config.rareShare) {
+      risk += this.explain(reasons, 'device', 'rarely_used_device', 15,
+        `Rarely used device (${Math.round(stats.share * 100)}% of recent logins)`);
     }
 
     // Parse user agent
@@ -69,75 +199,183 @@ class RiskEngine {
 
     // Check for suspicious patterns
     if (!browser.name) {
-      risk += 20; // No browser detected (possible bot)
+      risk += this.explain(reasons, 'device', 'no_browser', 20, 'No browser detected (possible bot)');
     }
 
     // Check for outdated OS
     if (os.version && this.isOSOutdated(os.name, os.version)) {
-      risk += 15;
+      risk += this.explain(reasons, 'device', 'outdated_os', 15, `Outdated OS (${os.name} ${os.version})`);
     }
 
     // Device type risk
     if (device.type === 'mobile') {
-      risk -= 5; // Mobile devices slightly less risky
+      risk += this.explain(reasons, 'device', 'mobile_device', -5, 'Mobile device (slightly less risky)');
     }
 
     return Math.min(100, risk);
   }
 
+  /**
+   * Map collector attributes to a device: the exact device if known, the
+   * most similar known device if close enough (the attempt takes over its
+   * ID so the baseline keeps learning it), otherwise a new device ID.
+   * Revoked devices are matched too: a revoked device that comes back with
+   * a changed attribute (browser update, screen size) is still revoked.
+   * Sets context.deviceId and context.deviceMatch.
+   */
+  resolveDevice(context) {
+    if (!context.deviceAttributes) return;
+
+    const config = this.getDeviceConfig();
+    const baseline = this.getBaseline(this.getUserProfile(context.userId));
+    const devices = baseline ? baseline.devices : {};
+    const exactId = deviceMatcher.fingerprint(context.deviceAttributes);
+
+    if (devices[exactId]) {
+      context.deviceId = exactId;
+      context.deviceMatch = null;
+      return;
+    }
+
+    const match = deviceMatcher.bestMatch(devices, context.deviceAttributes, config);
+    const revoked = Boolean(match && devices[match.deviceId].revokedAt);
+    context.deviceId = match && (match.same || revoked) ? match.deviceId : exactId;
+    context.deviceMatch = match && { ...match, revoked };
+  }
+
+  getDeviceConfig() {
+    return { ...deviceMatcher.DEFAULT_CONFIG, ...this.policy.getDeviceConfig() };
+  }
+
   /**
    * Assess location risk
    */
-  assessLocationRisk(context) {
+  assessLocationRisk(context, reasons = [], travel = this.analyzeTravel(context)) {
     let risk = 0;
     const { ipAddress, userId } = context;
 
     // Get geo location
-    const geo = geoip.lookup(ipAddress);
+    const geo = this.lookupGeo(ipAddress);
 
     if (!geo) {
-      risk += 30; // Unable to determine location
+      risk += this.explain(reasons, 'location', 'unknown_location', 30, 'Unable to determine location');
       return Math.min(100, risk);
     }
 
-    // Check known locations
+    // Check known locations, weighted by how often they are used
+    const now = context.timestamp || this.clock();
+    const config = this.getBaselineConfig();
     const profile = this.getUserProfile(userId);
-    const knownLocations = profile?.knownLocations || [];
+    const baseline = this.getBaseline(profile);
+    const stats = baseline
+      ? riskBaseline.locationStats(baseline, geo, now, (a, b) => this.calculateDistance(a, b), config)
+      : { known: false };
+
+    if (!stats.known) {
+      risk += this.explain(reasons, 'location', 'new_location', 35, `New location (${geo.city || geo.country})`);
+    } else if (!riskBaseline.isLearning(baseline, now, config) && stats.share < config.rareShare) {
+      risk += this.explain(reasons, 'location', 'rare_location', 10,
+        `Rarely used location (${geo.city || geo.country}, ${Math.round(stats.share * 100)}% of recent logins)`);
+    }
+
+    // Impossible travel against recent attempts (including failed ones)
+    if (travel.impossible) {
+      const { from } = travel;
+      risk += this.explain(reasons, 'location', 'impossible_travel', 60,
+        `Impossible travel from ${from.city || from.country} ` +
+        `(${travel.distanceKm} km in ${travel.elapsedMinutes} min, ${travel.speedKmh} km/h` +
+        `${from.success ? '' : ', after a failed attempt'})`);
+    }
 
-    const isKnownLocation = knownLocations.some(loc =>
-      loc.country === geo.country && this.calculateDistance(loc, geo) < 100
+    return Math.min(100, risk);
+  }
+
+  /**
+   * Fastest travel implied by the recent attempt history
+   */
+  analyzeTravel(context) {
+    return travelAnalyzer.analyze(
+      this.getLoginAttempts(context.userId),
+      { timestamp: context.timestamp || this.clock(), ipAddress: context.ipAddress },
+      {
+        lookupGeo: ip => this.lookupGeo(ip),
+        lookupNetwork: ip => this.lookupNetwork(ip, null),
+        distance: (a, b) => this.calculateDistance(a, b)
+      },
+      { ...travelAnalyzer.DEFAULT_CONFIG, ...this.policy.getTravelConfig() }
     );
+  }
 
-    if (!isKnownLocation) {
-      risk += 35; // New location
+  /**
+   * Assess anonymizer risk (Tor, VPN, hosting ranges from the IP feeds)
+   */
+  assessAnonymizerRisk(context, reasons = []) {
+    let risk = 0;
+    const network = this.lookupNetwork(context.ipAddress);
+
+    if (network.allowlisted) {
+      return 0;
     }
 
-    // Check for high-risk countries
-    const highRiskCountries = ['XX', 'YY']; // Placeholder
-    if (highRiskCountries.includes(geo.country)) {
-      risk += 25;
+    if (network.tor) {
+      risk += this.explain(reasons, 'anonymizer', 'tor_exit_node', 80, 'Tor exit node');
     }
 
-    // Impossible travel detection
-    if (profile?.lastLocation) {
-      const timeDiff = Date.now() - profile.lastLocationTime;
-      const distance = this.calculateDistance(profile.lastLocation, geo);
-      const speed = (distance / (timeDiff / 3600000)); // km/h
+    if (network.vpn) {
+      risk += this.explain(reasons, 'anonymizer', 'vpn', 40,
+        `Commercial VPN${network.asn ? ` (${network.asn})` : ''}`);
+    }
 
-      if (speed > 900) { // Faster than airplane
-        risk += 60; // Impossible travel
-      }
+    if (network.hosting) {
+      risk += this.explain(reasons, 'anonymizer', 'hosting_provider', 30,
+        `Hosting/cloud network${network.asn ? ` (${network.asn})` : ''}`);
+    }
+
+    return Math.min(100, risk);
+  }
+
+  /**
+   * Assess IP reputation risk (deny lists, high-risk countries)
+   */
+  assessReputationRisk(context, reasons = []) {
+    let risk = 0;
+    const geo = this.lookupGeo(context.ipAddress);
+    const network = this.lookupNetwork(context.ipAddress, geo);
+
+    if (network.denylisted) {
+      const match = network.matches.find(m => m.category === 'deny');
+      return this.explain(reasons, 'reputation', 'denylisted_network', 100,
+        `Deny-listed network (${match.label || match.cidr})`);
+    }
+
+    if (network.highRiskCountry) {
+      risk += this.explain(reasons, 'reputation', 'high_risk_country', 50, `High-risk country (${geo.country})`);
     }
 
     return Math.min(100, risk);
   }
 
+  /**
+   * GeoIP record for an address (geoip-lite unless replaced)
+   */
+  lookupGeo(ipAddress) {
+    return this.geoLookup(ipAddress);
+  }
+
+  /**
+   * IP feed signals for an address
+   */
+  lookupNetwork(ipAddress, geo = this.lookupGeo(ipAddress)) {
+    const { matches, ...signals } = this.ipIntel.lookup(ipAddress, geo?.country);
+    return { ...signals, matches: matches.map(({ feed, category, cidr, label }) => ({ feed, category, cidr, label })) };
+  }
+
   /**
    * Assess time-based risk
    */
-  assessTimeRisk(context) {
+  assessTimeRisk(context, reasons = []) {
     let risk = 0;
-    const now = new Date();
+    const now = new Date(context.timestamp || this.clock());
     const hour = now.getHours();
     const day = now.getDay();
 
@@ -145,25 +383,34 @@ class RiskEngine {
     const isBusinessHours = (day >= 1 && day <= 5) && (hour >= 9 && hour <= 17);
 
     if (!isBusinessHours) {
-      risk += 20; // Outside business hours
+      risk += this.explain(reasons, 'time', 'outside_business_hours', 20, 'Outside business hours');
     }
 
     // Late night/early morning (1 AM - 5 AM)
     if (hour >= 1 && hour <= 5) {
-      risk += 15;
+      risk += this.explain(reasons, 'time', 'late_night', 15, 'Late night / early morning');
     }
 
     // Weekend
     if (day === 0 || day === 6) {
-      risk += 10;
+      risk += this.explain(reasons, 'time', 'weekend', 10, 'Weekend');
     }
 
-    // Check user's typical login times
-    const profile = this.getUserProfile(context.userId);
-    if (profile?.typicalLoginHours) {
-      const isTypicalTime = profile.typicalLoginHours.includes(hour);
-      if (!isTypicalTime) {
-        risk += 15;
+    // Compare with the user's decayed login-time baseline (after the learning period)
+    const config = this.getBaselineConfig();
+    const baseline = this.getBaseline(this.getUserProfile(context.userId));
+
+    if (baseline && !riskBaseline.isLearning(baseline, now.getTime(), config)) {
+      const { share, z, meanHour } = riskBaseline.hourAnomaly(baseline, hour);
+      const points = share < config.rareShare ? riskBaseline.zPoints(z, config) : 0;
+
+      if (points > 0) {
+        risk += this.explain(reasons, 'time', 'atypical_hour', points,
+          `Unusual login hour for this user (${hour}:00 is ${z.toFixed(1)}σ from the usual ${Math.round(meanHour) % 24}:00)`);
+      }
+
+      if (riskBaseline.weekdayShare(baseline, day) < config.rareShare) {
+        risk += this.explain(reasons, 'time', 'atypical_weekday', 10, 'Unusual day of the week for this user');
       }
     }
 
@@ -173,30 +420,38 @@ class RiskEngine {
   /**
    * Assess behavioral risk
    */
-  assessBehavioralRisk(context) {
+  assessBehavioralRisk(context, reasons = [], velocity = this.evaluateVelocity(context)) {
     let risk = 0;
     const { userId, action } = context;
 
     // Check failed login attempts
     const attempts = this.getLoginAttempts(userId);
     const recentFailures = attempts.filter(a =>
-      !a.success && (Date.now() - a.timestamp < 15 * 60 * 1000)
+      !a.success && (this.clock() - a.timestamp < 15 * 60 * 1000)
     ).length;
 
-    risk += Math.min(40, recentFailures * 10);
+    if (recentFailures > 0) {
+      risk += this.explain(reasons, 'behavioral', 'recent_failures', Math.min(40, recentFailures * 10),
+        `${recentFailures} failed attempt(s) in the last 15 minutes`);
+    }
 
     // Check for rapid requests
     const recentRequests = attempts.filter(a =>
-      Date.now() - a.timestamp < 60 * 1000
+      this.clock() - a.timestamp < 60 * 1000
     ).length;
 
     if (recentRequests > 5) {
-      risk += 20; // Possible automation
+      risk += this.explain(reasons, 'behavioral', 'rapid_requests', 20, `${recentRequests} attempts in the last minute (possible automation)`);
     }
 
+    // Cross-account velocity from the same IP, subnet or device
+    velocity.signals.forEach(signal => {
+      risk += this.explain(reasons, 'behavioral', signal.rule, signal.points, signal.description);
+    });
+
     // Sensitive action
     if (action === 'transfer' || action === 'change_email' || action === 'change_password') {
-      risk += 15; // Higher risk for sensitive actions
+      risk += this.explain(reasons, 'behavioral', 'sensitive_action', 15, `Sensitive action (${action})`);
     }
 
     return Math.min(100, risk);
@@ -205,34 +460,35 @@ class RiskEngine {
   /**
    * Assess historical risk
    */
-  assessHistoricalRisk(context) {
+  assessHistoricalRisk(context, reasons = []) {
     let risk = 0;
     const { userId } = context;
 
     const profile = this.getUserProfile(userId);
 
     if (!profile) {
-      return 30; // New user
+      return this.explain(reasons, 'historical', 'new_user', 30, 'No risk history for this user');
     }
 
     // Account age
-    const accountAge = Date.now() - profile.createdAt;
+    const accountAge = this.clock() - profile.createdAt;
     const daysSinceCreation = accountAge / (1000 * 60 * 60 * 24);
 
     if (daysSinceCreation < 7) {
-      risk += 25; // Very new account
+      risk += this.explain(reasons, 'historical', 'very_new_account', 25, 'Account less than 7 days old');
     } else if (daysSinceCreation < 30) {
-      risk += 15; // New account
+      risk += this.explain(reasons, 'historical', 'new_account', 15, 'Account less than 30 days old');
     }
 
     // Security incidents
     if (profile.securityIncidents > 0) {
-      risk += Math.min(30, profile.securityIncidents * 10);
+      risk += this.explain(reasons, 'historical', 'security_incidents', Math.min(30, profile.securityIncidents * 10),
+        `${profile.securityIncidents} previous security incident(s)`);
     }
 
     // Login frequency
     if (profile.loginCount < 5) {
-      risk += 20; // Infrequent user
+      risk += this.explain(reasons, 'historical', 'infrequent_user', 20, `Only ${profile.loginCount} previous login(s)`);
     }
 
     return Math.min(100, risk);
@@ -241,57 +497,15 @@ class RiskEngine {
   /**
    * Get risk level from score
    */
-  getRiskLevel(score) {
-    if (score < 20) return 'VERY_LOW';
-    if (score < 40) return 'LOW';
-    if (score < 60) return 'MEDIUM';
-    if (score < 80) return 'HIGH';
-    return 'CRITICAL';
+  getRiskLevel(score, action) {
+    return this.policy.resolveThreshold(score, action).level;
   }
 
   /**
    * Get authentication recommendation
    */
-  getRecommendation(score, level) {
-    if (score < 20) {
-      return {
-        action: 'ALLOW',
-        message: 'Low risk detected. Access granted.',
-        requireMFA: false,
-        monitoring: 'standard'
-      };
-    } else if (score < 40) {
-      return {
-        action: 'ALLOW',
-        message: 'Low-medium risk detected. Access granted with enhanced monitoring.',
-        requireMFA: false,
-        monitoring: 'enhanced'
-      };
-    } else if (score < 60) {
-      return {
-        action: 'CHALLENGE',
-        message: 'Medium risk detected. Please verify your identity.',
-        requireMFA: true,
-        mfaType: 'email_or_sms',
-        monitoring: 'enhanced'
-      };
-    } else if (score < 80) {
-      return {
-        action: 'CHALLENGE',
-        message: 'High risk detected. Additional verification required.',
-        requireMFA: true,
-        mfaType: 'strong_mfa',
-        additionalVerification: true,
-        monitoring: 'strict'
-      };
-    } else {
-      return {
-        action: 'BLOCK',
-        message: 'Critical risk detected. Access denied for security reasons.',
-        requireManualReview: true,
-        notifySecurityTeam: true
-      };
-    }
+  getRecommendation(score, level, facts = {}) {
+    return this.policy.evaluate(score, { level, ...facts }).recommendation;
   }
 
   /**
@@ -351,45 +565,259 @@ class RiskEngine {
    * User profile management
    */
   getUserProfile(userId) {
-    return this.userProfiles.get(userId);
+    return this.store.getProfile(userId);
   }
 
   updateUserProfile(userId, data) {
-    const profile = this.userProfiles.get(userId) || {
-      createdAt: Date.now(),
+    const profile = this.store.getProfile(userId) || {
+      createdAt: this.clock(),
       knownDevices: [],
       knownLocations: [],
-      typicalLoginHours: [],
       loginCount: 0,
       securityIncidents: 0
     };
 
-    this.userProfiles.set(userId, { ...profile, ...data });
+    this.store.saveProfile(userId, { ...profile, ...data });
+  }
+
+  /**
+   * Learn from a successful login: update the statistical baseline and the
+   * derived known device/location lists
+   * @returns {Object} { newDevice } - the device was not known before (and the user had others)
+   */
+  learnFromLogin(userId, context) {
+    const now = context.timestamp || this.clock();
+    const config = this.getBaselineConfig();
+    const profile = this.getUserProfile(userId) || {};
+    const previous = this.getBaseline(profile);
+    const newDevice = Boolean(previous && Object.keys(previous.devices).length > 0 &&
+      !riskBaseline.deviceStats(previous, context.deviceId, now, config).known);
+
+    this.updateBaseline(userId, baseline => riskBaseline.observe(baseline, {
+      timestamp: now,
+      ...this.describePlace(context, { device: true, location: true })
+    }, config), { now, loginCount: (profile.loginCount || 0) + 1 });
+
+    return { newDevice };
+  }
+
+  /**
+   * Add the device and/or location of a reviewed attempt to the trusted profile
+   */
+  trustContext(userId, context, { device = true, location = true } = {}) {
+    const now = this.clock();
+    const config = this.getBaselineConfig();
+
+    this.updateBaseline(userId, baseline => riskBaseline.trust(baseline, {
+      timestamp: now,
+      ...this.describePlace(context, { device, location })
+    }, config), { now });
+  }
+
+  /**
+   * Change a user's baseline and save it with the derived known device/location lists
+   * @param {Function} change - baseline -> any (mutates the baseline)
+   * @param {Object} options - { now, ...extra profile fields }
+   * @returns whatever `change` returned
+   */
+  updateBaseline(userId, change, { now = this.clock(), ...data } = {}) {
+    const config = this.getBaselineConfig();
+    const baseline = this.getBaseline(this.getUserProfile(userId)) || riskBaseline.createBaseline(now);
+    const result = change(baseline);
+
+    this.updateUserProfile(userId, {
+      ...data,
+      baseline,
+      knownDevices: riskBaseline.knownDevices(baseline, now, config),
+      knownLocations: riskBaseline.knownLocations(baseline, now, config)
+    });
+
+    return result;
+  }
+
+  /**
+   * Device and location details of an attempt, as stored in the baseline
+   */
+  describePlace(context, { device, location }) {
+    const { browser, os } = new UAParser(context.userAgent || '').getResult();
+
+    return {
+      deviceId: device ? context.deviceId : null,
+      deviceAttributes: context.deviceAttributes,
+      deviceLabel: `${browser.name || 'Unknown browser'} on ${os.name || 'unknown OS'}`,
+      geo: location ? this.lookupGeo(context.ipAddress) : null,
+      ipAddress: context.ipAddress
+    };
+  }
+
+  /**
+   * Apply the final outcome of an assessed login, reported by an API client:
+   * success teaches the baseline, failure counts as a failed attempt and
+   * fraud as a security incident
+   */
+  reportOutcome(record, outcome, clientId, now = this.clock()) {
+    const context = { ...record.context, timestamp: record.context.timestamp || record.timestamp };
+
+    if (outcome === 'success') {
+      this.learnFromLogin(record.userId, context);
+    } else if (outcome === 'failure') {
+      this.recordLoginAttempt(record.userId, false, context);
+    } else if (outcome === 'fraud') {
+      this.recordSecurityIncident(record.userId);
+    } else {
+      throw new Error(`Unknown outcome "${outcome}"`);
+    }
+
+    this.store.saveOutcome({ assessmentId: record.id, clientId, outcome, reportedAt: now });
+  }
+
+  getOutcome(assessmentId) {
+    return this.store.getOutcome(assessmentId);
+  }
+
+  recordSecurityIncident(userId) {
+    const profile = this.getUserProfile(userId) || {};
+    this.updateUserProfile(userId, { securityIncidents: (profile.securityIncidents || 0) + 1 });
+  }
+
+  /**
+   * Override the learning period for one user (null restores the policy default)
+   */
+  setLearningPeriod(userId, days) {
+    this.updateBaseline(userId, baseline => {
+      baseline.learningPeriodDays = days;
+    });
+  }
+
+  /**
+   * Statistical baseline of a profile (seeded from legacy lists if missing)
+   */
+  getBaseline(profile) {
+    if (!profile || (!profile.baseline && !profile.knownDevices)) return null;
+    return profile.baseline || riskBaseline.fromLegacyProfile(profile);
+  }
+
+  /**
+   * Learning status and usual login hours of a user, for display
+   */
+  describeBaseline(userId) {
+    const baseline = this.getBaseline(this.getUserProfile(userId));
+    return baseline ? riskBaseline.describe(baseline, this.clock(), this.getBaselineConfig()) : null;
+  }
+
+  /**
+   * Devices and locations of a baseline with their user-facing details
+   */
+  listPlaces(baseline) {
+    return riskBaseline.listPlaces(baseline, this.clock(), this.getBaselineConfig());
+  }
+
+  /**
+   * Rename, pin or revoke a device or location of a user's baseline
+   */
+  updatePlace(userId, kind, key, changes) {
+    const now = this.clock();
+    return this.updateBaseline(userId, baseline => riskBaseline.updatePlace(baseline, kind, key, changes, now), { now });
+  }
+
+  getBaselineConfig() {
+    return { ...riskBaseline.DEFAULT_CONFIG, ...this.policy.getBaselineConfig() };
   }
 
   /**
    * Login attempts tracking
    */
   recordLoginAttempt(userId, success, context) {
-    const attempts = this.loginAttempts.get(userId) || [];
-    attempts.push({
-      timestamp: Date.now(),
+    const timestamp = context.timestamp || this.clock();
+
+    this.store.recordAttempt(userId, {
+      timestamp,
       success,
       ipAddress: context.ipAddress,
       deviceId: context.deviceId
     });
+    this.velocity.record({ subject: userId, ipAddress: context.ipAddress, deviceId: context.deviceId, success, timestamp });
+  }
+
+  /**
+   * Failed attempt for a username that does not exist (counts toward velocity only)
+   */
+  recordUnknownUserAttempt(username, context) {
+    this.velocity.record({
+      subject: `?${String(username).toLowerCase()}`,
+      ipAddress: context.ipAddress,
+      deviceId: context.deviceId,
+      success: false,
+      timestamp: context.timestamp || this.clock()
+    });
+  }
+
+  /**
+   * Cross-account velocity for an attempt's IP, subnet and device.
+   * Allowlisted and same-org networks (offices behind NAT) are exempt.
+   */
+  evaluateVelocity(context) {
+    const network = this.lookupNetwork(context.ipAddress);
 
-    // Keep only last 100 attempts
-    if (attempts.length > 100) {
-      attempts.shift();
+    if (network.allowlisted || network.sameOrg) {
+      return { counts: {}, signals: [], pressure: 0, delayMs: 0, requireCaptcha: false, exempt: true };
     }
 
-    this.loginAttempts.set(userId, attempts);
+    return { ...this.velocity.evaluate(context, this.clock()), exempt: false };
   }
 
   getLoginAttempts(userId) {
-    return this.loginAttempts.get(userId) || [];
+    return this.store.getAttempts(userId);
+  }
+
+  getAssessments(userId, limit) {
+    return this.store.getAssessments(userId, limit);
+  }
+
+  /**
+   * Risk audit trail
+   */
+  getAssessment(id) {
+    return this.store.getAssessment(id);
+  }
+
+  searchAssessments(filters) {
+    return this.store.searchAssessments(filters);
+  }
+
+  /**
+   * Human-readable reconstruction of a stored assessment
+   */
+  explainAssessment(record) {
+    const lines = Object.entries(record.breakdown).map(([factor, score]) => {
+      const weight = record.weights?.[factor] ?? 0;
+      const rules = record.reasons
+        .filter(r => r.factor === factor)
+        .map(r => `${r.description} ${r.points >= 0 ? '+' : ''}${r.points}`);
+
+      return `${factor}: ${score} × ${weight} = ${(score * weight).toFixed(1)}` +
+        (rules.length > 0 ? ` (${rules.join(', ')})` : '');
+    });
+
+    const travel = record.context?.travel;
+    if (travel?.from) {
+      lines.push(`Travel from ${travel.from.city || travel.from.country}: ${travel.distanceKm} km ` +
+        `(${travel.effectiveDistanceKm} km after accuracy) in ${travel.elapsedMinutes} min = ${travel.speedKmh} km/h`);
+    }
+
+    lines.push(`Total score ${record.score} → ${record.level} under policy ${record.policyVersion}`);
+
+    if (record.matchedRule) {
+      lines.push(record.matchedRule.applied
+        ? `Rule "${record.matchedRule.id}" applied outcome "${record.matchedRule.outcome}"`
+        : `Rule "${record.matchedRule.id}" matched but the threshold outcome was already stricter`);
+    }
+
+    lines.push(`Decision: ${record.decision}${record.recommendation?.mfaType ? ` (${record.recommendation.mfaType})` : ''}`);
+
+    return lines;
   }
 }
 
-module.exports = new RiskEngine();
+module.exports = new RiskEngine(createRiskStore());
+module.exports.RiskEngine = RiskEngine;
@@ -0,0 +1,218 @@
+/**
+ * Session Risk Monitor
+ * Re-evaluates authenticated sessions on every request. IP, user agent
+ * and device fingerprint drift add points to a rolling session score that
+ * decays over time; crossing the policy thresholds downgrades the session
+ * (step-up required again) or revokes it. Step-up freshness is a timestamp
+ * in the session, so it survives restarts and needs no timers.
+ */
+
+const { parseIp } = require('./cidrTrie');
+const riskEngine = require('./riskEngine');
+const policyEngine = require('./policyEngine');
+const challengeService = require('./challengeService');
+
+const DEFAULT_CONFIG = {
+  halfLifeMinutes: 10, // Drift points halve every 10 minutes
+  stepupFreshnessMinutes: 5, // How long a step-up verification stays valid
+  assessmentWeight: 0.5, // Share of the latest assessment score in the session score
+  downgradeAt: 50,
+  revokeAt: 80,
+  points: {
+    ipChange: 25,
+    ipSubnetChange: 10, // Same /24 (IPv4) or /64 (IPv6)
+    userAgentChange: 40,
+    fingerprintChange: 30
+  }
+};
+
+const MAX_EVENTS = 10;
+
+class SessionMonitor {
+  constructor(policy) {
+    this.policy = policy;
+  }
+
+  getConfig() {
+    const overrides = this.policy.getSessionConfig();
+    return {
+      ...DEFAULT_CONFIG,
+      ...overrides,
+      points: { ...DEFAULT_CONFIG.points, ...(overrides.points || {}) }
+    };
+  }
+
+  /**
+   * Start monitoring a freshly authenticated session
+   */
+  start(req, now = Date.now()) {
+    req.session.risk = {
+      state: 'normal',
+      driftScore: 0,
+      assessmentScore: 0,
+      score: 0,
+      updatedAt: now,
+      last: this.observe(req),
+      events: []
+    };
+  }
+
+  /**
+   * Request attributes that are compared between requests. The fingerprint
+   * leaves the user agent out: a UA change is already scored on its own.
+   */
+  observe(req) {
+    return {
+      ipAddress: req.ip || req.connection.remoteAddress || '127.0.0.1',
+      userAgent: req.get('user-agent') || '',
+      deviceId: riskEngine.generateDeviceFingerprint(
+        '',
+        req.get('accept-language') || '',
+        req.get('accept-encoding') || ''
+      )
+    };
+  }
+
+  /**
+   * Decay the rolling score and add points for anything that drifted since
+   * the previous request. Returns the new session state.
+   */
+  evaluate(req, now = Date.now()) {
+    const config = this.getConfig();
+    if (!req.session.risk) this.start(req, now);
+
+    const risk = req.session.risk;
+    const current = this.observe(req);
+    const drift = [];
+
+    if (current.ipAddress !== risk.last.ipAddress) {
+      drift.push(sameSubnet(current.ipAddress, risk.last.ipAddress)
+        ? { type: 'ip_subnet_change', points: config.points.ipSubnetChange }
+        : { type: 'ip_change', points: config.points.ipChange });
+    }
+    if (current.userAgent !== risk.last.userAgent) {
+      drift.push({ type: 'user_agent_change', points: config.points.userAgentChange });
+    }
+    if (current.deviceId !== risk.last.deviceId) {
+      drift.push({ type: 'fingerprint_change', points: config.points.fingerprintChange });
+    }
+
+    const elapsedMinutes = Math.max(0, now - risk.updatedAt) / 60000;
+    risk.driftScore *= Math.pow(0.5, elapsedMinutes / config.halfLifeMinutes);
+    drift.forEach(event => {
+      risk.driftScore += event.points;
+      risk.events = [...risk.events, { ...event, from: pick(risk.last, event.type), to: pick(current, event.type), at: now }]
+        .slice(-MAX_EVENTS);
+    });
+
+    risk.last = current;
+    risk.updatedAt = now;
+    this.updateState(req.session, config);
+
+    if (drift.length > 0) {
+      console.log(`🛰️  Session drift for user ${req.session.userId}: ${drift.map(d => d.type).join(', ')} ` +
+        `(session score ${risk.score}, ${risk.state})`);
+    }
+
+    return risk.state;
+  }
+
+  /**
+   * Fold a full risk assessment into the rolling session score
+   */
+  recordAssessment(session, assessment) {
+    if (!session.risk) return;
+
+    const config = this.getConfig();
+    session.risk.assessmentScore = assessment.score;
+    this.updateState(session, config);
+  }
+
+  updateState(session, config) {
+    const risk = session.risk;
+    risk.score = Math.min(100, Math.round(risk.driftScore + risk.assessmentScore * config.assessmentWeight));
+
+    if (risk.score >= config.revokeAt) {
+      risk.state = 'revoked';
+    } else if (risk.score >= config.downgradeAt) {
+      if (risk.state !== 'downgraded') {
+        // A downgraded session must step up again before sensitive actions
+        delete session.stepup;
+      }
+      risk.state = 'downgraded';
+    } else if (risk.state !== 'downgraded') {
+      risk.state = 'normal';
+    }
+  }
+
+  /**
+   * Record a successful step-up and how strong it was; it restores a
+   * downgraded session
+   */
+  markStepUp(session, method, now = Date.now()) {
+    session.stepup = { verifiedAt: now, method, mfaType: challengeService.mfaTypeOf(method) };
+
+    if (session.risk) {
+      session.risk.driftScore = 0;
+      session.risk.state = 'normal';
+      this.updateState(session, this.getConfig());
+    }
+  }
+
+  /**
+   * Whether a recent step-up covers an action that requires `mfaType`: an
+   * email code does not stand in for a security key
+   */
+  isStepUpFresh(session, mfaType = 'email_or_sms', now = Date.now()) {
+    const { stepupFreshnessMinutes } = this.getConfig();
+    return Boolean(session.stepup) &&
+      challengeService.satisfies(session.stepup.mfaType || 'email_or_sms', mfaType) &&
+      session.risk?.state !== 'downgraded' &&
+      now - session.stepup.verifiedAt < stepupFreshnessMinutes * 60 * 1000;
+  }
+
+  /**
+   * Express middleware: evaluate every authenticated request and end
+   * sessions whose score crossed the revoke threshold
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!req.session || !req.session.userId) return next();
+
+      const state = this.evaluate(req);
+      if (state !== 'revoked') return next();
+
+      const { userId, risk } = req.session;
+      console.log(`⛔ Session revoked for user ${userId} (session score ${risk.score})`);
+
+      const reason = 'Your session was ended because it changed network or device. Please log in again.';
+      const redirect = `/auth/login?message=${encodeURIComponent(reason)}`;
+      req.session.destroy(() => {
+        req.is('application/json') || req.xhr
+          ? res.status(401).json({ success: false, error: reason, redirect })
+          : res.redirect(redirect);
+      });
+    };
+  }
+}
+
+/**
+ * Whether two addresses share a /24 (IPv4) or /64 (IPv6) network
+ */
+function sameSubnet(a, b) {
+  const bytesA = parseIp(a);
+  const bytesB = parseIp(b);
+
+  if (!bytesA || !bytesB || bytesA.length !== bytesB.length) return false;
+
+  const prefixBytes = bytesA.length === 4 ? 3 : 8;
+  return bytesA.slice(0, prefixBytes).every((byte, i) => byte === bytesB[i]);
+}
+
+function pick(observation, type) {
+  if (type === 'user_agent_change') return observation.userAgent;
+  if (type === 'fingerprint_change') return observation.deviceId.substring(0, 16);
+  return observation.ipAddress;
+}
+
+module.exports = new SessionMonitor(policyEngine);
@@ -0,0 +1,22 @@
+/**
+ * File Sink
+ * Appends each signed event as one JSON line, for local testing or for a
+ * SIEM agent that tails the file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileSink {
+  constructor({ path: filePath }) {
+    this.type = 'file';
+    this.filePath = path.resolve(filePath);
+  }
+
+  async deliver(event, { signatureHeader }) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, JSON.stringify({ signature: signatureHeader, event }) + '\n');
+  }
+}
+
+module.exports = FileSink;
@@ -0,0 +1,52 @@
+/**
+ * HTTP Webhook Sink
+ * POSTs the signed event to an endpoint; any non-2xx answer is a failure
+ * and the dispatcher retries it
+ */
+
+const http = require('http');
+const https = require('https');
+
+class HttpSink {
+  constructor({ url, timeoutMs = 10000, headers = {} }) {
+    this.type = 'http';
+    this.url = new URL(url);
+    this.timeoutMs = timeoutMs;
+    this.headers = headers;
+  }
+
+  deliver(event, { body, signatureHeader }) {
+    const client = this.url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(this.url, {
+        method: 'POST',
+        timeout: this.timeoutMs,
+        headers: {
+          ...this.headers,
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'adaptive-auth-demo-webhooks',
+          'X-Event-Id': event.id,
+          'X-Event-Type': event.type,
+          'X-Signature': signatureHeader
+        }
+      }, res => {
+        res.resume();
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve();
+          } else {
+            reject(new Error(`HTTP ${res.statusCode}`));
+          }
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`Timed out after ${this.timeoutMs} ms`)));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+}
+
+module.exports = HttpSink;
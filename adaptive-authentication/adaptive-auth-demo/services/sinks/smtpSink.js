@@ -0,0 +1,35 @@
+/**
+ * SMTP Stub Sink
+ * Formats the event as a security-team email and hands it to the local
+ * outbox transport instead of a real mail server
+ */
+
+const outbox = require('../outbox');
+
+class SmtpSink {
+  constructor({ to }) {
+    this.type = 'smtp';
+    this.to = to;
+  }
+
+  async deliver(event, { signatureHeader }) {
+    const { data } = event;
+
+    await outbox.send({
+      channel: 'email',
+      to: this.to,
+      subject: `[Security] ${event.type} for user ${data.userId || 'unknown'}`,
+      body: [
+        `Event: ${event.type} (${event.id})`,
+        `Time: ${new Date(event.createdAt).toISOString()}`,
+        data.score !== undefined ? `Risk: ${data.score} (${data.level}) → ${data.decision}` : null,
+        data.ipAddress ? `IP address: ${data.ipAddress}` : null,
+        data.reasons?.length ? `Reasons: ${data.reasons.map(r => r.description).join('; ')}` : null,
+        data.error ? `Error: ${data.error}` : null,
+        `Signature: ${signatureHeader}`
+      ].filter(Boolean).join('\n')
+    });
+  }
+}
+
+module.exports = SmtpSink;
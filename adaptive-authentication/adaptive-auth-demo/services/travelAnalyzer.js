@@ -0,0 +1,101 @@
+/**
+ * Impossible Travel Analysis
+ * Compares the current attempt with every recent attempt (successful or
+ * failed) and reports the fastest travel speed they imply. GeoIP accuracy
+ * radii are subtracted from the distance, and attempts from same-org or
+ * corporate VPN egress ranges are skipped because their location says nothing about
+ * where the user is.
+ */
+
+const DEFAULT_CONFIG = {
+  windowHours: 24, // Only attempts this recent are compared
+  maxSpeedKmh: 900, // Faster than an airliner
+  defaultAccuracyKm: 50, // Used when GeoIP has no accuracy radius
+  // Only ranges the deployment lists itself: a commercial VPN says nothing about who is behind it
+  exemptCategories: ['allow', 'same_org', 'vpn_egress']
+};
+
+/**
+ * @param {Array} history - Attempts ({ timestamp, success, ipAddress }), any order
+ * @param {Object} current - { timestamp, ipAddress }
+ * @param {Object} options
+ * @param {Function} options.lookupGeo - ip -> geoip record (or null)
+ * @param {Function} options.lookupNetwork - ip -> { matches: [{ category }] }
+ * @param {Function} options.distance - (geoA, geoB) -> km
+ * @returns {Object} travel report
+ */
+function analyze(history, current, { lookupGeo, lookupNetwork, distance }, config = DEFAULT_CONFIG) {
+  const report = {
+    impossible: false,
+    speedKmh: 0,
+    distanceKm: 0,
+    effectiveDistanceKm: 0,
+    elapsedMinutes: null,
+    from: null,
+    compared: 0,
+    exempt: false
+  };
+
+  if (isExempt(current.ipAddress, lookupNetwork, config)) {
+    report.exempt = true;
+    return report;
+  }
+
+  const geo = lookupGeo(current.ipAddress);
+  if (!geo || !geo.ll) return report;
+
+  const since = current.timestamp - config.windowHours * 60 * 60 * 1000;
+
+  history
+    .filter(a => a.timestamp >= since && a.timestamp <= current.timestamp && a.ipAddress)
+    .filter(a => a.ipAddress !== current.ipAddress)
+    .forEach(attempt => {
+      if (isExempt(attempt.ipAddress, lookupNetwork, config)) return;
+
+      const previous = lookupGeo(attempt.ipAddress);
+      if (!previous || !previous.ll) return;
+
+      report.compared++;
+
+      const km = distance(previous, geo);
+      const uncertainty = accuracy(previous, config) + accuracy(geo, config);
+      const effectiveKm = Math.max(0, km - uncertainty);
+      const hours = Math.max(current.timestamp - attempt.timestamp, 60 * 1000) / (60 * 60 * 1000);
+      const speed = effectiveKm / hours;
+
+      if (speed > report.speedKmh || report.from === null) {
+        Object.assign(report, {
+          speedKmh: Math.round(speed),
+          distanceKm: Math.round(km),
+          effectiveDistanceKm: Math.round(effectiveKm),
+          elapsedMinutes: Math.round(hours * 60),
+          from: {
+            ipAddress: attempt.ipAddress,
+            country: previous.country,
+            city: previous.city || null,
+            timestamp: attempt.timestamp,
+            success: attempt.success
+          }
+        });
+      }
+    });
+
+  report.impossible = report.speedKmh > config.maxSpeedKmh;
+  return report;
+}
+
+function isExempt(ipAddress, lookupNetwork, config) {
+  return lookupNetwork(ipAddress).matches.some(m => config.exemptCategories.includes(m.category));
+}
+
+/**
+ * GeoIP accuracy radius in km (geoip-lite reports it as `area`)
+ */
+function accuracy(geo, config) {
+  return geo.area || config.defaultAccuracyKm;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  analyze
+};
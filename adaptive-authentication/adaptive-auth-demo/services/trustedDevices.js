@@ -0,0 +1,91 @@
+/**
+ * Trusted Devices
+ * Lets users see and manage the devices and locations their risk baseline
+ * recognizes: rename, pin (never forgotten by decay) or revoke (the next
+ * use scores as a revoked device). Also sends the "new device sign-in" email.
+ */
+
+const riskEngine = require('./riskEngine');
+const mailer = require('./mailer');
+
+const KINDS = ['devices', 'locations'];
+const MAX_NAME_LENGTH = 60;
+
+class TrustedDevices {
+  constructor(engine, mail) {
+    this.engine = engine;
+    this.mailer = mail;
+  }
+
+  /**
+   * Recognized (and revoked) devices and locations of a user
+   * @param {string} currentDeviceId - marks the device of the current session
+   */
+  list(userId, currentDeviceId = null) {
+    const baseline = this.engine.getBaseline(this.engine.getUserProfile(userId));
+    if (!baseline) return { devices: [], locations: [] };
+
+    const { devices, locations } = this.engine.listPlaces(baseline);
+
+    return {
+      devices: devices.map(d => ({ ...d, current: d.key === currentDeviceId })),
+      locations
+    };
+  }
+
+  rename(userId, kind, key, name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (trimmed.length > MAX_NAME_LENGTH) {
+      return { success: false, status: 400, error: `Name must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    return this.update(userId, kind, key, { name: trimmed });
+  }
+
+  pin(userId, kind, key, pinned = true) {
+    return this.update(userId, kind, key, { pinned: Boolean(pinned) });
+  }
+
+  revoke(userId, kind, key) {
+    return this.update(userId, kind, key, { revoked: true });
+  }
+
+  update(userId, kind, key, changes) {
+    if (!KINDS.includes(kind)) {
+      return { success: false, status: 404, error: `Unknown kind "${kind}"` };
+    }
+
+    const existing = this.list(userId)[kind].find(entry => entry.key === key);
+    if (!existing) {
+      return { success: false, status: 404, error: 'Not found' };
+    }
+    if (existing.revokedAt && !changes.revoked) {
+      return { success: false, status: 409, error: 'Revoked entries cannot be changed' };
+    }
+
+    this.engine.updatePlace(userId, kind, key, changes);
+
+    return { success: true, [kind === 'devices' ? 'device' : 'location']: this.list(userId)[kind].find(e => e.key === key) };
+  }
+
+  /**
+   * Tell the user about a sign-in from a device they have not used before
+   */
+  async notifyNewDevice(user, context) {
+    const place = this.engine.describePlace(context, { device: true, location: true });
+    const where = place.geo ? [place.geo.city, place.geo.country].filter(Boolean).join(', ') : 'an unknown location';
+
+    return this.mailer.send({
+      to: user.email,
+      subject: 'New device sign-in',
+      body: [
+        `Hi ${user.username},`,
+        `Your account was just used to sign in from a new device: ${place.deviceLabel}, near ${where} (IP ${context.ipAddress}),` +
+          ` at ${new Date(context.timestamp || Date.now()).toISOString()}.`,
+        'If this was you, there is nothing to do. If not, change your password and revoke the device under Settings → Devices.'
+      ].join('\n\n')
+    });
+  }
+}
+
+module.exports = new TrustedDevices(riskEngine, mailer);
+module.exports.TrustedDevices = TrustedDevices;
@@ -0,0 +1,61 @@
+/**
+ * User Service
+ * Mock user store shared by the auth and dashboard routes
+ * (in production, use a real database)
+ */
+
+const bcrypt = require('bcryptjs');
+
+class UserService {
+  constructor() {
+    this.users = new Map([
+      ['demo', {
+        id: '1',
+        username: 'demo',
+        password: bcrypt.hashSync('demo123', 10),
+        email: 'demo@example.com',
+        phone: '+15550000001',
+        role: 'user',
+        totp: null,
+        webauthnCredentials: []
+      }],
+      ['admin', {
+        id: '2',
+        username: 'admin',
+        password: bcrypt.hashSync('admin123', 10),
+        email: 'admin@example.com',
+        phone: '+15550000002',
+        role: 'admin',
+        totp: null,
+        webauthnCredentials: []
+      }]
+    ]);
+  }
+
+  getByUsername(username) {
+    return this.users.get(username);
+  }
+
+  getById(userId) {
+    return Array.from(this.users.values()).find(u => u.id === userId);
+  }
+
+  async verifyPassword(user, password) {
+    return bcrypt.compare(password || '', user.password);
+  }
+
+  /**
+   * Merge changes into a stored user record
+   */
+  update(userId, changes) {
+    const user = this.getById(userId);
+    if (!user) {
+      throw new Error(`User ${userId} not found`);
+    }
+
+    Object.assign(user, changes);
+    return user;
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,168 @@
+/**
+ * Cross-Account Velocity
+ * Sliding-window counters of login attempts per IP, subnet and device
+ * fingerprint, across all accounts (including usernames that do not exist).
+ * Many accounts or many failures from one source mean credential stuffing:
+ * the source gets risk points, progressive delays and a CAPTCHA-style check.
+ * Counts live in the risk store, so several processes share them.
+ */
+
+const { parseIp } = require('./cidrTrie');
+
+const DEFAULT_CONFIG = {
+  windowMinutes: 15,
+  retentionHours: 24,
+  // Per-window limits; reaching one is "pressure" 1
+  limits: {
+    ip: { subjects: 5, failures: 10 },
+    subnet: { subjects: 15, failures: 25 }, // /24 (IPv4) or /64 (IPv6)
+    device: { subjects: 3, failures: 10 }
+  },
+  points: { subjects: 35, failures: 30 },
+  delay: { startPressure: 0.5, baseMs: 500, maxMs: 8000 }, // Doubles every 0.25 of pressure
+  captchaPressure: 1
+};
+
+const DIMENSIONS = ['ip', 'subnet', 'device'];
+const PRUNE_INTERVAL = 5 * 60 * 1000;
+
+class VelocityTracker {
+  /**
+   * @param {RiskStore} store
+   * @param {Function} getOverrides - () -> policy `velocity` section
+   */
+  constructor(store, getOverrides = () => ({})) {
+    this.store = store;
+    this.getOverrides = getOverrides;
+    this.lastPruneAt = 0;
+  }
+
+  getConfig() {
+    const overrides = this.getOverrides();
+    const limits = overrides.limits || {};
+
+    return {
+      ...DEFAULT_CONFIG,
+      ...overrides,
+      limits: Object.fromEntries(DIMENSIONS.map(d => [d, { ...DEFAULT_CONFIG.limits[d], ...(limits[d] || {}) }])),
+      points: { ...DEFAULT_CONFIG.points, ...(overrides.points || {}) },
+      delay: { ...DEFAULT_CONFIG.delay, ...(overrides.delay || {}) }
+    };
+  }
+
+  /**
+   * Count an attempt against its IP, subnet and device
+   * @param {Object} attempt - { subject (user ID or "?<username>"), ipAddress, deviceId, success, timestamp }
+   */
+  record({ subject, ipAddress, deviceId, success, timestamp }) {
+    keys({ ipAddress, deviceId }).forEach(({ dimension, key }) => {
+      this.store.recordVelocityEvent({ dimension, key, subject, failed: !success, timestamp });
+    });
+
+    if (timestamp - this.lastPruneAt > PRUNE_INTERVAL) {
+      this.lastPruneAt = timestamp;
+      this.store.pruneVelocity(timestamp - this.getConfig().retentionHours * 60 * 60 * 1000);
+    }
+  }
+
+  /**
+   * Current pressure on the sources of an attempt
+   * @returns {Object} { counts, signals, pressure, delayMs, requireCaptcha }
+   */
+  evaluate({ ipAddress, deviceId }, now) {
+    const config = this.getConfig();
+    const since = now - config.windowMinutes * 60 * 1000;
+    const counts = {};
+    const signals = [];
+    let pressure = 0;
+
+    keys({ ipAddress, deviceId }).forEach(({ dimension, key }) => {
+      const count = this.store.countVelocity(dimension, key, since);
+      counts[dimension] = { key, ...count };
+
+      ['subjects', 'failures'].forEach(metric => {
+        const limit = config.limits[dimension][metric];
+        const ratio = count[metric] / limit;
+        pressure = Math.max(pressure, ratio);
+
+        if (count[metric] >= limit) {
+          signals.push({
+            rule: `${dimension}_velocity_${metric}`,
+            points: config.points[metric],
+            description: describe(dimension, metric, count[metric], config.windowMinutes)
+          });
+        }
+      });
+    });
+
+    return {
+      counts,
+      signals,
+      pressure: Math.round(pressure * 100) / 100,
+      delayMs: delayFor(pressure, config.delay),
+      requireCaptcha: pressure >= config.captchaPressure
+    };
+  }
+}
+
+/**
+ * Velocity keys of an attempt: the IP, its subnet and the device. The
+ * address is parsed once, so `::ffff:1.2.3.4` and `1.2.3.4` (or two spellings
+ * of one IPv6 address) share both keys.
+ */
+function keys({ ipAddress, deviceId }) {
+  const result = [];
+
+  if (ipAddress) {
+    const bytes = parseIp(ipAddress);
+    result.push({ dimension: 'ip', key: bytes ? formatIp(bytes) : ipAddress });
+    if (bytes) result.push({ dimension: 'subnet', key: subnetOf(bytes) });
+  }
+  if (deviceId) {
+    result.push({ dimension: 'device', key: deviceId });
+  }
+
+  return result;
+}
+
+function subnetKey(ipAddress) {
+  const bytes = parseIp(ipAddress);
+  return bytes ? subnetOf(bytes) : null;
+}
+
+function subnetOf(bytes) {
+  if (bytes.length === 4) {
+    return `${bytes.slice(0, 3).join('.')}.0/24`;
+  }
+  return `${hextets(bytes).slice(0, 4).join(':')}::/64`;
+}
+
+function formatIp(bytes) {
+  return bytes.length === 4 ? bytes.join('.') : hextets(bytes).join(':');
+}
+
+function hextets(bytes) {
+  const result = [];
+  for (let i = 0; i < bytes.length; i += 2) {
+    result.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  }
+  return result;
+}
+
+function delayFor(pressure, { startPressure, baseMs, maxMs }) {
+  if (pressure < startPressure) return 0;
+
+  const steps = Math.floor((pressure - startPressure) / 0.25);
+  return Math.min(maxMs, baseMs * Math.pow(2, steps));
+}
+
+function describe(dimension, metric, count, windowMinutes) {
+  const source = { ip: 'this IP', subnet: 'this network', device: 'this device' }[dimension];
+  return metric === 'subjects'
+    ? `${count} accounts tried from ${source} in ${windowMinutes} min`
+    : `${count} failed logins across accounts from ${source} in ${windowMinutes} min`;
+}
+
+module.exports = VelocityTracker;
+module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
+module.exports.subnetKey = subnetKey;
@@ -0,0 +1,72 @@
+/**
+ * File Profile Store
+ * One JSON document per user under a directory (default data/profiles).
+ * Writes go to a temporary file that is renamed over the old one, so a
+ * crash never leaves a half-written profile behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ProfileStore = require('./ProfileStore');
+
+class FileProfileStore extends ProfileStore {
+  constructor(options = {}) {
+    super();
+    this.dir = options.dir;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  getProfile(userId) {
+    return this.read(userId).profile || null;
+  }
+
+  saveProfile(userId, profile) {
+    this.write(userId, { ...this.read(userId), profile });
+  }
+
+  listUserIds() {
+    return fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => decodeURIComponent(name.slice(0, -'.json'.length)))
+      .filter(userId => this.getProfile(userId));
+  }
+
+  getHistory(userId) {
+    return this.read(userId).history || [];
+  }
+
+  appendHistory(userId, entry, keep = 50) {
+    const document = this.read(userId);
+    this.write(userId, { ...document, history: [...(document.history || []), entry].slice(-keep) });
+  }
+
+  deleteUser(userId) {
+    const file = this.fileFor(userId);
+    if (!fs.existsSync(file)) return false;
+
+    fs.unlinkSync(file);
+    return true;
+  }
+
+  read(userId) {
+    const file = this.fileFor(userId);
+    if (!fs.existsSync(file)) return {};
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  write(userId, document) {
+    const file = this.fileFor(userId);
+    const temp = `${file}.${process.pid}.tmp`;
+
+    fs.writeFileSync(temp, JSON.stringify({ userId, ...document }));
+    fs.renameSync(temp, file);
+  }
+
+  // User IDs are encoded so they can never escape the directory
+  fileFor(userId) {
+    return path.join(this.dir, `${encodeURIComponent(userId)}.json`);
+  }
+}
+
+module.exports = FileProfileStore;
@@ -0,0 +1,50 @@
+/**
+ * In-Memory Profile Store
+ * Non-persistent adapter for tests and throwaway runs. Returns copies so
+ * callers cannot mutate stored state without saving it.
+ */
+
+const ProfileStore = require('./ProfileStore');
+
+class MemoryProfileStore extends ProfileStore {
+  constructor() {
+    super();
+    this.profiles = new Map();
+    this.history = new Map();
+  }
+
+  getProfile(userId) {
+    return this.profiles.has(userId) ? copy(this.profiles.get(userId)) : null;
+  }
+
+  saveProfile(userId, profile) {
+    this.profiles.set(userId, copy(profile));
+  }
+
+  listUserIds() {
+    return [...this.profiles.keys()];
+  }
+
+  getHistory(userId) {
+    return copy(this.history.get(userId) || []);
+  }
+
+  appendHistory(userId, entry, keep = 50) {
+    const entries = this.history.get(userId) || [];
+    entries.push(copy(entry));
+    this.history.set(userId, entries.slice(-keep));
+  }
+
+  deleteUser(userId) {
+    const existed = this.profiles.has(userId) || this.history.has(userId);
+    this.profiles.delete(userId);
+    this.history.delete(userId);
+    return existed;
+  }
+}
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = MemoryProfileStore;
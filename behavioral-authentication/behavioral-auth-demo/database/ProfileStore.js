@@ -0,0 +1,61 @@
+/**
+ * Profile Store Interface
+ * Storage adapter contract used by the behavioral engine. All methods are
+ * synchronous so the engine can stay storage-agnostic.
+ *
+ * Profiles are opaque JSON documents carrying their own `schemaVersion`
+ * (see services/profileSchema.js); history entries are the per-user
+ * confidence scores, oldest first.
+ */
+
+class ProfileStore {
+  /**
+   * @param {string} userId
+   * @returns {Object|null} Stored profile or null
+   */
+  getProfile(userId) {
+    throw new Error(`${this.constructor.name} must implement getProfile()`);
+  }
+
+  /**
+   * @param {string} userId
+   * @param {Object} profile - Full profile document (replaces the stored one)
+   */
+  saveProfile(userId, profile) {
+    throw new Error(`${this.constructor.name} must implement saveProfile()`);
+  }
+
+  /**
+   * @returns {Array<string>} IDs of all users with a stored profile
+   */
+  listUserIds() {
+    throw new Error(`${this.constructor.name} must implement listUserIds()`);
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Array} History entries in chronological order
+   */
+  getHistory(userId) {
+    throw new Error(`${this.constructor.name} must implement getHistory()`);
+  }
+
+  /**
+   * @param {string} userId
+   * @param {Object} entry - { timestamp, score, confidence, ... }
+   * @param {number} keep - Most recent entries to keep
+   */
+  appendHistory(userId, entry, keep = 50) {
+    throw new Error(`${this.constructor.name} must implement appendHistory()`);
+  }
+
+  /**
+   * Remove everything stored for a user (profile and history)
+   * @returns {boolean} Whether anything was stored
+   */
+  deleteUser(userId) {
+    throw new Error(`${this.constructor.name} must implement deleteUser()`);
+  }
+}
+
+module.exports = ProfileStore;
@@ -0,0 +1,129 @@
+/**
+ * SQLite Profile Store
+ * Persistent adapter backed by better-sqlite3. WAL mode lets several
+ * Node processes share one database file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const ProfileStore = require('./ProfileStore');
+const migrations = require('./migrations');
+
+class SqliteProfileStore extends ProfileStore {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath;
+
+    if (this.filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+
+    this.migrate();
+    this.prepareStatements();
+  }
+
+  /**
+   * Apply pending migrations in order, each in its own transaction
+   */
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+      )
+    `);
+
+    const applied = new Set(
+      this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+
+    migrations
+      .filter(migration => !applied.has(migration.version))
+      .sort((a, b) => a.version - b.version)
+      .forEach(migration => {
+        this.db.transaction(() => {
+          this.db.exec(migration.up);
+          this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+            .run(migration.version, migration.name, Date.now());
+        })();
+        console.log(`🗄️  Applied migration ${migration.version}_${migration.name}`);
+      });
+  }
+
+  prepareStatements() {
+    this.statements = {
+      getProfile: this.db.prepare('SELECT data FROM behavioral_profiles WHERE user_id = ?'),
+      saveProfile: this.db.prepare(`
+        INSERT INTO behavioral_profiles (user_id, schema_version, data, created_at, updated_at)
+        VALUES (@userId, @schemaVersion, @data, @now, @now)
+        ON CONFLICT (user_id) DO UPDATE SET
+          schema_version = excluded.schema_version, data = excluded.data, updated_at = excluded.updated_at
+      `),
+      listUserIds: this.db.prepare('SELECT user_id FROM behavioral_profiles ORDER BY user_id'),
+      getHistory: this.db.prepare('SELECT data FROM behavioral_history WHERE user_id = ? ORDER BY id'),
+      insertHistory: this.db.prepare(`
+        INSERT INTO behavioral_history (user_id, timestamp, data) VALUES (@userId, @timestamp, @data)
+      `),
+      pruneHistory: this.db.prepare(`
+        DELETE FROM behavioral_history WHERE user_id = @userId AND id NOT IN (
+          SELECT id FROM behavioral_history WHERE user_id = @userId ORDER BY id DESC LIMIT @keep
+        )
+      `),
+      deleteProfile: this.db.prepare('DELETE FROM behavioral_profiles WHERE user_id = ?'),
+      deleteHistory: this.db.prepare('DELETE FROM behavioral_history WHERE user_id = ?')
+    };
+
+    this.appendHistoryTx = this.db.transaction((userId, entry, keep) => {
+      this.statements.insertHistory.run({ userId, timestamp: entry.timestamp || Date.now(), data: JSON.stringify(entry) });
+      this.statements.pruneHistory.run({ userId, keep });
+    });
+
+    this.deleteUserTx = this.db.transaction(userId => {
+      const profiles = this.statements.deleteProfile.run(userId).changes;
+      const history = this.statements.deleteHistory.run(userId).changes;
+      return profiles + history > 0;
+    });
+  }
+
+  getProfile(userId) {
+    const row = this.statements.getProfile.get(userId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  saveProfile(userId, profile) {
+    this.statements.saveProfile.run({
+      userId,
+      schemaVersion: profile.schemaVersion || 0,
+      data: JSON.stringify(profile),
+      now: Date.now()
+    });
+  }
+
+  listUserIds() {
+    return this.statements.listUserIds.all().map(row => row.user_id);
+  }
+
+  getHistory(userId) {
+    return this.statements.getHistory.all(userId).map(row => JSON.parse(row.data));
+  }
+
+  appendHistory(userId, entry, keep = 50) {
+    this.appendHistoryTx(userId, entry, keep);
+  }
+
+  deleteUser(userId) {
+    return this.deleteUserTx(userId);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteProfileStore;
@@ -0,0 +1,30 @@
+/**
+ * Profile store factory
+ * PROFILE_STORE=file (default) | sqlite | memory
+ * PROFILE_DIR=directory of the file store (default data/profiles)
+ * PROFILE_DB_PATH=path to the SQLite file (default data/behavioral.db)
+ */
+
+const path = require('path');
+const FileProfileStore = require('./FileProfileStore');
+const MemoryProfileStore = require('./MemoryProfileStore');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+function createProfileStore(type = process.env.PROFILE_STORE || 'file', options = {}) {
+  switch (type) {
+    case 'file':
+      return new FileProfileStore({ dir: process.env.PROFILE_DIR || path.join(DATA_DIR, 'profiles'), ...options });
+    case 'memory':
+      return new MemoryProfileStore(options);
+    case 'sqlite': {
+      // Required lazily so the file and memory stores work without the native module
+      const SqliteProfileStore = require('./SqliteProfileStore');
+      return new SqliteProfileStore({ filePath: process.env.PROFILE_DB_PATH || path.join(DATA_DIR, 'behavioral.db'), ...options });
+    }
+    default:
+      throw new Error(`Unknown profile store "${type}" (expected "file", "sqlite" or "memory")`);
+  }
+}
+
+module.exports = { createProfileStore };
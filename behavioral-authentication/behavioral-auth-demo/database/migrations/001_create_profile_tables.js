@@ -0,0 +1,25 @@
+/**
+ * Initial schema: behavioral profiles and confidence history
+ */
+
+module.exports = {
+  version: 1,
+  name: 'create_profile_tables',
+  up: `
+    CREATE TABLE behavioral_profiles (
+      user_id TEXT PRIMARY KEY,
+      schema_version INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE behavioral_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX idx_behavioral_history_user ON behavioral_history (user_id, id);
+  `
+};
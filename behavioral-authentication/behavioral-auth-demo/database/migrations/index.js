@@ -0,0 +1,11 @@
+/**
+ * Ordered list of SQLite migrations. Append new files here; never edit
+ * a migration that has already been released.
+ *
+ * These change the tables; changes to the profile document itself are
+ * schema versions in services/profileSchema.js.
+ */
+
+module.exports = [
+  require('./001_create_profile_tables')
+];
@@ -1,6 +1,7 @@
 /**
  * Behavioral Biometrics Tracking Library
- * Captures keystroke dynamics, mouse movements, and touch gestures
+ * Captures keystroke dynamics, mouse movements, touch gestures and how a
+ * mobile device is held (orientation and motion sensors)
  */
 
 class BehavioralTracker {
@@ -10,17 +11,28 @@ class BehavioralTracker {
       maxKeystrokeBuffer: options.maxKeystrokeBuffer || 100,
       maxMouseBuffer: options.maxMouseBuffer || 200,
       maxTouchBuffer: options.maxTouchBuffer || 100,
+      maxSensorBuffer: options.maxSensorBuffer || 60,
+      sensorInterval: options.sensorInterval || 500, // ms between sensor readings
+      trackSensors: options.trackSensors !== false,
+      checkUrl: '/api/behavioral-check',
+      batchSessionUrl: '/api/behavioral-check/session',
       ...options
     };
 
     this.keystrokeData = [];
     this.mouseData = [];
     this.touchData = [];
+    this.sensorData = [];
     this.sessionStart = Date.now();
     this.lastKeyDown = new Map();
     this.lastMousePosition = null;
+    this.lastMouseDown = null;
+    this.lastSensorReading = { orientation: 0, motion: 0 };
+    this.sensorsEnabled = false;
+    this.sensorPermissionAsked = false;
     this.isTracking = false;
     this.sendTimer = null;
+    this.batchSession = null; // { key: CryptoKey, streamId, nonce }
   }
 
   /**
@@ -38,6 +50,7 @@ class BehavioralTracker {
 
     // Mouse event listeners
     document.addEventListener('mousemove', this.handleMouseMove.bind(this));
+    document.addEventListener('mousedown', this.handleMouseDown.bind(this));
     document.addEventListener('click', this.handleMouseClick.bind(this));
     document.addEventListener('wheel', this.handleMouseWheel.bind(this));
 
@@ -46,6 +59,11 @@ class BehavioralTracker {
     document.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: true });
     document.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: true });
 
+    // Device sensors (mobile); iOS only allows them after a tap, see handleTouchEnd
+    if (this.options.trackSensors && !this.sensorsNeedPermission()) {
+      this.enableSensors();
+    }
+
     // Periodic data sending (if in authenticated session)
     if (this.options.continuousMode) {
       this.startPeriodicSending();
@@ -83,6 +101,7 @@ class BehavioralTracker {
       type: 'keydown',
       key: key.length === 1 ? key : '[special]', // Anonymize special keys
       code: event.code,
+      field: fieldOf(event.target),
       timestamp,
       sessionTime: timestamp - this.sessionStart
     });
@@ -155,6 +174,13 @@ class BehavioralTracker {
     }
   }
 
+  /**
+   * Handle mouse down event (start of a click, for its hold duration)
+   */
+  handleMouseDown(event) {
+    this.lastMouseDown = Date.now();
+  }
+
   /**
    * Handle mouse click event
    */
@@ -166,9 +192,11 @@ class BehavioralTracker {
       x: event.clientX,
       y: event.clientY,
       button: event.button,
+      holdDuration: this.lastMouseDown ? timestamp - this.lastMouseDown : null,
       timestamp,
       sessionTime: timestamp - this.sessionStart
     });
+    this.lastMouseDown = null;
   }
 
   /**
@@ -204,6 +232,7 @@ class BehavioralTracker {
         x: touch.clientX,
         y: touch.clientY,
         force: touch.force || 0,
+        radius: touchRadius(touch),
         timestamp,
         sessionTime: timestamp - this.sessionStart,
         touchId: touch.identifier
@@ -224,6 +253,7 @@ class BehavioralTracker {
         x: touch.clientX,
         y: touch.clientY,
         force: touch.force || 0,
+        radius: touchRadius(touch),
         timestamp,
         sessionTime: timestamp - this.sessionStart,
         touchId: touch.identifier
@@ -265,12 +295,124 @@ class BehavioralTracker {
             this.touchData[i].distance = distance;
             this.touchData[i].speed = distance / duration;
             this.touchData[i].direction = Math.atan2(dy, dx);
+            this.touchData[i].velocityCurve = this.velocityCurve(
+              this.touchData[i],
+              this.touchData.slice(i + 1).filter(t => t.type === 'touchmove' && t.touchId === touch.identifier),
+              { x: touch.clientX, y: touch.clientY, timestamp }
+            );
           }
           
           break;
         }
       }
     }
+
+    if (this.options.trackSensors && !this.sensorsEnabled && this.sensorsNeedPermission()) {
+      this.enableSensors();
+    }
+  }
+
+  /**
+   * Mean swipe speed (px/ms) in each fifth of the swipe's duration
+   */
+  velocityCurve(start, moves, end, bins = 5) {
+    const points = [start, ...moves, end];
+    const duration = end.timestamp - start.timestamp;
+    const sums = new Array(bins).fill(0);
+    const counts = new Array(bins).fill(0);
+
+    for (let i = 1; i < points.length; i++) {
+      const dt = points[i].timestamp - points[i - 1].timestamp;
+      if (dt <= 0 || duration <= 0) continue;
+
+      const speed = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y) / dt;
+      const middle = (points[i].timestamp + points[i - 1].timestamp) / 2 - start.timestamp;
+      const bin = Math.min(bins - 1, Math.floor((middle / duration) * bins));
+      sums[bin] += speed;
+      counts[bin]++;
+    }
+
+    return sums.map((sum, i) => (counts[i] ? Math.round((sum / counts[i]) * 1000) / 1000 : 0));
+  }
+
+  /**
+   * iOS 13+ asks the user before sharing motion and orientation data
+   */
+  sensorsNeedPermission() {
+    return typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function';
+  }
+
+  /**
+   * Start listening to deviceorientation and devicemotion (asks first where required)
+   */
+  enableSensors() {
+    if (this.sensorsEnabled || typeof window === 'undefined') return;
+
+    const listen = () => {
+      window.addEventListener('deviceorientation', this.handleOrientation.bind(this));
+      window.addEventListener('devicemotion', this.handleMotion.bind(this));
+      this.sensorsEnabled = true;
+    };
+
+    if (this.sensorsNeedPermission()) {
+      if (this.sensorPermissionAsked) return;
+      this.sensorPermissionAsked = true;
+
+      DeviceMotionEvent.requestPermission()
+        .then(state => {
+          if (state === 'granted') listen();
+        })
+        .catch(() => {});
+    } else {
+      listen();
+    }
+  }
+
+  /**
+   * Handle deviceorientation: the angles the device is held at
+   */
+  handleOrientation(event) {
+    if (event.beta === null || event.gamma === null) return;
+
+    this.addSensorReading('orientation', {
+      beta: Math.round(event.beta * 10) / 10,
+      gamma: Math.round(event.gamma * 10) / 10
+    });
+  }
+
+  /**
+   * Handle devicemotion: acceleration including gravity (tilt and hand tremor)
+   */
+  handleMotion(event) {
+    const a = event.accelerationIncludingGravity;
+    if (!a || a.x === null) return;
+
+    this.addSensorReading('motion', {
+      x: Math.round(a.x * 100) / 100,
+      y: Math.round(a.y * 100) / 100,
+      z: Math.round(a.z * 100) / 100
+    });
+  }
+
+  /**
+   * Store a sensor reading, at most one per sensorInterval per sensor
+   */
+  addSensorReading(type, values) {
+    const timestamp = Date.now();
+    if (timestamp - this.lastSensorReading[type] < this.options.sensorInterval) return;
+    this.lastSensorReading[type] = timestamp;
+
+    this.sensorData.push({
+      type,
+      ...values,
+      timestamp,
+      sessionTime: timestamp - this.sessionStart
+    });
+
+    // Limit buffer size
+    if (this.sensorData.length > this.options.maxSensorBuffer) {
+      this.sensorData.shift();
+    }
   }
 
   /**
@@ -281,6 +423,7 @@ class BehavioralTracker {
       keystrokeData: [...this.keystrokeData],
       mouseData: [...this.mouseData],
       touchData: [...this.touchData],
+      sensorData: [...this.sensorData],
       sessionDuration: Date.now() - this.sessionStart,
       timestamp: Date.now()
     };
@@ -293,6 +436,7 @@ class BehavioralTracker {
     this.keystrokeData = [];
     this.mouseData = [];
     this.touchData = [];
+    this.sensorData = [];
   }
 
   /**
@@ -303,6 +447,7 @@ class BehavioralTracker {
       keystrokeCount: this.keystrokeData.length,
       mouseEventCount: this.mouseData.length,
       touchEventCount: this.touchData.length,
+      sensorReadingCount: this.sensorData.length,
       sessionDuration: Date.now() - this.sessionStart
     };
   }
@@ -314,21 +459,28 @@ class BehavioralTracker {
     if (this.sendTimer) return;
 
     this.sendTimer = setInterval(async () => {
-      if (this.keystrokeData.length > 0 || this.mouseData.length > 0) {
+      if (this.keystrokeData.length > 0 || this.mouseData.length > 0 || this.touchData.length > 0) {
         const data = this.getData();
         
         try {
-          const response = await fetch('/api/behavioral-check', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(data)
-          });
+          const response = await this.sendBatch(data);
+          const result = await response.json();
+
+          if (result.nextNonce && this.batchSession) {
+            this.batchSession.nonce = result.nextNonce;
+          }
+
+          if (response.status === 409) {
+            // Nonce expired or stream dropped: start a new stream, keep the data for the next send
+            this.batchSession = null;
+          } else if (response.status === 422) {
+            document.dispatchEvent(new CustomEvent('behavioralBatchRejected', {
+              detail: { reasons: result.reasons }
+            }));
+            this.clearData();
+          }
 
           if (response.ok) {
-            const result = await response.json();
-            
             // Emit custom event with assessment
             const event = new CustomEvent('behavioralAssessment', {
               detail: result.assessment
@@ -352,6 +504,57 @@ class BehavioralTracker {
       }
     }, this.options.sendInterval);
   }
+
+  /**
+   * POST a batch signed with the session's batch key and this tracker's current nonce
+   */
+  async sendBatch(data) {
+    if (!this.batchSession) {
+      this.batchSession = await this.startBatchSession();
+    }
+
+    const { key, streamId, nonce } = this.batchSession;
+    const payload = JSON.stringify(data);
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${nonce}.${payload}`));
+
+    return fetch(this.options.checkUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ streamId, nonce, data: payload, signature: toHex(signature) })
+    });
+  }
+
+  /**
+   * Fetch the batch key and a stream of its own (first nonce) for this tracker
+   */
+  async startBatchSession() {
+    const response = await fetch(this.options.batchSessionUrl, { method: 'POST' });
+    if (!response.ok) {
+      throw new Error(`Batch session refused (${response.status})`);
+    }
+
+    const { batchKey, streamId, nonce } = await response.json();
+    const keyBytes = new Uint8Array(batchKey.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+    const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+
+    return { key, streamId, nonce };
+  }
+}
+
+// Id (or name) of the input a key was typed into, so fixed-text phrases can be picked out
+function fieldOf(target) {
+  return (target && (target.id || target.name)) || null;
+}
+
+// Mean contact radius in px (0 where the browser does not report it)
+function touchRadius(touch) {
+  return touch.radiusX ? Math.round(((touch.radiusX + (touch.radiusY || touch.radiusX)) / 2) * 10) / 10 : 0;
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
 }
 
 // Export for use in other scripts
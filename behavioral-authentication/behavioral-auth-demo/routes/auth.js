@@ -1,7 +1,20 @@
+const crypto = require('crypto');
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const router = express.Router();
 const behavioralEngine = require('../services/behavioralEngine');
+const sessionConfidence = require('../services/sessionConfidence');
+const loginFusion = require('../services/loginFusion');
+const batchGuard = require('../services/batchGuard');
+const otpDelivery = require('../services/otpDelivery');
+
+// One-time codes for logins the fusion step escalates, sent to the user's
+// email by otpDelivery (data/outbox.jsonl unless OTP_TRANSPORT is set)
+const OTP_CONFIG = {
+  digits: 6,
+  ttlMs: 5 * 60 * 1000,
+  maxAttempts: 3
+};
 
 // Demo users (in production, use a real database)
 const users = new Map([
@@ -21,6 +34,66 @@ const users = new Map([
   }]
 ]);
 
+/**
+ * Fuse the inputs of a login step and record the decision in the user's history
+ */
+function decideLogin(username, inputs, stage = 'login') {
+  const fusion = loginFusion.decide(inputs);
+  behavioralEngine.recordLoginDecision(username, {
+    stage,
+    decision: fusion.decision,
+    risk: fusion.risk,
+    reasons: fusion.reasons,
+    inputs
+  });
+  return { ...fusion, inputs };
+}
+
+function startSession(req, user, isLearning, confidenceAssessment) {
+  delete req.session.pendingLogin;
+  req.session.userId = user.username;
+  req.session.username = user.username;
+  req.session.fullName = user.fullName;
+  req.session.email = user.email;
+  req.session.loginTime = Date.now();
+  req.session.isLearningPhase = isLearning;
+  sessionConfidence.start(req.session, confidenceAssessment);
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+/**
+ * Send a one-time code and park the login whose password checked out until
+ * the code is entered
+ * @returns {Object} otpDelivery.sendCode result; nothing is parked if sending failed
+ */
+async function startOtpChallenge(req, user, { isLearning, confidenceAssessment, fusion }) {
+  const code = String(crypto.randomInt(0, 10 ** OTP_CONFIG.digits)).padStart(OTP_CONFIG.digits, '0');
+
+  delete req.session.pendingLogin;
+  const delivery = await otpDelivery.sendCode({ to: user.email, username: user.username, code, ttlMs: OTP_CONFIG.ttlMs });
+  if (!delivery.success) {
+    return delivery;
+  }
+
+  req.session.pendingLogin = {
+    username: user.username,
+    sentTo: otpDelivery.maskEmail(user.email),
+    codeHash: hashCode(code),
+    expiresAt: Date.now() + OTP_CONFIG.ttlMs,
+    attempts: 0,
+    isLearning,
+    confidenceAssessment,
+    risk: fusion.risk,
+    reasons: fusion.reasons,
+    inputs: fusion.inputs
+  };
+
+  return delivery;
+}
+
 // Login page
 router.get('/login', (req, res) => {
   if (req.session.userId) {
@@ -56,9 +129,20 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Check if user is in learning phase
+    const isLearning = behavioralEngine.isLearningPhase(username);
+
+    // New IP / browser compared with the user's earlier successful logins
+    const context = loginFusion.describeContext(
+      behavioralEngine.getLoginContexts(username),
+      { ip: req.ip, userAgent: req.get('User-Agent') },
+      { trained: !isLearning }
+    );
+
     // Verify password
     const passwordValid = await bcrypt.compare(password, user.password);
     if (!passwordValid) {
+      decideLogin(username, { passwordValid, behavior: null, learning: isLearning, context });
       return res.status(401).json({
         success: false,
         error: 'Invalid username or password'
@@ -77,8 +161,15 @@ router.post('/login', async (req, res) => {
       }
     }
 
-    // Check if user is in learning phase
-    const isLearning = behavioralEngine.isLearningPhase(username);
+    // The same plausibility and replay checks as signed batches; a rejected
+    // sample is neither scored nor learned
+    const screening = behavioralData ? batchGuard.screen(username, parsedBehavioralData) : { success: true };
+    if (!screening.success) {
+      parsedBehavioralData = {};
+    }
+
+    // The login form is fixed text: what was typed is known once the password checks out
+    const keystrokeMode = { mode: 'fixed', phrase: 'login', text: username + password, fields: ['username', 'password'] };
 
     let confidenceAssessment = null;
     
@@ -86,36 +177,65 @@ router.post('/login', async (req, res) => {
       // Analyze behavioral data
       confidenceAssessment = await behavioralEngine.calculateConfidenceScore(
         parsedBehavioralData,
-        username
+        username,
+        { keystrokeMode }
       );
     }
 
-    // Update user profile with behavioral data
-    if (parsedBehavioralData.keystrokeData || parsedBehavioralData.mouseData) {
-      behavioralEngine.updateUserProfile(username, parsedBehavioralData);
+    // Password, behavior, learning phase and request context make one decision
+    const fusion = decideLogin(username, {
+      passwordValid,
+      behavior: confidenceAssessment && {
+        score: confidenceAssessment.score,
+        confidence: confidenceAssessment.confidence,
+        keystrokeMode: confidenceAssessment.keystrokeMode
+      },
+      behaviorRejected: screening.reasons || null,
+      learning: isLearning,
+      context
+    });
+
+    if (fusion.decision === 'DENY') {
+      return res.status(403).json({
+        success: false,
+        decision: fusion.decision,
+        error: 'This sign-in does not look like you. Try again from a device you have used before.'
+      });
+    }
+
+    // A login that needed a code is not learned from: neither behavior nor
+    // context vouched for the user
+    if (fusion.decision === 'STEP_UP_OTP') {
+      const delivery = await startOtpChallenge(req, user, { isLearning, confidenceAssessment, fusion });
+      if (!delivery.success) {
+        return res.status(503).json({
+          success: false,
+          decision: fusion.decision,
+          error: `${delivery.error}. Please try again later.`
+        });
+      }
+      return res.json({
+        success: true,
+        decision: fusion.decision,
+        redirect: '/auth/verify-otp',
+        message: 'Enter the one-time code to finish signing in'
+      });
     }
 
-    // Create session
-    req.session.userId = username;
-    req.session.username = user.username;
-    req.session.fullName = user.fullName;
-    req.session.email = user.email;
-    req.session.loginTime = Date.now();
-    req.session.isLearningPhase = isLearning;
-
-    // Determine if additional verification is needed
-    let requiresVerification = false;
-    if (confidenceAssessment && confidenceAssessment.confidence === 'LOW' || 
-        confidenceAssessment && confidenceAssessment.confidence === 'VERY_LOW') {
-      requiresVerification = true;
+    // Update user profile with behavioral data (a correct password alone does not
+    // make an anomalous sample part of the template)
+    if (parsedBehavioralData.keystrokeData || parsedBehavioralData.mouseData || parsedBehavioralData.touchData) {
+      behavioralEngine.updateUserProfile(username, parsedBehavioralData, { assessment: confidenceAssessment, keystrokeMode });
     }
 
+    startSession(req, user, isLearning, confidenceAssessment);
+
     res.json({
       success: true,
+      decision: fusion.decision,
       redirect: '/dashboard',
       isLearningPhase: isLearning,
       confidenceAssessment,
-      requiresVerification,
       message: isLearning ? 'Learning your behavior patterns...' : 'Login successful'
     });
 
@@ -128,6 +248,77 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// One-time code page for logins that need a step-up
+router.get('/verify-otp', (req, res) => {
+  const pending = req.session.pendingLogin;
+  if (!pending) {
+    return res.redirect('/auth/login');
+  }
+
+  res.render('verify-otp', {
+    title: 'Verify Sign-In',
+    user: { username: pending.username },
+    reasons: pending.reasons,
+    sentTo: pending.sentTo,
+    outbox: otpDelivery.outboxTransport === otpDelivery.current(),
+    digits: OTP_CONFIG.digits,
+    attemptsLeft: OTP_CONFIG.maxAttempts - pending.attempts
+  });
+});
+
+// One-time code check: finishes the login or ends it
+router.post('/verify-otp', (req, res) => {
+  const pending = req.session.pendingLogin;
+  if (!pending) {
+    return res.status(401).json({ success: false, error: 'No sign-in is waiting for a code', redirect: '/auth/login' });
+  }
+
+  const user = users.get(pending.username);
+  const fail = (status, reason, error) => {
+    delete req.session.pendingLogin;
+    behavioralEngine.recordLoginDecision(pending.username, {
+      stage: 'otp',
+      decision: 'DENY',
+      risk: pending.risk,
+      reasons: [...pending.reasons, reason],
+      inputs: { ...pending.inputs, otp: reason }
+    });
+    res.status(status).json({ success: false, error, redirect: '/auth/login' });
+  };
+
+  if (Date.now() > pending.expiresAt) {
+    return fail(401, 'otp_expired', 'The code has expired. Please sign in again.');
+  }
+
+  const expected = Buffer.from(pending.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(String(req.body.code ?? '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    pending.attempts++;
+    if (pending.attempts >= OTP_CONFIG.maxAttempts) {
+      return fail(403, 'otp_attempts_exceeded', 'Too many wrong codes. Please sign in again.');
+    }
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid code',
+      attemptsLeft: OTP_CONFIG.maxAttempts - pending.attempts
+    });
+  }
+
+  behavioralEngine.recordLoginDecision(pending.username, {
+    stage: 'otp',
+    decision: 'ALLOW',
+    risk: pending.risk,
+    reasons: [...pending.reasons, 'otp_verified'],
+    inputs: { ...pending.inputs, otp: 'otp_verified' }
+  });
+
+  // The code is a second factor: the session starts verified, as after re-authentication
+  startSession(req, user, pending.isLearning, pending.confidenceAssessment);
+  sessionConfidence.markReauthenticated(req.session);
+
+  res.json({ success: true, decision: 'ALLOW', redirect: '/dashboard' });
+});
+
 // Logout
 router.get('/logout', (req, res) => {
   req.session.destroy((err) => {
@@ -138,6 +329,19 @@ router.get('/logout', (req, res) => {
   });
 });
 
+// Re-authentication page (dashboard routes redirect here when confidence is too low)
+router.get('/re-authenticate', (req, res) => {
+  if (!req.session.userId) {
+    return res.redirect('/auth/login');
+  }
+
+  res.render('re-authenticate', {
+    title: 'Re-Authenticate',
+    user: { username: req.session.username },
+    confidence: sessionConfidence.current(req.session)
+  });
+});
+
 // Re-authentication endpoint for low confidence scenarios
 router.post('/re-authenticate', async (req, res) => {
   if (!req.session.userId) {
@@ -163,16 +367,29 @@ router.post('/re-authenticate', async (req, res) => {
       const parsedData = typeof behavioralData === 'string' 
         ? JSON.parse(behavioralData) 
         : behavioralData;
-      
-      behavioralEngine.updateUserProfile(req.session.userId, parsedData);
+
+      // Behavior that changed for a real reason is learned after re-entering the
+      // password; far outliers and bot-like or replayed samples are not. The
+      // password alone still re-authenticates.
+      if (batchGuard.screen(req.session.userId, parsedData).success) {
+        behavioralEngine.updateUserProfile(req.session.userId, parsedData, {
+          verified: true,
+          keystrokeMode: { mode: 'fixed', phrase: 're-authenticate', text: password, fields: ['password'] }
+        });
+      }
     }
 
     // Mark as recently verified
     req.session.recentlyVerified = Date.now();
+    sessionConfidence.markReauthenticated(req.session);
+
+    const redirect = req.session.returnTo || '/dashboard';
+    delete req.session.returnTo;
 
     res.json({
       success: true,
-      message: 'Re-authentication successful'
+      message: 'Re-authentication successful',
+      redirect
     });
 
   } catch (error) {
@@ -1,6 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const behavioralEngine = require('../services/behavioralEngine');
+const sessionConfidence = require('../services/sessionConfidence');
+const batchGuard = require('../services/batchGuard');
+
+// Typed repeatedly in fixed-text mode; free-text mode takes anything
+const TYPING_TEST_PHRASE = 'The quick brown fox jumps over the lazy dog';
+const TYPING_TEST_MODES = {
+  fixed: { mode: 'fixed', phrase: 'typing-test', text: TYPING_TEST_PHRASE, fields: ['typingInput'] },
+  free: { mode: 'free' }
+};
 
 // Authentication middleware
 function requireAuth(req, res, next) {
@@ -10,10 +19,39 @@ function requireAuth(req, res, next) {
   next();
 }
 
+// Continuous authentication middleware: the session score must reach the
+// route's minimum (default: anything above CHALLENGE)
+function requireConfidence(minScore = 60) {
+  return (req, res, next) => {
+    const confidence = sessionConfidence.current(req.session);
+    req.sessionConfidence = confidence;
+
+    if (confidence.score >= minScore) {
+      return next();
+    }
+
+    if (req.path.startsWith('/api/')) {
+      return res.status(403).json({
+        error: 'Session confidence too low',
+        confidence,
+        required: minScore,
+        reauthenticate: '/auth/re-authenticate'
+      });
+    }
+
+    req.session.returnTo = req.originalUrl;
+
+    if (confidence.action === 'BLOCK') {
+      return res.status(403).render('blocked', { title: 'Access Restricted', confidence });
+    }
+    res.redirect('/auth/re-authenticate');
+  };
+}
+
 // Dashboard home
-router.get('/', requireAuth, (req, res) => {
+router.get('/', requireAuth, requireConfidence(), (req, res) => {
   const profile = behavioralEngine.getUserProfile(req.session.userId);
-  const history = behavioralEngine.getBehavioralHistory(req.session.userId);
+  const history = behavioralEngine.getBehavioralHistory(req.session.userId, { type: 'confidence' });
   const isLearning = behavioralEngine.isLearningPhase(req.session.userId);
 
   res.render('dashboard', {
@@ -31,9 +69,9 @@ router.get('/', requireAuth, (req, res) => {
 });
 
 // Profile page
-router.get('/profile', requireAuth, (req, res) => {
+router.get('/profile', requireAuth, requireConfidence(75), (req, res) => {
   const profile = behavioralEngine.getUserProfile(req.session.userId);
-  const history = behavioralEngine.getBehavioralHistory(req.session.userId);
+  const history = behavioralEngine.getBehavioralHistory(req.session.userId, { type: 'confidence' });
 
   res.render('profile', {
     title: 'Profile',
@@ -49,9 +87,9 @@ router.get('/profile', requireAuth, (req, res) => {
 });
 
 // Behavioral analysis page
-router.get('/analysis', requireAuth, (req, res) => {
+router.get('/analysis', requireAuth, requireConfidence(), (req, res) => {
   const profile = behavioralEngine.getUserProfile(req.session.userId);
-  const history = behavioralEngine.getBehavioralHistory(req.session.userId);
+  const history = behavioralEngine.getBehavioralHistory(req.session.userId, { type: 'confidence' });
 
   res.render('analysis', {
     title: 'Behavioral Analysis',
@@ -65,7 +103,7 @@ router.get('/analysis', requireAuth, (req, res) => {
 });
 
 // Typing test page to build/test keystroke profile
-router.get('/typing-test', requireAuth, (req, res) => {
+router.get('/typing-test', requireAuth, requireConfidence(), (req, res) => {
   const profile = behavioralEngine.getUserProfile(req.session.userId);
   
   res.render('typing-test', {
@@ -74,12 +112,14 @@ router.get('/typing-test', requireAuth, (req, res) => {
       username: req.session.username,
       fullName: req.session.fullName
     },
-    profile
+    profile,
+    phrase: TYPING_TEST_PHRASE,
+    enrollment: behavioralEngine.describeKeystrokeEnrollment(req.session.userId, [TYPING_TEST_MODES.fixed.phrase])
   });
 });
 
 // Mouse tracking test page
-router.get('/mouse-test', requireAuth, (req, res) => {
+router.get('/mouse-test', requireAuth, requireConfidence(), (req, res) => {
   const profile = behavioralEngine.getUserProfile(req.session.userId);
   
   res.render('mouse-test', {
@@ -93,7 +133,7 @@ router.get('/mouse-test', requireAuth, (req, res) => {
 });
 
 // Touch test page (for mobile)
-router.get('/touch-test', requireAuth, (req, res) => {
+router.get('/touch-test', requireAuth, requireConfidence(), (req, res) => {
   const profile = behavioralEngine.getUserProfile(req.session.userId);
   
   res.render('touch-test', {
@@ -107,9 +147,9 @@ router.get('/touch-test', requireAuth, (req, res) => {
 });
 
 // Continuous monitoring demo page
-router.get('/continuous-auth', requireAuth, (req, res) => {
+router.get('/continuous-auth', requireAuth, requireConfidence(), (req, res) => {
   const profile = behavioralEngine.getUserProfile(req.session.userId);
-  const history = behavioralEngine.getBehavioralHistory(req.session.userId);
+  const history = behavioralEngine.getBehavioralHistory(req.session.userId, { type: 'confidence' });
   
   res.render('continuous-auth', {
     title: 'Continuous Authentication',
@@ -123,9 +163,9 @@ router.get('/continuous-auth', requireAuth, (req, res) => {
 });
 
 // API: Get current behavioral stats
-router.get('/api/stats', requireAuth, (req, res) => {
+router.get('/api/stats', requireAuth, requireConfidence(), (req, res) => {
   const profile = behavioralEngine.getUserProfile(req.session.userId);
-  const history = behavioralEngine.getBehavioralHistory(req.session.userId);
+  const history = behavioralEngine.getBehavioralHistory(req.session.userId, { type: 'confidence' });
 
   res.json({
     profile: {
@@ -135,6 +175,7 @@ router.get('/api/stats', requireAuth, (req, res) => {
       touchSamples: profile.touchDynamics.samples.length,
       lastUpdated: profile.lastUpdated
     },
+    sessionConfidence: req.sessionConfidence,
     recentScores: history.slice(-10).map(h => ({
       timestamp: h.timestamp,
       score: h.score,
@@ -143,27 +184,47 @@ router.get('/api/stats', requireAuth, (req, res) => {
   });
 });
 
+// API: Keystroke model coverage and error rates on the stored samples
+router.get('/api/keystroke-model', requireAuth, requireConfidence(), (req, res) => {
+  res.json(behavioralEngine.evaluateKeystrokeModel(req.session.userId));
+});
+
 // API: Submit typing test results
-router.post('/api/typing-test', requireAuth, async (req, res) => {
+router.post('/api/typing-test', requireAuth, requireConfidence(), async (req, res) => {
   try {
-    const { behavioralData } = req.body;
+    const { behavioralData, mode = 'free' } = req.body;
     
     if (!behavioralData || !behavioralData.keystrokeData) {
       return res.status(400).json({ error: 'Invalid data' });
     }
 
+    const keystrokeMode = TYPING_TEST_MODES[mode];
+    if (!keystrokeMode) {
+      return res.status(400).json({ error: 'mode must be "fixed" or "free"' });
+    }
+
+    // Bot-like or replayed samples are neither scored nor learned
+    const screening = batchGuard.screen(req.session.userId, behavioralData);
+    if (!screening.success) {
+      return res.status(screening.status).json({ success: false, error: screening.error, reasons: screening.reasons });
+    }
+
     // Calculate confidence score
     const assessment = await behavioralEngine.calculateConfidenceScore(
       behavioralData,
-      req.session.userId
+      req.session.userId,
+      { keystrokeMode }
     );
 
-    // Update profile
-    behavioralEngine.updateUserProfile(req.session.userId, behavioralData);
+    // Learn from the sample if the learning policy accepts it
+    const profile = behavioralEngine.updateUserProfile(req.session.userId, behavioralData, { assessment, keystrokeMode });
 
     res.json({
       success: true,
-      assessment
+      mode,
+      assessment,
+      learning: profile.learning.modalities.keystroke.last,
+      enrollment: behavioralEngine.describeKeystrokeEnrollment(req.session.userId, [TYPING_TEST_MODES.fixed.phrase])
     });
 
   } catch (error) {
@@ -172,8 +233,18 @@ router.post('/api/typing-test', requireAuth, async (req, res) => {
   }
 });
 
+// API: Forget a fixed-text keystroke template (the phrase enrolls again)
+router.delete('/api/keystroke/fixed-text/:phrase', requireAuth, requireConfidence(75), (req, res) => {
+  const result = behavioralEngine.resetFixedText(req.session.userId, req.params.phrase);
+
+  if (!result.success) {
+    return res.status(result.status).json(result);
+  }
+  res.json(result);
+});
+
 // API: Submit mouse test results
-router.post('/api/mouse-test', requireAuth, async (req, res) => {
+router.post('/api/mouse-test', requireAuth, requireConfidence(), async (req, res) => {
   try {
     const { behavioralData } = req.body;
     
@@ -181,14 +252,20 @@ router.post('/api/mouse-test', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Invalid data' });
     }
 
+    // Bot-like or replayed samples are neither scored nor learned
+    const screening = batchGuard.screen(req.session.userId, behavioralData);
+    if (!screening.success) {
+      return res.status(screening.status).json({ success: false, error: screening.error, reasons: screening.reasons });
+    }
+
     // Calculate confidence score
     const assessment = await behavioralEngine.calculateConfidenceScore(
       behavioralData,
       req.session.userId
     );
 
-    // Update profile
-    behavioralEngine.updateUserProfile(req.session.userId, behavioralData);
+    // Learn from the sample if the learning policy accepts it
+    behavioralEngine.updateUserProfile(req.session.userId, behavioralData, { assessment });
 
     res.json({
       success: true,
@@ -201,4 +278,93 @@ router.post('/api/mouse-test', requireAuth, async (req, res) => {
   }
 });
 
+// API: Recent login decisions with the inputs they were made from
+router.get('/api/login-decisions', requireAuth, requireConfidence(75), (req, res) => {
+  res.json({
+    decisions: behavioralEngine.getBehavioralHistory(req.session.userId, { type: 'login_decision' }).reverse()
+  });
+});
+
+// API: Download the behavioral template (backup or migration)
+router.get('/api/profile/export', requireAuth, requireConfidence(75), (req, res) => {
+  const document = behavioralEngine.exportProfile(req.session.userId);
+  const filename = `behavioral-profile-${encodeURIComponent(req.session.userId)}-${document.exportedAt.slice(0, 10)}.json`;
+
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.json(document);
+});
+
+// API: Replace the behavioral template with an exported one
+router.post('/api/profile/import', requireAuth, requireConfidence(90), (req, res) => {
+  try {
+    const result = behavioralEngine.importProfile(req.session.userId, req.body);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    req.session.isLearningPhase = behavioralEngine.isLearningPhase(req.session.userId);
+    res.json(result);
+
+  } catch (error) {
+    console.error('Profile import error:', error);
+    res.status(500).json({ success: false, error: 'Import failed' });
+  }
+});
+
+// API: Erase the behavioral template and history (data deletion request)
+router.delete('/api/profile', requireAuth, requireConfidence(75), (req, res) => {
+  try {
+    const deleted = behavioralEngine.deleteProfile(req.session.userId);
+    req.session.isLearningPhase = true;
+
+    console.log(`🗑️  Behavioral data erased for ${req.session.userId}`);
+    res.json({ success: true, deleted });
+
+  } catch (error) {
+    console.error('Profile erasure error:', error);
+    res.status(500).json({ success: false, error: 'Erasure failed' });
+  }
+});
+
+// API: Template snapshots and learning decisions
+router.get('/api/profile/snapshots', requireAuth, requireConfidence(), (req, res) => {
+  const profile = behavioralEngine.getUserProfile(req.session.userId);
+
+  res.json({
+    snapshots: behavioralEngine.listSnapshots(req.session.userId),
+    learning: profile.learning
+  });
+});
+
+// API: Snapshot the behavioral template now
+router.post('/api/profile/snapshots', requireAuth, requireConfidence(75), (req, res) => {
+  try {
+    const snapshot = behavioralEngine.createSnapshot(req.session.userId);
+    res.json({ success: true, snapshot });
+
+  } catch (error) {
+    console.error('Snapshot error:', error);
+    res.status(500).json({ success: false, error: 'Snapshot failed' });
+  }
+});
+
+// API: Restore the behavioral template from a snapshot (e.g. after poisoning)
+router.post('/api/profile/snapshots/:id/rollback', requireAuth, requireConfidence(90), (req, res) => {
+  try {
+    const result = behavioralEngine.rollbackProfile(req.session.userId, req.params.id);
+
+    if (!result.success) {
+      return res.status(result.status).json(result);
+    }
+
+    req.session.isLearningPhase = behavioralEngine.isLearningPhase(req.session.userId);
+    res.json(result);
+
+  } catch (error) {
+    console.error('Rollback error:', error);
+    res.status(500).json({ success: false, error: 'Rollback failed' });
+  }
+});
+
 module.exports = router;
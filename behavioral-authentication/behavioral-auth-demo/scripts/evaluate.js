@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Behavioral evaluation CLI
+ *
+ *   node scripts/evaluate.js run <sessions.json> [--enroll 6] [--adapt] [--out report.json] [--html report.html] [--json]
+ *   node scripts/evaluate.js generate [--users 5] [--enroll 6] [--sessions 6] [--seed 1] [--out file]
+ *
+ * <sessions.json> holds labelled tracker recordings (see services/evaluation.js).
+ * Runs use an in-memory profile store and never touch data/.
+ */
+
+// Set before the engine loads its profile store
+process.env.PROFILE_STORE = 'memory';
+
+const fs = require('fs');
+const evaluation = require('../services/evaluation');
+const { toHtml } = require('../services/evaluationReport');
+
+async function main(argv) {
+  const { command, file, options } = parseArgs(argv);
+
+  switch (command) {
+    case 'run': {
+      if (!file) throw new Error('Missing sessions file');
+
+      const sessions = evaluation.loadSessions(file);
+      const report = await evaluation.run(sessions, {
+        enrollSessions: numberOption(options.enroll, 6),
+        adapt: Boolean(options.adapt)
+      });
+
+      if (options.out) fs.writeFileSync(options.out, JSON.stringify(report, null, 2) + '\n');
+      if (options.html) fs.writeFileSync(options.html, toHtml(report));
+      if (options.json) return print(report);
+
+      console.log(`📊 ${report.dataset.sessions} sessions from ${report.dataset.users} users: ` +
+        `${report.dataset.enrollment} enrolled, ${report.dataset.verification.genuine} genuine / ` +
+        `${report.dataset.verification.impostor} impostor verified\n`);
+      printMetrics(report);
+      if (options.out) console.log(`\nJSON report written to ${options.out}`);
+      if (options.html) console.log(`HTML report written to ${options.html}`);
+      return;
+    }
+
+    case 'generate': {
+      const sessions = evaluation.generateSessions({
+        users: numberOption(options.users, 5),
+        enrollSessions: numberOption(options.enroll, 6),
+        genuineSessions: numberOption(options.sessions, 6),
+        seed: numberOption(options.seed, 1)
+      });
+      const json = JSON.stringify({ sessions });
+
+      if (options.out) {
+        fs.writeFileSync(options.out, json + '\n');
+        console.log(`📝 ${sessions.length} sessions written to ${options.out}`);
+      } else {
+        process.stdout.write(json + '\n');
+      }
+      return;
+    }
+
+    default:
+      throw new Error('Usage: evaluate.js run|generate … (see the header of scripts/evaluate.js)');
+  }
+}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  let file = null;
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('--')) {
+      const key = rest[i].slice(2);
+      const next = rest[i + 1];
+      options[key] = next === undefined || next.startsWith('--') ? true : rest[++i];
+    } else if (!file) {
+      file = rest[i];
+    }
+  }
+
+  return { command, file, options };
+}
+
+function numberOption(value, fallback) {
+  if (value === undefined) return fallback;
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new Error(`Not a number: ${value}`);
+  return number;
+}
+
+function percent(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printMetrics(report) {
+  const points = report.modalities.fused.operatingPoints;
+
+  console.log(`${'Modality'.padEnd(11)}${'genuine'.padStart(9)}${'impostor'.padStart(10)}${'undecided'.padStart(11)}${'EER'.padStart(8)}${'@score'.padStart(8)}${'AUC'.padStart(7)}` +
+    points.map(p => `${`FAR≥${p.threshold}`.padStart(9)}${`FRR≥${p.threshold}`.padStart(9)}`).join(''));
+
+  Object.entries(report.modalities).forEach(([name, m]) => {
+    console.log(`${name.padEnd(11)}${String(m.genuine.count).padStart(9)}${String(m.impostor.count).padStart(10)}` +
+      `${`${m.undecided.genuine}/${m.undecided.impostor}`.padStart(11)}` +
+      `${percent(m.eer).padStart(8)}${String(m.eerThreshold ?? 'n/a').padStart(8)}${String(m.auc ?? 'n/a').padStart(7)}` +
+      m.operatingPoints.map(p => `${percent(p.far).padStart(9)}${percent(p.frr).padStart(9)}`).join(''));
+  });
+
+  const undecided = evaluation.MODALITIES.filter(name => report.modalities[name].undecided.genuine + report.modalities[name].undecided.impostor > 0);
+  if (undecided.length > 0) {
+    console.log(`\n⚠️  ${undecided.join(', ')}: some samples could not be judged yet and are left out of the rates ` +
+      '(undecided genuine/impostor). Enroll more sessions per user (--enroll).');
+  }
+
+  console.log('\nRecommendations on the fused score (decided samples only):');
+  Object.entries(report.decisions).forEach(([label, counts]) => {
+    console.log(`  ${label.padEnd(9)} ${Object.entries(counts).map(([action, count]) => `${action} ${count}`).join(' / ')}`);
+  });
+}
+
+function print(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -68,6 +68,16 @@ app.get('/', (req, res) => {
   });
 });
 
+// API endpoint for the tracker to start signing batches (key and first nonce)
+app.post('/api/behavioral-check/session', (req, res) => {
+  if (!req.session.userId) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  const batchGuard = require('./services/batchGuard');
+  res.json(batchGuard.issue(req.session));
+});
+
 // API endpoint for continuous authentication check
 app.post('/api/behavioral-check', async (req, res) => {
   if (!req.session.userId) {
@@ -76,20 +86,45 @@ app.post('/api/behavioral-check', async (req, res) => {
 
   try {
     const behavioralEngine = require('./services/behavioralEngine');
-    const behavioralData = req.body;
+    const batchGuard = require('./services/batchGuard');
+    const sessionConfidence = require('./services/sessionConfidence');
+
+    // Unsigned, replayed or implausible batches are neither scored nor learned
+    const batch = batchGuard.verify(req.session, req.session.userId, req.body);
+    if (batch.status === 422) {
+      sessionConfidence.penalize(req.session, 'rejected_batch');
+    }
+    if (!batch.success) {
+      return res.status(batch.status).json({
+        success: false,
+        error: batch.error,
+        reasons: batch.reasons,
+        nextNonce: batch.nextNonce
+      });
+    }
+
+    const behavioralData = batch.data;
 
     const assessment = await behavioralEngine.calculateConfidenceScore(
       behavioralData,
       req.session.userId
     );
 
-    // Update profile with new data
-    behavioralEngine.updateUserProfile(req.session.userId, behavioralData);
+    // Dashboard routes enforce the session score, whatever the client does with the assessment
+    const confidence = sessionConfidence.record(req.session, assessment, {
+      learning: behavioralEngine.isLearningPhase(req.session.userId)
+    });
+
+    // Learn from the sample if the learning policy accepts it
+    const profile = behavioralEngine.updateUserProfile(req.session.userId, behavioralData, { assessment });
 
     res.json({
       success: true,
       assessment,
-      userId: req.session.userId
+      sessionConfidence: confidence,
+      learning: profile.learning.modalities,
+      userId: req.session.userId,
+      nextNonce: batch.nextNonce
     });
   } catch (error) {
     console.error('Behavioral check error:', error);
@@ -0,0 +1,296 @@
+/**
+ * Behavioral Batch Guard
+ * Protects the continuous-authentication endpoint from replayed and
+ * fabricated tracker data. Each session gets a batch key; every tracker
+ * (one per tab) gets its own stream with a one-time nonce. The tracker signs
+ * every batch with HMAC-SHA256 over `${nonce}.${data}` and receives the next
+ * nonce of its stream in the response. Streams keep their own nonce and
+ * event clock, so two tabs never invalidate each other.
+ *
+ * Batches that verify are still checked for monotonic timestamps, traces
+ * seen before and physically implausible input. Suspect batches are
+ * rejected and must never reach the profile.
+ *
+ * The key is handed to the page, so a signature proves the batch came
+ * through this session's tracker and was used once; it does not stop a
+ * script running inside the page.
+ */
+
+const crypto = require('crypto');
+const mouseModel = require('./mouseModel');
+
+const DEFAULT_CONFIG = {
+  nonceTtlMs: 10 * 60 * 1000,
+  maxStreams: 8, // Trackers (tabs) per session; the least recently used stream is dropped
+  maxEvents: 500, // Per stream (the tracker buffers far fewer)
+  clockDriftMs: 5, // Allowed wobble of timestamp - sessionTime within a batch
+  rememberTraces: 200, // Fingerprints kept per user for duplicate detection
+  keystrokes: {
+    minDwellMs: 5,
+    maxDwellMs: 5000,
+    maxBadDwellShare: 0.2,
+    minMeanIntervalMs: 40, // 25 keys per second, sustained
+    minIntervals: 10, // Needed before rate and regularity are judged
+    minIntervalVariation: 0.05, // Coefficient of variation; below is a metronome
+    maxIntervalMs: 1500 // Longer gaps are pauses, not rhythm
+  },
+  mouse: {
+    maxSpeed: 20 // px/ms between samples
+  },
+  touch: {
+    maxRadius: 200 // px
+  },
+  sensors: {
+    maxAcceleration: 100 // m/s², including gravity
+  }
+};
+
+// userId → recent trace fingerprints (per process)
+const traces = new Map();
+
+/**
+ * Start batch signing for a new tracker: creates the session's batch key
+ * if needed and a new stream with its first nonce
+ * @param {Object} session - express session
+ * @returns {Object} { batchKey, streamId, nonce, expiresAt }
+ */
+function issue(session, now = Date.now(), config = DEFAULT_CONFIG) {
+  const state = session.behavioralBatch && session.behavioralBatch.streams ? session.behavioralBatch : {
+    key: crypto.randomBytes(32).toString('hex'),
+    streams: {},
+    accepted: 0,
+    rejected: 0
+  };
+
+  const streamId = crypto.randomBytes(8).toString('hex');
+  const stream = { lastEventAt: null, lastSentAt: null };
+  rotateNonce(stream, now);
+
+  // Oldest streams first (by last use); a closed tab's stream ages out
+  const kept = Object.entries(state.streams)
+    .sort(([, a], [, b]) => a.issuedAt - b.issuedAt)
+    .slice(-(config.maxStreams - 1));
+  state.streams = { ...Object.fromEntries(kept), [streamId]: stream };
+  session.behavioralBatch = state;
+
+  return { batchKey: state.key, streamId, nonce: stream.nonce, expiresAt: stream.issuedAt + config.nonceTtlMs };
+}
+
+/**
+ * Verify and inspect a signed batch. Every attempt uses up the stream's nonce.
+ * @param {Object} body - { streamId, nonce, data (JSON string of tracker getData()), signature }
+ * @returns {Object} { success, data, nextNonce } or { success: false, status, error, reasons, nextNonce }
+ */
+function verify(session, userId, body, now = Date.now(), config = DEFAULT_CONFIG) {
+  const state = session.behavioralBatch;
+  const known = Boolean(state && state.streams && body && typeof body.streamId === 'string' &&
+    Object.prototype.hasOwnProperty.call(state.streams, body.streamId));
+  if (!known) {
+    return { success: false, status: 409, error: 'Batch stream not started', reasons: ['no_batch_session'] };
+  }
+
+  const stream = state.streams[body.streamId];
+  const expected = { nonce: stream.nonce, issuedAt: stream.issuedAt };
+  const nextNonce = rotateNonce(stream, now);
+  const reject = (status, error, reasons) => {
+    state.rejected++;
+    return { success: false, status, error, reasons, nextNonce };
+  };
+
+  if (typeof body.nonce !== 'string' || typeof body.data !== 'string' || typeof body.signature !== 'string') {
+    return reject(400, 'Expected a signed batch { streamId, nonce, data, signature }', ['unsigned_batch']);
+  }
+  if (body.nonce !== expected.nonce || now - expected.issuedAt > config.nonceTtlMs) {
+    return reject(409, 'Stale or reused nonce', ['stale_nonce']);
+  }
+  if (!safeEqual(sign(state.key, body.nonce, body.data), body.signature)) {
+    return reject(401, 'Invalid batch signature', ['invalid_signature']);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(body.data);
+  } catch (error) {
+    return reject(400, 'Batch data is not JSON', ['malformed']);
+  }
+
+  const reasons = inspect(data, stream, config);
+  const fingerprint = reasons.includes('malformed') ? null : fingerprintOf(data);
+  reasons.push(...duplicateOf(userId, fingerprint));
+
+  if (reasons.length > 0) {
+    console.warn(`🚫 Rejected behavioral batch from ${userId}: ${reasons.join(', ')}`);
+    return reject(422, 'Behavioral batch rejected', reasons);
+  }
+
+  remember(userId, fingerprint, config);
+  stream.lastEventAt = Math.max(stream.lastEventAt || 0, ...eventsOf(data).map(e => e.timestamp));
+  stream.lastSentAt = data.timestamp;
+  state.accepted++;
+
+  return { success: true, data, nextNonce };
+}
+
+/**
+ * Inspect an unsigned sample (login, re-authentication, typing and mouse
+ * tests) with the same plausibility and duplicate-trace checks as a batch.
+ * Each sample is judged on its own, so there is no stale-event check.
+ * @param {Object} data - tracker getData()
+ * @returns {Object} { success } or { success: false, status, error, reasons }
+ */
+function screen(userId, data, config = DEFAULT_CONFIG) {
+  const reasons = inspect(data, {}, config);
+  const fingerprint = reasons.includes('malformed') ? null : fingerprintOf(data);
+  reasons.push(...duplicateOf(userId, fingerprint));
+
+  if (reasons.length > 0) {
+    console.warn(`🚫 Rejected behavioral sample from ${userId}: ${reasons.join(', ')}`);
+    return { success: false, status: 422, error: 'Behavioral data rejected', reasons };
+  }
+
+  remember(userId, fingerprint, config);
+  return { success: true };
+}
+
+/**
+ * Reasons a (verified) batch cannot be trusted; empty if none
+ * @param {Object} state - the batch's stream ({ lastEventAt, lastSentAt }), or {} for a lone sample
+ */
+function inspect(data, state = {}, config = DEFAULT_CONFIG) {
+  if (!data || typeof data !== 'object' || !Number.isFinite(data.timestamp)) return ['malformed'];
+
+  const streams = ['keystrokeData', 'mouseData', 'touchData', 'sensorData'].map(name => data[name] || []);
+  if (streams.some(stream => !Array.isArray(stream) || stream.length > config.maxEvents)) return ['malformed'];
+
+  const events = eventsOf(data);
+  if (events.some(e => !e || !Number.isFinite(e.timestamp))) return ['malformed'];
+
+  const reasons = [];
+
+  // Each stream is appended in event order
+  if (streams.some(stream => stream.some((e, i) => i > 0 && e.timestamp < stream[i - 1].timestamp))) {
+    reasons.push('non_monotonic_timestamps');
+  }
+  // Nothing from before the last accepted batch, nothing after this one was sent
+  if ((state.lastEventAt && events.some(e => e.timestamp <= state.lastEventAt)) ||
+      (state.lastSentAt && data.timestamp <= state.lastSentAt)) {
+    reasons.push('stale_events');
+  }
+  if (events.some(e => e.timestamp > data.timestamp)) {
+    reasons.push('events_after_send');
+  }
+  // sessionTime is timestamp - the tracker's start time, the same for every event
+  const starts = events.filter(e => Number.isFinite(e.sessionTime)).map(e => e.timestamp - e.sessionTime);
+  if (starts.length > 0 && Math.max(...starts) - Math.min(...starts) > config.clockDriftMs) {
+    reasons.push('inconsistent_session_clock');
+  }
+
+  reasons.push(...implausibleKeystrokes(data.keystrokeData || [], config.keystrokes));
+
+  const mouse = data.mouseData || [];
+  const moves = mouse.filter(e => e.type === 'mousemove');
+  if (moves.some(e => !Number.isFinite(e.x) || !Number.isFinite(e.y)) ||
+      moves.some((e, i) => i > 0 && Math.hypot(e.x - moves[i - 1].x, e.y - moves[i - 1].y) /
+        Math.max(1, e.timestamp - moves[i - 1].timestamp) > config.mouse.maxSpeed)) {
+    reasons.push('implausible_mouse');
+  } else if (mouseModel.analyze(mouse).bot.suspected) {
+    reasons.push('linear_mouse_movement');
+  }
+
+  if ((data.touchData || []).some(t => (t.force !== undefined && !(t.force >= 0 && t.force <= 1)) ||
+      (t.radius !== undefined && !(t.radius >= 0 && t.radius <= config.touch.maxRadius)) ||
+      (t.duration !== undefined && !(t.duration > 0)))) {
+    reasons.push('implausible_touch');
+  }
+
+  if ((data.sensorData || []).some(s => s.type === 'orientation'
+    ? !(Math.abs(s.beta) <= 180 && Math.abs(s.gamma) <= 90)
+    : !(Math.hypot(s.x, s.y, s.z) <= config.sensors.maxAcceleration))) {
+    reasons.push('implausible_sensors');
+  }
+
+  return reasons;
+}
+
+function implausibleKeystrokes(keystrokes, limits) {
+  const reasons = [];
+
+  const dwells = keystrokes.filter(k => k.duration !== undefined).map(k => k.duration);
+  const badDwells = dwells.filter(d => !(d >= limits.minDwellMs && d <= limits.maxDwellMs));
+  if (dwells.length > 0 && badDwells.length / dwells.length > limits.maxBadDwellShare) {
+    reasons.push('implausible_dwell_times');
+  }
+
+  const intervals = keystrokes
+    .slice(1)
+    .map((k, i) => k.timestamp - keystrokes[i].timestamp)
+    .filter(interval => interval <= limits.maxIntervalMs);
+
+  if (intervals.length >= limits.minIntervals) {
+    const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+    const std = Math.sqrt(intervals.reduce((sum, x) => sum + (x - mean) * (x - mean), 0) / intervals.length);
+
+    if (mean < limits.minMeanIntervalMs) {
+      reasons.push('implausible_typing_rate');
+    } else if (std / mean < limits.minIntervalVariation) {
+      reasons.push('robotic_typing_rhythm');
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Hash of a trace that ignores where in time it was recorded, so a replay
+ * with shifted timestamps still matches
+ */
+function fingerprintOf(data) {
+  const events = eventsOf(data);
+  if (events.length === 0) return null;
+
+  const origin = Math.min(...events.map(e => e.timestamp));
+  const relative = stream => (stream || []).map(({ timestamp, sessionTime, ...rest }) => ({ ...rest, t: timestamp - origin }));
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([relative(data.keystrokeData), relative(data.mouseData), relative(data.touchData), relative(data.sensorData)]))
+    .digest('hex');
+}
+
+function duplicateOf(userId, fingerprint) {
+  return fingerprint && (traces.get(userId) || []).includes(fingerprint) ? ['duplicate_trace'] : [];
+}
+
+function remember(userId, fingerprint, config) {
+  if (fingerprint) {
+    traces.set(userId, [...(traces.get(userId) || []), fingerprint].slice(-config.rememberTraces));
+  }
+}
+
+function eventsOf(data) {
+  return [...(data.keystrokeData || []), ...(data.mouseData || []), ...(data.touchData || []), ...(data.sensorData || [])];
+}
+
+function rotateNonce(state, now) {
+  state.nonce = crypto.randomBytes(16).toString('hex');
+  state.issuedAt = now;
+  return state.nonce;
+}
+
+function sign(key, nonce, data) {
+  return crypto.createHmac('sha256', Buffer.from(key, 'hex')).update(`${nonce}.${data}`).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  issue,
+  verify,
+  screen,
+  inspect,
+  sign
+};
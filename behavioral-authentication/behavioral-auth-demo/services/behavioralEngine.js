@@ -3,58 +3,99 @@
  * Analyzes user behavior patterns for continuous authentication
  */
 
-// In-memory storage for demo (use database in production)
-const userProfiles = new Map();
-const sessionBehavior = new Map();
-const behavioralHistory = new Map();
+const crypto = require('crypto');
+const { createProfileStore } = require('../database');
+const profileSchema = require('./profileSchema');
+const keystrokeModel = require('./keystrokeModel');
+const mouseModel = require('./mouseModel');
+const touchModel = require('./touchModel');
+const fixedTextModel = require('./fixedTextModel');
+const learningPolicy = require('./learningPolicy');
+
+// Profiles and confidence history survive restarts (PROFILE_STORE=file|sqlite|memory)
+const store = createProfileStore();
+
+const HISTORY_LIMIT = 50;
+const LOGIN_CONTEXT_LIMIT = 20; // Most recently allowed IP / browser pairs kept per user
+const FREE_TEXT = { mode: 'free' };
+const LEARNING_SESSIONS = 3; // Every sample is learned until the template has this many sessions
+
+// Below these counts a modality has too little data to judge and stays UNKNOWN
+const MIN_SAMPLES = {
+  keystrokes: 5,
+  mouseEvents: 10,
+  touches: 3,
+  sensorReadings: 5 // A modality of its own when there are no touches
+};
 
 /**
- * Initialize or get user behavioral profile
+ * Get a user's behavioral profile (a new, unsaved one if there is none).
+ * Profiles stored by an older version are upgraded to the current schema.
  */
 function getUserProfile(userId) {
-  if (!userProfiles.has(userId)) {
-    userProfiles.set(userId, {
-      userId,
-      createdAt: Date.now(),
-      keystrokeDynamics: {
-        avgDwellTime: null,
-        avgFlightTime: null,
-        typingSpeed: null,
-        errorRate: null,
-        samples: []
-      },
-      mouseDynamics: {
-        avgSpeed: null,
-        avgDistance: null,
-        clickPattern: null,
-        scrollPattern: null,
-        samples: []
-      },
-      touchDynamics: {
-        avgTapDuration: null,
-        avgSwipeSpeed: null,
-        pressurePattern: null,
-        samples: []
-      },
-      confidenceHistory: [],
-      totalSessions: 0,
-      lastUpdated: Date.now()
-    });
+  const stored = store.getProfile(userId);
+  if (!stored) {
+    return profileSchema.createProfile(userId);
+  }
+
+  const { profile, upgraded } = profileSchema.upgrade(stored);
+  if (upgraded) {
+    store.saveProfile(userId, profile);
   }
-  return userProfiles.get(userId);
+  return profile;
 }
 
 /**
  * Analyze keystroke dynamics
+ * @param {Object} keystrokeMode - { mode: 'free' } for text typed anywhere, or
+ *   { mode: 'fixed', phrase, text, fields } for a known phrase (see fixedTextModel)
  */
-function analyzeKeystrokeDynamics(keystrokeData, userProfile) {
-  if (!keystrokeData || keystrokeData.length === 0) {
-    return { score: 50, confidence: 'UNKNOWN', factors: [] };
+function analyzeKeystrokeDynamics(keystrokeData, userProfile, keystrokeMode = FREE_TEXT) {
+  if (!keystrokeData || keystrokeData.length < MIN_SAMPLES.keystrokes) {
+    return { ...undecided('too_few_samples'), mode: keystrokeMode.mode };
   }
 
   const factors = [];
   let score = 100;
 
+  // A known phrase is compared position by position against its template;
+  // anything else (or a phrase still enrolling) against the free-text model
+  const fixedSample = keystrokeMode.mode === 'fixed'
+    ? fixedTextModel.extract(keystrokeData, keystrokeMode.text, keystrokeMode.fields)
+    : null;
+  const fixedTemplate = keystrokeMode.mode === 'fixed' ? userProfile.keystrokeDynamics.fixedText[keystrokeMode.phrase] : null;
+  const fixedMatch = fixedSample ? fixedTextModel.compare(fixedTemplate, fixedSample) : null;
+
+  // Per-key dwell and per-digraph flight timing against the user's model.
+  // The average-based checks below only run until a model can decide.
+  // Worth at most the 75 points those checks could deduct.
+  const features = keystrokeModel.summarize(keystrokeModel.extractFeatures(keystrokeData));
+  const digraphMatch = keystrokeModel.compare(userProfile.keystrokeDynamics.model, features);
+  const modelMatch = fixedMatch || digraphMatch;
+  let compared = Boolean(modelMatch);
+
+  if (fixedMatch) {
+    const impact = Math.round((fixedTextModel.score(fixedMatch.distance) - 100) * 0.75);
+    if (impact < 0) {
+      score += impact;
+      factors.push({
+        factor: impact <= -40 ? 'Fixed-Text Timing Mismatch' : 'Fixed-Text Timing Variation',
+        impact,
+        details: `${fixedMatch.distance} std. deviations from the "${keystrokeMode.phrase}" template over ${fixedMatch.positions} keys`
+      });
+    }
+  } else if (digraphMatch) {
+    const impact = Math.round((keystrokeModel.score(digraphMatch.distance) - 100) * 0.75);
+    if (impact < 0) {
+      score += impact;
+      factors.push({
+        factor: impact <= -40 ? 'Digraph Timing Mismatch' : 'Digraph Timing Variation',
+        impact,
+        details: `${digraphMatch.distance} std. deviations from normal over ${digraphMatch.features} keys/digraphs`
+      });
+    }
+  }
+
   // Calculate dwell times (how long keys are pressed)
   const dwellTimes = keystrokeData
     .filter(k => k.duration)
@@ -63,7 +104,8 @@ function analyzeKeystrokeDynamics(keystrokeData, userProfile) {
   if (dwellTimes.length > 0) {
     const avgDwellTime = dwellTimes.reduce((a, b) => a + b, 0) / dwellTimes.length;
     
-    if (userProfile.keystrokeDynamics.avgDwellTime) {
+    if (!modelMatch && userProfile.keystrokeDynamics.avgDwellTime) {
+      compared = true;
       const deviation = Math.abs(avgDwellTime - userProfile.keystrokeDynamics.avgDwellTime);
       const deviationPercent = (deviation / userProfile.keystrokeDynamics.avgDwellTime) * 100;
       
@@ -93,7 +135,8 @@ function analyzeKeystrokeDynamics(keystrokeData, userProfile) {
   if (flightTimes.length > 0) {
     const avgFlightTime = flightTimes.reduce((a, b) => a + b, 0) / flightTimes.length;
     
-    if (userProfile.keystrokeDynamics.avgFlightTime) {
+    if (!modelMatch && userProfile.keystrokeDynamics.avgFlightTime) {
+      compared = true;
       const deviation = Math.abs(avgFlightTime - userProfile.keystrokeDynamics.avgFlightTime);
       const deviationPercent = (deviation / userProfile.keystrokeDynamics.avgFlightTime) * 100;
       
@@ -121,6 +164,7 @@ function analyzeKeystrokeDynamics(keystrokeData, userProfile) {
     const typingSpeed = (keystrokeData.length / timeSpan) * 60000; // chars per minute
     
     if (userProfile.keystrokeDynamics.typingSpeed) {
+      compared = true;
       const deviation = Math.abs(typingSpeed - userProfile.keystrokeDynamics.typingSpeed);
       const deviationPercent = (deviation / userProfile.keystrokeDynamics.typingSpeed) * 100;
       
@@ -135,15 +179,30 @@ function analyzeKeystrokeDynamics(keystrokeData, userProfile) {
     }
   }
 
+  const metrics = {
+    avgDwellTime: dwellTimes.length > 0 ? dwellTimes.reduce((a, b) => a + b, 0) / dwellTimes.length : null,
+    avgFlightTime: flightTimes.length > 0 ? flightTimes.reduce((a, b) => a + b, 0) / flightTimes.length : null,
+    sampleCount: keystrokeData.length,
+    digraphModel: digraphMatch,
+    fixedText: keystrokeMode.mode === 'fixed' ? {
+      phrase: keystrokeMode.phrase,
+      matchedPhrase: Boolean(fixedSample),
+      match: fixedMatch,
+      enrollment: fixedTextModel.describe(fixedTemplate)
+    } : null
+  };
+
+  if (!compared) {
+    return { ...undecided('no_baseline'), mode: keystrokeMode.mode, metrics };
+  }
+
   return {
     score: Math.max(0, score),
     confidence: getConfidenceLevel(score),
     factors,
-    metrics: {
-      avgDwellTime: dwellTimes.length > 0 ? dwellTimes.reduce((a, b) => a + b, 0) / dwellTimes.length : null,
-      avgFlightTime: flightTimes.length > 0 ? flightTimes.reduce((a, b) => a + b, 0) / flightTimes.length : null,
-      sampleCount: keystrokeData.length
-    }
+    // The mode that produced the score: 'fixed' only if the phrase template decided
+    mode: fixedMatch ? 'fixed' : 'free',
+    metrics
   };
 }
 
@@ -151,12 +210,13 @@ function analyzeKeystrokeDynamics(keystrokeData, userProfile) {
  * Analyze mouse movement dynamics
  */
 function analyzeMouseDynamics(mouseData, userProfile) {
-  if (!mouseData || mouseData.length < 2) {
-    return { score: 50, confidence: 'UNKNOWN', factors: [] };
+  if (!mouseData || mouseData.length < MIN_SAMPLES.mouseEvents) {
+    return undecided('too_few_samples');
   }
 
   const factors = [];
   let score = 100;
+  let compared = false;
 
   // Calculate mouse movement speed
   let totalDistance = 0;
@@ -178,6 +238,7 @@ function analyzeMouseDynamics(mouseData, userProfile) {
   const avgSpeed = totalTime > 0 ? totalDistance / totalTime : 0;
 
   if (userProfile.mouseDynamics.avgSpeed && avgSpeed > 0) {
+    compared = true;
     const deviation = Math.abs(avgSpeed - userProfile.mouseDynamics.avgSpeed);
     const deviationPercent = (deviation / userProfile.mouseDynamics.avgSpeed) * 100;
     
@@ -209,6 +270,7 @@ function analyzeMouseDynamics(mouseData, userProfile) {
     const avgClickInterval = clickIntervals.reduce((a, b) => a + b, 0) / clickIntervals.length;
     
     if (userProfile.mouseDynamics.clickPattern) {
+      compared = true;
       const deviation = Math.abs(avgClickInterval - userProfile.mouseDynamics.clickPattern);
       const deviationPercent = (deviation / userProfile.mouseDynamics.clickPattern) * 100;
       
@@ -223,30 +285,87 @@ function analyzeMouseDynamics(mouseData, userProfile) {
     }
   }
 
+  // Stroke shape and click timing against the user's trajectory baseline
+  const trajectory = mouseModel.analyze(mouseData);
+  const trajectoryMatch = mouseModel.compare(userProfile.mouseDynamics.trajectory, trajectory.features);
+
+  if (trajectoryMatch) {
+    compared = true;
+    const impact = Math.round((mouseModel.score(trajectoryMatch.distance) - 100) * 0.4);
+    if (impact < 0) {
+      score += impact;
+      factors.push({
+        factor: 'Mouse Trajectory Anomaly',
+        impact,
+        details: `${trajectoryMatch.distance} std. deviations from normal, mostly ${trajectoryMatch.largest.feature}`
+      });
+    }
+  }
+
+  // Automation moves in perfectly straight lines; this needs no baseline
+  if (trajectory.bot.suspected) {
+    score -= 50;
+    factors.push({
+      factor: 'Synthetic Mouse Movement',
+      impact: -50,
+      details: `${trajectory.bot.linearStrokes} of ${trajectory.bot.strokes} strokes perfectly straight`
+    });
+  }
+
+  const metrics = {
+    avgSpeed,
+    totalDistance,
+    clickCount: clicks.length,
+    sampleCount: mouseData.length,
+    strokeCount: trajectory.strokes,
+    trajectory: trajectory.features,
+    trajectoryModel: trajectoryMatch
+  };
+
+  // A bot signal is evidence on its own; anything else needs a baseline
+  if (!compared && !trajectory.bot.suspected) {
+    return { ...undecided('no_baseline'), bot: trajectory.bot, metrics };
+  }
+
   return {
     score: Math.max(0, score),
     confidence: getConfidenceLevel(score),
     factors,
-    metrics: {
-      avgSpeed,
-      totalDistance,
-      clickCount: clicks.length,
-      sampleCount: mouseData.length
-    }
+    bot: trajectory.bot,
+    metrics
   };
 }
 
 /**
- * Analyze touch gestures (mobile)
+ * Analyze touch gestures and how the device is held (mobile)
  */
-function analyzeTouchDynamics(touchData, userProfile) {
-  if (!touchData || touchData.length === 0) {
-    return { score: 50, confidence: 'UNKNOWN', factors: [] };
+function analyzeTouchDynamics(touchData, userProfile, sensorData = []) {
+  touchData = touchData || [];
+  if (touchData.length < MIN_SAMPLES.touches && sensorData.length < MIN_SAMPLES.sensorReadings) {
+    return undecided('too_few_samples');
   }
 
   const factors = [];
   let score = 100;
 
+  // Pressure, contact size, swipe velocity curves and hold angle against the
+  // user's touch baseline; the average-based checks below run until it can decide
+  const touch = touchModel.analyze(touchData, sensorData);
+  const touchMatch = touchModel.compare(userProfile.touchDynamics.model, touch.features);
+  let compared = Boolean(touchMatch);
+
+  if (touchMatch) {
+    const impact = Math.round((touchModel.score(touchMatch.distance) - 100) * 0.6);
+    if (impact < 0) {
+      score += impact;
+      factors.push({
+        factor: impact <= -30 ? 'Touch Pattern Mismatch' : 'Touch Pattern Variation',
+        impact,
+        details: `${touchMatch.distance} std. deviations from normal, mostly ${touchMatch.largest.feature}`
+      });
+    }
+  }
+
   // Calculate tap durations
   const tapDurations = touchData
     .filter(t => t.type === 'tap' && t.duration)
@@ -255,7 +374,8 @@ function analyzeTouchDynamics(touchData, userProfile) {
   if (tapDurations.length > 0) {
     const avgTapDuration = tapDurations.reduce((a, b) => a + b, 0) / tapDurations.length;
     
-    if (userProfile.touchDynamics.avgTapDuration) {
+    if (!touchMatch && userProfile.touchDynamics.avgTapDuration) {
+      compared = true;
       const deviation = Math.abs(avgTapDuration - userProfile.touchDynamics.avgTapDuration);
       const deviationPercent = (deviation / userProfile.touchDynamics.avgTapDuration) * 100;
       
@@ -275,7 +395,8 @@ function analyzeTouchDynamics(touchData, userProfile) {
   if (swipes.length > 0) {
     const avgSwipeSpeed = swipes.reduce((sum, s) => sum + (s.speed || 0), 0) / swipes.length;
     
-    if (userProfile.touchDynamics.avgSwipeSpeed) {
+    if (!touchMatch && userProfile.touchDynamics.avgSwipeSpeed) {
+      compared = true;
       const deviation = Math.abs(avgSwipeSpeed - userProfile.touchDynamics.avgSwipeSpeed);
       const deviationPercent = (deviation / userProfile.touchDynamics.avgSwipeSpeed) * 100;
       
@@ -290,28 +411,48 @@ function analyzeTouchDynamics(touchData, userProfile) {
     }
   }
 
+  const metrics = {
+    avgTapDuration: tapDurations.length > 0 ? tapDurations.reduce((a, b) => a + b, 0) / tapDurations.length : null,
+    tapCount: tapDurations.length,
+    swipeCount: swipes.length,
+    sensorReadings: touch.sensorReadings,
+    touch: touch.features,
+    touchModel: touchMatch
+  };
+
+  if (!compared) {
+    return { ...undecided('no_baseline'), metrics };
+  }
+
   return {
     score: Math.max(0, score),
     confidence: getConfidenceLevel(score),
     factors,
-    metrics: {
-      avgTapDuration: tapDurations.length > 0 ? tapDurations.reduce((a, b) => a + b, 0) / tapDurations.length : null,
-      tapCount: tapDurations.length,
-      swipeCount: swipes.length
-    }
+    metrics
   };
 }
 
+/**
+ * Result of a modality that cannot be judged: too little data, or nothing
+ * learned to compare it with. The score is a placeholder; UNKNOWN
+ * modalities stay out of the fused score.
+ */
+function undecided(reason) {
+  return { score: 50, confidence: 'UNKNOWN', reason, factors: [] };
+}
+
 /**
  * Calculate overall confidence score
+ * @param {Object} options - { keystrokeMode } (free text unless given, see analyzeKeystrokeDynamics)
  */
-async function calculateConfidenceScore(behavioralData, userId) {
+async function calculateConfidenceScore(behavioralData, userId, { keystrokeMode = FREE_TEXT } = {}) {
   const userProfile = getUserProfile(userId);
   
   // Analyze each behavioral component
   const keystrokeAnalysis = analyzeKeystrokeDynamics(
     behavioralData.keystrokeData || [],
-    userProfile
+    userProfile,
+    keystrokeMode
   );
   
   const mouseAnalysis = analyzeMouseDynamics(
@@ -321,7 +462,8 @@ async function calculateConfidenceScore(behavioralData, userId) {
   
   const touchAnalysis = analyzeTouchDynamics(
     behavioralData.touchData || [],
-    userProfile
+    userProfile,
+    behavioralData.sensorData || []
   );
 
   // Weight the scores
@@ -331,146 +473,278 @@ async function calculateConfidenceScore(behavioralData, userId) {
     touch: 0.25
   };
 
+  // Only modalities that could be judged count (a phone has no mouse, a desktop
+  // no touch, a new profile no baseline). A score of 0 is the strongest
+  // mismatch and counts like any other.
   let totalScore = 0;
   let totalWeight = 0;
   const allFactors = [];
 
-  if (keystrokeAnalysis.score > 0) {
+  if (keystrokeAnalysis.confidence !== 'UNKNOWN') {
     totalScore += keystrokeAnalysis.score * weights.keystroke;
     totalWeight += weights.keystroke;
     allFactors.push(...keystrokeAnalysis.factors.map(f => ({ ...f, category: 'Keystroke' })));
   }
 
-  if (mouseAnalysis.score > 0) {
+  if (mouseAnalysis.confidence !== 'UNKNOWN') {
     totalScore += mouseAnalysis.score * weights.mouse;
     totalWeight += weights.mouse;
     allFactors.push(...mouseAnalysis.factors.map(f => ({ ...f, category: 'Mouse' })));
   }
 
-  if (touchAnalysis.score > 0) {
+  if (touchAnalysis.confidence !== 'UNKNOWN') {
     totalScore += touchAnalysis.score * weights.touch;
     totalWeight += weights.touch;
     allFactors.push(...touchAnalysis.factors.map(f => ({ ...f, category: 'Touch' })));
   }
 
-  // Calculate final score
-  const finalScore = totalWeight > 0 ? Math.round(totalScore / totalWeight) : 50;
-  const confidenceLevel = getConfidenceLevel(finalScore);
-
-  // Store in history
-  const historyEntry = {
-    timestamp: Date.now(),
-    score: finalScore,
-    confidence: confidenceLevel,
-    keystrokeScore: keystrokeAnalysis.score,
-    mouseScore: mouseAnalysis.score,
-    touchScore: touchAnalysis.score
-  };
-
-  if (!behavioralHistory.has(userId)) {
-    behavioralHistory.set(userId, []);
-  }
-  behavioralHistory.get(userId).push(historyEntry);
+  // Calculate final score; with no modality judged it is a placeholder and
+  // the assessment is UNKNOWN (callers must not treat it as a measurement)
+  const decided = totalWeight > 0;
+  const finalScore = decided ? Math.round(totalScore / totalWeight) : 50;
+  const confidenceLevel = decided ? getConfidenceLevel(finalScore) : 'UNKNOWN';
+  const scoreOf = analysis => (analysis.confidence !== 'UNKNOWN' ? analysis.score : null);
+
+  // Store in history (only measurements)
+  if (decided) {
+    const historyEntry = {
+      type: 'confidence',
+      timestamp: Date.now(),
+      score: finalScore,
+      confidence: confidenceLevel,
+      keystrokeScore: scoreOf(keystrokeAnalysis),
+      keystrokeMode: keystrokeAnalysis.mode,
+      mouseScore: scoreOf(mouseAnalysis),
+      touchScore: scoreOf(touchAnalysis)
+    };
 
-  // Keep only last 50 entries
-  if (behavioralHistory.get(userId).length > 50) {
-    behavioralHistory.get(userId).shift();
+    // Keep only last 50 entries
+    store.appendHistory(userId, historyEntry, HISTORY_LIMIT);
   }
 
   return {
     score: finalScore,
     confidence: confidenceLevel,
     level: getConfidenceDescription(confidenceLevel),
+    keystrokeMode: keystrokeAnalysis.mode,
     factors: allFactors,
     breakdown: {
       keystroke: keystrokeAnalysis,
       mouse: mouseAnalysis,
       touch: touchAnalysis
     },
-    recommendation: getRecommendation(finalScore),
+    // Nothing to judge is not a reason to challenge; sessionConfidence still decays
+    recommendation: decided ? getRecommendation(finalScore) : {
+      action: 'MONITOR',
+      message: 'Not enough behavioral data to judge yet.',
+      requiresAuth: false
+    },
+    bot: {
+      suspected: Boolean(mouseAnalysis.bot && mouseAnalysis.bot.suspected),
+      signals: mouseAnalysis.bot && mouseAnalysis.bot.suspected ? ['linear_mouse_movement'] : []
+    },
     timestamp: Date.now()
   };
 }
 
 /**
- * Update user behavioral profile with new data
+ * Learn from a behavioral sample, modality by modality, as the learning
+ * policy allows (see learningPolicy). Accepted samples join a rolling
+ * window the baselines are rebuilt from; rejected ones are only counted.
+ * @param {Object} options - { assessment, verified, keystrokeMode }: the confidence assessment
+ *   of this sample, or verified when the user has just proven who they are (password
+ *   re-entry); keystrokeMode as for analyzeKeystrokeDynamics
  */
-function updateUserProfile(userId, behavioralData) {
+function updateUserProfile(userId, behavioralData, { assessment = null, verified = false, keystrokeMode = FREE_TEXT } = {}) {
   const profile = getUserProfile(userId);
-
-  // Update keystroke profile
-  if (behavioralData.keystrokeData && behavioralData.keystrokeData.length > 0) {
-    const dwellTimes = behavioralData.keystrokeData.filter(k => k.duration).map(k => k.duration);
-    const flightTimes = behavioralData.keystrokeData.filter(k => k.flightTime).map(k => k.flightTime);
-    
-    if (dwellTimes.length > 0) {
-      const avgDwell = dwellTimes.reduce((a, b) => a + b, 0) / dwellTimes.length;
-      profile.keystrokeDynamics.avgDwellTime = profile.keystrokeDynamics.avgDwellTime
-        ? (profile.keystrokeDynamics.avgDwellTime * 0.7 + avgDwell * 0.3)
-        : avgDwell;
+  const policy = learningPolicy.get();
+  const learning = profile.totalSessions < LEARNING_SESSIONS;
+  const now = Date.now();
+  let accepted = 0;
+
+  const record = (modality, decision, distance) => {
+    const counts = profile.learning.modalities[modality];
+
+    if (decision.accept) {
+      counts.accepted++;
+      accepted++;
+    } else {
+      counts.rejected++;
+      counts.rejectedBy[decision.reason] = (counts.rejectedBy[decision.reason] || 0) + 1;
     }
-    
-    if (flightTimes.length > 0) {
-      const avgFlight = flightTimes.reduce((a, b) => a + b, 0) / flightTimes.length;
-      profile.keystrokeDynamics.avgFlightTime = profile.keystrokeDynamics.avgFlightTime
-        ? (profile.keystrokeDynamics.avgFlightTime * 0.7 + avgFlight * 0.3)
-        : avgFlight;
+    counts.last = { ...decision, distance, at: now };
+  };
+
+  // Returns the modality's rules if the sample may be learned, null otherwise.
+  // `enrolling` treats the sample like one from the learning phase.
+  const admit = (modality, match, { bot = false, enrolling = false } = {}) => {
+    const distance = match ? match.distance : null;
+    const decision = learningPolicy.decide(modality, { learning: learning || enrolling, assessment, verified, distance, bot }, policy);
+    record(modality, decision, distance);
+
+    return decision.accept ? policy.modalities[modality] : null;
+  };
+
+  // Update keystroke profile: a known phrase trains its own template, free
+  // text the digraph model; both feed the average dwell/flight times
+  const keystrokeData = behavioralData.keystrokeData || [];
+  if (keystrokeData.length > 0) {
+    const section = profile.keystrokeDynamics;
+    const fixed = keystrokeMode.mode === 'fixed';
+    const fixedSample = fixed ? fixedTextModel.extract(keystrokeData, keystrokeMode.text, keystrokeMode.fields) : null;
+    const features = fixed ? null : keystrokeModel.summarize(keystrokeModel.extractFeatures(keystrokeData));
+
+    let rules = null;
+    if (fixed && !fixedSample) {
+      record('keystroke', { accept: false, reason: 'text_mismatch' }, null);
+    } else if (fixed) {
+      // A template of another length belongs to a phrase that has since changed
+      const current = section.fixedText[keystrokeMode.phrase];
+      const template = current && current.length === fixedSample.dwell.length
+        ? current
+        : fixedTextModel.createTemplate(fixedSample.dwell.length);
+
+      rules = admit('keystroke', fixedTextModel.compare(template, fixedSample), {
+        enrolling: !fixedTextModel.describe(template).enrolled
+      });
+      if (rules) {
+        template.samples = [...template.samples, { timestamp: now, ...fixedSample }].slice(-rules.window);
+        template.model = fixedTextModel.build(template.samples);
+        section.fixedText[keystrokeMode.phrase] = template;
+      }
+    } else {
+      rules = admit('keystroke', keystrokeModel.compare(section.model, features));
     }
 
-    profile.keystrokeDynamics.samples.push({
-      timestamp: Date.now(),
-      dwellTimes: dwellTimes.slice(0, 10),
-      flightTimes: flightTimes.slice(0, 10)
-    });
+    if (rules) {
+      const rate = learning ? rules.learningRate : rules.driftRate;
+      const dwellTimes = keystrokeData.filter(k => k.duration).map(k => k.duration);
+      const flightTimes = keystrokeData.filter(k => k.flightTime).map(k => k.flightTime);
 
-    // Keep only last 20 samples
-    if (profile.keystrokeDynamics.samples.length > 20) {
-      profile.keystrokeDynamics.samples.shift();
+      if (dwellTimes.length > 0) {
+        section.avgDwellTime = blend(section.avgDwellTime, mean(dwellTimes), rate);
+      }
+      if (flightTimes.length > 0) {
+        section.avgFlightTime = blend(section.avgFlightTime, mean(flightTimes), rate);
+      }
+
+      if (!fixed) {
+        section.samples = [...section.samples, {
+          timestamp: now,
+          dwellTimes: dwellTimes.slice(0, 10),
+          flightTimes: flightTimes.slice(0, 10),
+          features
+        }].slice(-rules.window);
+        section.model = keystrokeModel.build(section.samples.filter(s => s.features).map(s => s.features));
+      }
     }
   }
 
   // Update mouse profile
-  if (behavioralData.mouseData && behavioralData.mouseData.length > 1) {
-    let totalDistance = 0;
-    let totalTime = 0;
-
-    for (let i = 1; i < behavioralData.mouseData.length; i++) {
-      const prev = behavioralData.mouseData[i - 1];
-      const curr = behavioralData.mouseData[i];
-      const dx = curr.x - prev.x;
-      const dy = curr.y - prev.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      const time = curr.timestamp - prev.timestamp;
-      
-      totalDistance += distance;
-      totalTime += time;
+  const mouseData = behavioralData.mouseData || [];
+  if (mouseData.length > 1) {
+    const section = profile.mouseDynamics;
+    const trajectory = mouseModel.analyze(mouseData);
+    const match = trajectory.strokes > 0 ? mouseModel.compare(section.trajectory, trajectory.features) : null;
+
+    // Automated movement never becomes part of the baseline
+    const rules = admit('mouse', match, { bot: trajectory.bot.suspected });
+
+    if (rules) {
+      let totalDistance = 0;
+      let totalTime = 0;
+
+      for (let i = 1; i < mouseData.length; i++) {
+        const prev = mouseData[i - 1];
+        const curr = mouseData[i];
+        totalDistance += Math.sqrt((curr.x - prev.x) * (curr.x - prev.x) + (curr.y - prev.y) * (curr.y - prev.y));
+        totalTime += curr.timestamp - prev.timestamp;
+      }
+
+      const avgSpeed = totalTime > 0 ? totalDistance / totalTime : 0;
+      if (avgSpeed > 0) {
+        section.avgSpeed = blend(section.avgSpeed, avgSpeed, learning ? rules.learningRate : rules.driftRate);
+      }
+
+      section.samples = [...section.samples, {
+        timestamp: now,
+        avgSpeed,
+        distance: totalDistance,
+        trajectory: trajectory.strokes > 0 ? trajectory.features : null
+      }].slice(-rules.window);
+      section.trajectory = mouseModel.build(section.samples.filter(s => s.trajectory).map(s => s.trajectory));
     }
+  }
 
-    const avgSpeed = totalTime > 0 ? totalDistance / totalTime : 0;
-    
-    if (avgSpeed > 0) {
-      profile.mouseDynamics.avgSpeed = profile.mouseDynamics.avgSpeed
-        ? (profile.mouseDynamics.avgSpeed * 0.7 + avgSpeed * 0.3)
-        : avgSpeed;
+  // Update touch profile (touch gestures and how the device is held)
+  const touchData = behavioralData.touchData || [];
+  const sensorData = behavioralData.sensorData || [];
+  if (touchData.length > 0 || sensorData.length > 0) {
+    const section = profile.touchDynamics;
+    const touch = touchModel.analyze(touchData, sensorData);
+    const rules = admit('touch', touchModel.compare(section.model, touch.features));
+
+    if (rules) {
+      const rate = learning ? rules.learningRate : rules.driftRate;
+      const { tapDuration, swipeSpeed, tapPressure } = touch.features;
+
+      if (tapDuration) section.avgTapDuration = blend(section.avgTapDuration, tapDuration, rate);
+      if (swipeSpeed) section.avgSwipeSpeed = blend(section.avgSwipeSpeed, swipeSpeed, rate);
+      if (tapPressure) section.pressurePattern = blend(section.pressurePattern, tapPressure, rate);
+
+      section.samples = [...section.samples, {
+        timestamp: now,
+        taps: touch.taps,
+        swipes: touch.swipes,
+        features: touch.features
+      }].slice(-rules.window);
+      section.model = touchModel.build(section.samples.map(s => s.features).filter(f => Object.keys(f).length > 0));
     }
+  }
 
-    profile.mouseDynamics.samples.push({
-      timestamp: Date.now(),
-      avgSpeed,
-      distance: totalDistance
-    });
+  // Only sessions that taught the template something count toward it
+  if (accepted > 0) {
+    profile.totalSessions++;
+    profile.lastUpdated = now;
+    profile.learning.updatesSinceSnapshot++;
 
-    if (profile.mouseDynamics.samples.length > 20) {
-      profile.mouseDynamics.samples.shift();
+    if (profile.learning.updatesSinceSnapshot >= policy.snapshots.everyAccepted) {
+      takeSnapshot(profile, 'automatic', policy, now);
     }
   }
 
-  profile.totalSessions++;
-  profile.lastUpdated = Date.now();
+  store.saveProfile(userId, profile);
 
   return profile;
 }
 
+/**
+ * Copy of the learned template, kept in the profile so a poisoned or
+ * drifted template can be rolled back
+ */
+function takeSnapshot(profile, reason, policy = learningPolicy.get(), now = Date.now()) {
+  const snapshot = {
+    id: crypto.randomBytes(8).toString('hex'),
+    takenAt: now,
+    reason,
+    totalSessions: profile.totalSessions,
+    sections: JSON.parse(JSON.stringify(Object.fromEntries(profileSchema.SECTIONS.map(section => [section, profile[section]]))))
+  };
+
+  profile.snapshots = [...profile.snapshots, snapshot].slice(-policy.snapshots.keep);
+  profile.learning.updatesSinceSnapshot = 0;
+
+  return snapshot;
+}
+
+function blend(current, value, rate) {
+  return current ? current * (1 - rate) + value * rate : value;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
 /**
  * Get confidence level from score
  */
@@ -491,7 +765,8 @@ function getConfidenceDescription(level) {
     'HIGH': 'High Confidence',
     'MEDIUM': 'Medium Confidence',
     'LOW': 'Low Confidence',
-    'VERY_LOW': 'Very Low Confidence'
+    'VERY_LOW': 'Very Low Confidence',
+    'UNKNOWN': 'Not Enough Data'
   };
   return descriptions[level] || 'Unknown';
 }
@@ -535,9 +810,47 @@ function getRecommendation(score) {
 
 /**
  * Get behavioral history for user
+ * @param {Object} [options] - { type: 'confidence' | 'login_decision' } to keep one kind of entry
  */
-function getBehavioralHistory(userId) {
-  return behavioralHistory.get(userId) || [];
+function getBehavioralHistory(userId, { type } = {}) {
+  const history = store.getHistory(userId);
+  // Entries written before login decisions were recorded are all confidence scores
+  return type ? history.filter(entry => (entry.type || 'confidence') === type) : history;
+}
+
+/**
+ * Record a login decision (see loginFusion) with the inputs it was made from.
+ * The context of an allowed login becomes known (see getLoginContexts).
+ * @param {Object} decision - { stage, decision, risk, reasons, inputs }
+ */
+function recordLoginDecision(userId, { stage, decision, risk, reasons, inputs }) {
+  const entry = { type: 'login_decision', timestamp: Date.now(), stage, decision, risk, reasons, inputs };
+  store.appendHistory(userId, entry, HISTORY_LIMIT);
+
+  if (decision === 'ALLOW' && inputs && inputs.context) {
+    rememberLoginContext(userId, inputs.context, entry.timestamp);
+  }
+
+  const icon = { ALLOW: '✅', STEP_UP_OTP: '🔐', DENY: '⛔' }[decision];
+  console.log(`${icon} Login decision (${stage}) for ${userId}: ${decision}${reasons.length > 0 ? ` (${reasons.join(', ')})` : ''}`);
+
+  return entry;
+}
+
+/**
+ * IP / browser family pairs of the user's allowed logins, most recent last.
+ * They live in the profile, so a busy history cannot push them out.
+ */
+function getLoginContexts(userId) {
+  return getUserProfile(userId).loginContexts;
+}
+
+function rememberLoginContext(userId, { ip, userAgent }, now = Date.now()) {
+  const profile = getUserProfile(userId);
+  const others = profile.loginContexts.filter(context => context.ip !== ip || context.userAgent !== userAgent);
+
+  profile.loginContexts = [...others, { ip, userAgent, lastSeen: now }].slice(-LOGIN_CONTEXT_LIMIT);
+  store.saveProfile(userId, profile);
 }
 
 /**
@@ -545,7 +858,138 @@ function getBehavioralHistory(userId) {
  */
 function isLearningPhase(userId) {
   const profile = getUserProfile(userId);
-  return profile.totalSessions < 3; // First 3 sessions are learning
+  return profile.totalSessions < LEARNING_SESSIONS;
+}
+
+/**
+ * How well the keystroke model separates a user from everyone else,
+ * measured on the stored samples (other users' samples act as impostors)
+ */
+function evaluateKeystrokeModel(userId) {
+  const samplesOf = profile => profile.keystrokeDynamics.samples
+    .filter(sample => sample.features)
+    .map(sample => sample.features);
+
+  const impostor = store.listUserIds()
+    .filter(id => id !== userId)
+    .flatMap(id => samplesOf(getUserProfile(id)));
+
+  const profile = getUserProfile(userId);
+
+  return {
+    model: keystrokeModel.describe(profile.keystrokeDynamics.model),
+    ...keystrokeModel.evaluate(samplesOf(profile), impostor)
+  };
+}
+
+/**
+ * Enrollment progress of the free-text model and of every fixed-text phrase
+ * @param {Array} phrases - phrases to include even if nothing is enrolled yet
+ */
+function describeKeystrokeEnrollment(userId, phrases = []) {
+  const { keystrokeDynamics } = getUserProfile(userId);
+  const names = [...new Set([...phrases, ...Object.keys(keystrokeDynamics.fixedText)])];
+
+  return {
+    free: keystrokeModel.describe(keystrokeDynamics.model),
+    fixed: Object.fromEntries(names.map(phrase => [phrase, fixedTextModel.describe(keystrokeDynamics.fixedText[phrase])]))
+  };
+}
+
+/**
+ * Forget a fixed-text template so the phrase enrolls again (e.g. after a
+ * password change)
+ */
+function resetFixedText(userId, phrase) {
+  const profile = getUserProfile(userId);
+  if (!Object.prototype.hasOwnProperty.call(profile.keystrokeDynamics.fixedText, phrase)) {
+    return { success: false, status: 404, error: 'No template for this phrase' };
+  }
+
+  delete profile.keystrokeDynamics.fixedText[phrase];
+  store.saveProfile(userId, profile);
+
+  return { success: true, phrase };
+}
+
+/**
+ * Behavioral template of a user as a portable export document
+ */
+function exportProfile(userId) {
+  return profileSchema.toExport(userId, getUserProfile(userId), getBehavioralHistory(userId));
+}
+
+/**
+ * Replace a user's template with an exported one (backup restore or
+ * migration from another environment)
+ */
+function importProfile(userId, document) {
+  const parsed = profileSchema.parseExport(document);
+  if (parsed.error) {
+    return { success: false, error: parsed.error };
+  }
+
+  const profile = { ...parsed.profile, userId, lastUpdated: Date.now() };
+  const history = parsed.history.slice(-HISTORY_LIMIT);
+
+  store.deleteUser(userId);
+  store.saveProfile(userId, profile);
+  history.forEach(entry => store.appendHistory(userId, entry, HISTORY_LIMIT));
+
+  return { success: true, schemaVersion: profile.schemaVersion, totalSessions: profile.totalSessions, historyEntries: history.length };
+}
+
+/**
+ * Erase everything learned about a user (data deletion requests)
+ */
+function deleteProfile(userId) {
+  return store.deleteUser(userId);
+}
+
+/**
+ * Snapshot the current template on demand (e.g. before a risky change)
+ */
+function createSnapshot(userId, reason = 'manual') {
+  const profile = getUserProfile(userId);
+  const snapshot = takeSnapshot(profile, reason);
+  store.saveProfile(userId, profile);
+
+  return describeSnapshot(snapshot);
+}
+
+/**
+ * Snapshots of a user's template, newest first (without their contents)
+ */
+function listSnapshots(userId) {
+  return [...getUserProfile(userId).snapshots].reverse().map(describeSnapshot);
+}
+
+/**
+ * Restore the template from a snapshot. The current template is
+ * snapshotted first, so a rollback can itself be undone.
+ */
+function rollbackProfile(userId, snapshotId) {
+  const profile = getUserProfile(userId);
+  const target = profile.snapshots.find(snapshot => snapshot.id === snapshotId);
+  if (!target) {
+    return { success: false, status: 404, error: 'Snapshot not found' };
+  }
+
+  const undo = takeSnapshot(profile, 'before_rollback');
+  profileSchema.SECTIONS.forEach(section => {
+    profile[section] = JSON.parse(JSON.stringify(target.sections[section]));
+  });
+  profile.totalSessions = target.totalSessions;
+  profile.lastUpdated = Date.now();
+  store.saveProfile(userId, profile);
+
+  console.log(`⏪ Rolled back ${userId}'s behavioral template to snapshot ${target.id}`);
+
+  return { success: true, restored: describeSnapshot(target), undo: describeSnapshot(undo) };
+}
+
+function describeSnapshot({ id, takenAt, reason, totalSessions }) {
+  return { id, takenAt, reason, totalSessions };
 }
 
 module.exports = {
@@ -553,5 +997,18 @@ module.exports = {
   updateUserProfile,
   getUserProfile,
   getBehavioralHistory,
-  isLearningPhase
+  recordLoginDecision,
+  getLoginContexts,
+  isLearningPhase,
+  getConfidenceLevel,
+  getRecommendation,
+  evaluateKeystrokeModel,
+  describeKeystrokeEnrollment,
+  resetFixedText,
+  exportProfile,
+  importProfile,
+  deleteProfile,
+  createSnapshot,
+  listSnapshots,
+  rollbackProfile
 };
@@ -0,0 +1,483 @@
+/**
+ * Behavioral Evaluation
+ * Measures how well calculateConfidenceScore tells genuine users from
+ * impostors on labelled session recordings: enrolls every user, verifies
+ * the remaining sessions and reports FAR, FRR, EER and ROC points per
+ * modality and for the fused score.
+ *
+ * Dataset (JSON): { "sessions": [ {
+ *   userId,          // claimed identity
+ *   label,           // "genuine" | "impostor"
+ *   phase?,          // "enroll" | "verify"; by default a user's first
+ *                    //   `enrollSessions` genuine sessions enroll
+ *   keystrokeMode?,  // as for calculateConfidenceScore (default free text)
+ *   data             // the tracker's getData() output
+ * } ] }
+ * A bare array of sessions works too.
+ *
+ * A session is accepted at threshold t if its score is at least t, so FAR
+ * is the share of impostor sessions scoring >= t and FRR the share of
+ * genuine sessions scoring below it. Scores a modality could not decide yet
+ * (see decided()) are not measurements: they are counted as undecided and
+ * left out of the rates. Runs need the in-memory profile store
+ * (PROFILE_STORE=memory, the CLI sets it) so recordings never reach real
+ * profiles.
+ */
+
+const fs = require('fs');
+const behavioralEngine = require('./behavioralEngine');
+
+const MODALITIES = ['keystroke', 'mouse', 'touch'];
+const LABELS = ['genuine', 'impostor'];
+const ROC_STEP = 5;
+
+let runs = 0;
+
+/**
+ * Read and validate a dataset file
+ */
+function loadSessions(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const sessions = Array.isArray(parsed) ? parsed : parsed.sessions;
+
+  if (!Array.isArray(sessions)) {
+    throw new Error(`${filePath}: expected an array of sessions or { "sessions": [...] }`);
+  }
+
+  return sessions.map((session, i) => {
+    try {
+      return normalizeSession(session);
+    } catch (error) {
+      throw new Error(`${filePath}: session ${i}: ${error.message}`);
+    }
+  });
+}
+
+function normalizeSession(session) {
+  if (!session || typeof session !== 'object') throw new Error('not an object');
+  if (!session.userId) throw new Error('userId is required');
+  if (!LABELS.includes(session.label)) throw new Error('label must be "genuine" or "impostor"');
+  if (session.phase && !['enroll', 'verify'].includes(session.phase)) {
+    throw new Error('phase must be "enroll" or "verify"');
+  }
+  if (session.phase === 'enroll' && session.label !== 'genuine') {
+    throw new Error('only genuine sessions can enroll');
+  }
+  if (!session.data || typeof session.data !== 'object') throw new Error('data (tracker getData() output) is required');
+
+  const streams = ['keystrokeData', 'mouseData', 'touchData', 'sensorData'];
+  const invalid = streams.find(name => session.data[name] !== undefined && !Array.isArray(session.data[name]));
+  if (invalid) throw new Error(`data.${invalid} must be an array`);
+
+  return {
+    ...session,
+    userId: String(session.userId),
+    phase: session.phase || null,
+    data: { ...Object.fromEntries(streams.map(name => [name, session.data[name] || []])), ...session.data }
+  };
+}
+
+/**
+ * Enroll and verify a dataset through a fresh set of profiles
+ * @param {Array} sessions - normalised sessions
+ * @param {Object} options
+ * @param {number} options.enrollSessions - genuine sessions per user that enroll when no phase is given
+ * @param {boolean} options.adapt - learn from verification sessions under the learning
+ *   policy, as the running app does (impostor sessions included)
+ * @returns {Object} report
+ */
+async function run(sessions, { enrollSessions = 6, adapt = false } = {}) {
+  if (process.env.PROFILE_STORE !== 'memory') {
+    throw new Error('Evaluation needs the in-memory profile store (PROFILE_STORE=memory)');
+  }
+
+  // Profiles of this run live under their own prefix and are removed afterwards
+  const prefix = `evaluation-${++runs}:`;
+  const ordered = sessions
+    .map((session, index) => ({ ...session, index }))
+    .sort((a, b) => (a.data.timestamp || 0) - (b.data.timestamp || 0) || a.index - b.index);
+
+  const enrolled = {};
+  const enrollment = ordered.filter(session => {
+    if (session.phase) return session.phase === 'enroll';
+    if (session.label !== 'genuine' || (enrolled[session.userId] || 0) >= enrollSessions) return false;
+    enrolled[session.userId] = (enrolled[session.userId] || 0) + 1;
+    return true;
+  });
+  const verification = ordered.filter(session => !enrollment.includes(session));
+
+  try {
+    // Enrollment: the user is known to be who they claim (as after a password re-entry)
+    for (const session of enrollment) {
+      behavioralEngine.updateUserProfile(prefix + session.userId, session.data, {
+        verified: true,
+        keystrokeMode: session.keystrokeMode
+      });
+    }
+
+    const results = [];
+    for (const session of verification) {
+      const options = session.keystrokeMode ? { keystrokeMode: session.keystrokeMode } : {};
+      const assessment = await behavioralEngine.calculateConfidenceScore(session.data, prefix + session.userId, options);
+      if (adapt) {
+        behavioralEngine.updateUserProfile(prefix + session.userId, session.data, { assessment, ...options });
+      }
+      results.push(resultRow(session, assessment));
+    }
+
+    const users = [...new Set(sessions.map(session => session.userId))];
+
+    return {
+      generatedAt: new Date().toISOString(),
+      dataset: {
+        sessions: sessions.length,
+        users: users.length,
+        enrollment: enrollment.length,
+        verification: {
+          genuine: verification.filter(s => s.label === 'genuine').length,
+          impostor: verification.filter(s => s.label === 'impostor').length
+        },
+        usersWithoutEnrollment: users.filter(userId => !enrollment.some(s => s.userId === userId))
+      },
+      options: { enrollSessions, adapt },
+      ...computeMetrics(results)
+    };
+  } finally {
+    [...new Set(sessions.map(session => session.userId))]
+      .forEach(userId => behavioralEngine.deleteProfile(prefix + userId));
+  }
+}
+
+function resultRow(session, assessment) {
+  const measured = MODALITIES.filter(modality => decided(modality, assessment.breakdown[modality]));
+  const fused = MODALITIES.filter(modality => assessment.breakdown[modality].confidence !== 'UNKNOWN');
+
+  const row = {
+    index: session.index,
+    userId: session.userId,
+    actualUserId: session.actualUserId || null,
+    label: session.label,
+    // The fused score is a measurement only if everything in it was one
+    score: fused.length > 0 && fused.every(modality => measured.includes(modality)) ? assessment.score : null,
+    action: assessment.recommendation.action,
+    keystrokeMode: assessment.keystrokeMode,
+    // Modalities with data that could not be judged yet
+    undecided: MODALITIES.filter(modality => PRESENT[modality](session.data) && !measured.includes(modality))
+  };
+
+  MODALITIES.forEach(modality => {
+    row[modality] = measured.includes(modality) ? assessment.breakdown[modality].score : null;
+  });
+
+  return row;
+}
+
+// A modality without data in the session is absent, not undecided
+const PRESENT = {
+  keystroke: data => data.keystrokeData.length > 0,
+  mouse: data => data.mouseData.length > 0,
+  touch: data => data.touchData.length > 0 || data.sensorData.length > 0
+};
+
+/**
+ * Whether a modality's score is a measurement. UNKNOWN scores are
+ * placeholders, and so is a score from the average-based fallback checks
+ * alone: they only deduct points, so anyone scores 100 until the model can
+ * decide. The mouse bot signal needs no model.
+ */
+function decided(modality, analysis) {
+  if (analysis.confidence === 'UNKNOWN') return false;
+
+  const metrics = analysis.metrics;
+  if (modality === 'keystroke') return Boolean(metrics.digraphModel || (metrics.fixedText && metrics.fixedText.match));
+  if (modality === 'mouse') return Boolean(metrics.trajectoryModel || analysis.bot.suspected);
+  return Boolean(metrics.touchModel);
+}
+
+/**
+ * Error rates per modality and fused, and the recommendations each label received.
+ * Undecided samples (null scores) are left out of the rates and counted instead.
+ * @param {Array} results - rows with label, score, action, a score per modality
+ *   and the `undecided` modalities
+ */
+function computeMetrics(results) {
+  const bands = recommendationBands();
+  const scored = results.filter(r => r.score !== null);
+  const scoresOf = (key, label) => results.filter(r => r.label === label && r[key] !== null).map(r => r[key]);
+  const undecidedOf = (modality, label) => results.filter(r => r.label === label && (modality === 'fused'
+    ? r.score === null && (r.undecided || []).length > 0
+    : (r.undecided || []).includes(modality))).length;
+
+  const modalities = {};
+  [...MODALITIES, 'fused'].forEach(modality => {
+    const key = modality === 'fused' ? 'score' : modality;
+    modalities[modality] = {
+      ...errorRates(scoresOf(key, 'genuine'), scoresOf(key, 'impostor'), bands),
+      undecided: Object.fromEntries(LABELS.map(label => [label, undecidedOf(modality, label)]))
+    };
+  });
+
+  const actions = [...new Set(bands.map(band => band.action))];
+  const decisions = Object.fromEntries(LABELS.map(label => [
+    label,
+    Object.fromEntries(actions.map(action => [action, scored.filter(r => r.label === label && r.action === action).length]))
+  ]));
+
+  return { thresholds: bands, modalities, decisions, results };
+}
+
+/**
+ * FAR/FRR at every integer threshold, summarised as EER, AUC, ROC points
+ * (every ROC_STEP) and the rates at the recommendation thresholds
+ */
+function errorRates(genuine, impostor, bands = recommendationBands()) {
+  const rates = threshold => ({
+    threshold,
+    far: impostor.length > 0 ? round(impostor.filter(score => score >= threshold).length / impostor.length) : null,
+    frr: genuine.length > 0 ? round(genuine.filter(score => score < threshold).length / genuine.length) : null
+  });
+
+  const result = {
+    genuine: describeScores(genuine),
+    impostor: describeScores(impostor),
+    eer: null,
+    eerThreshold: null,
+    auc: null,
+    roc: [],
+    operatingPoints: bands.filter(band => band.threshold > 0).map(band => ({ ...rates(band.threshold), action: band.action }))
+  };
+
+  if (genuine.length === 0 || impostor.length === 0) return result;
+
+  // 0 accepts everything, 101 nothing
+  const sweep = Array.from({ length: 102 }, (_, threshold) => rates(threshold));
+  const best = sweep.reduce((a, b) => (Math.abs(b.far - b.frr) < Math.abs(a.far - a.frr) ? b : a));
+
+  result.eer = round((best.far + best.frr) / 2);
+  result.eerThreshold = best.threshold;
+  result.roc = sweep
+    .filter(point => point.threshold % ROC_STEP === 0 || point.threshold === 101)
+    .map(point => ({ ...point, tar: round(1 - point.frr) }));
+
+  // Area under the ROC curve (true accepts over false accepts), trapezoids
+  result.auc = round(sweep.slice(1).reduce((area, point, i) => {
+    const previous = sweep[i];
+    return area + (previous.far - point.far) * ((1 - previous.frr) + (1 - point.frr)) / 2;
+  }, 0));
+
+  return result;
+}
+
+/**
+ * Lowest score of every recommendation band (the first is 0), read from
+ * getRecommendation itself so the report follows its thresholds
+ */
+function recommendationBands() {
+  const bands = [];
+  let previous = null;
+
+  for (let score = 0; score <= 100; score++) {
+    const { action, message } = behavioralEngine.getRecommendation(score);
+    if (previous !== `${action}:${message}`) {
+      bands.push({ threshold: score, action });
+      previous = `${action}:${message}`;
+    }
+  }
+
+  return bands;
+}
+
+function describeScores(scores) {
+  if (scores.length === 0) return { count: 0, mean: null, min: null, max: null };
+
+  return {
+    count: scores.length,
+    mean: round(scores.reduce((a, b) => a + b, 0) / scores.length),
+    min: Math.min(...scores),
+    max: Math.max(...scores)
+  };
+}
+
+/**
+ * Deterministic synthetic recordings. Every user has their own typing
+ * rhythm, mouse stroke shape and touch/device-holding traits; a desktop
+ * session has keystrokes and mouse movement, a mobile one touches and
+ * sensor readings. Impostor sessions are other users' behavior under the
+ * victim's userId.
+ */
+function generateSessions({ users = 5, enrollSessions = 6, genuineSessions = 6, seed = 1, start = '2024-01-01T00:00:00Z' } = {}) {
+  const random = mulberry32(seed);
+  const people = Array.from({ length: users }, (_, u) => ({
+    userId: `user-${String(u + 1).padStart(3, '0')}`,
+    traits: createTraits(random)
+  }));
+
+  let clock = Date.parse(start);
+  const sessions = [];
+  const record = (person, actor, label, phase, kind) => {
+    clock += HOUR_MS;
+    sessions.push({
+      userId: person.userId,
+      ...(actor !== person && { actualUserId: actor.userId }),
+      label,
+      phase,
+      data: kind === 'desktop' ? desktopSession(actor.traits, random, clock) : mobileSession(actor.traits, random, clock)
+    });
+  };
+
+  people.forEach(person => {
+    for (let i = 0; i < enrollSessions; i++) record(person, person, 'genuine', 'enroll', i % 2 ? 'mobile' : 'desktop');
+  });
+  people.forEach(person => {
+    for (let i = 0; i < genuineSessions; i++) record(person, person, 'genuine', 'verify', i % 2 ? 'mobile' : 'desktop');
+    people.filter(other => other !== person).forEach(other => {
+      record(person, other, 'impostor', 'verify', 'desktop');
+      record(person, other, 'impostor', 'verify', 'mobile');
+    });
+  });
+
+  return sessions;
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const WORDS = ['the', 'account', 'report', 'meeting', 'please', 'review', 'budget', 'quarter', 'numbers', 'send',
+  'before', 'friday', 'thanks', 'update', 'team', 'draft', 'notes', 'project', 'status', 'call'];
+
+function createTraits(random) {
+  const between = (min, max) => min + random() * (max - min);
+
+  return {
+    typing: { flight: between(100, 170), dwell: between(70, 110), digraphSeed: Math.floor(random() * 1e6), spread: between(15, 35) },
+    mouse: { speed: between(0.5, 1.4), bend: between(0.05, 0.3), peakAt: between(0.3, 0.7), pause: between(80, 250), hold: between(60, 140) },
+    touch: {
+      force: between(0.2, 0.7), radius: between(9, 18), tap: between(70, 150), speed: between(1, 3),
+      curve: Array.from({ length: 5 }, () => round(between(0.3, 2.5))),
+      beta: between(30, 75), gamma: between(-12, 12), tilt: between(0.5, 1.2), shake: between(0.1, 1)
+    }
+  };
+}
+
+function desktopSession(traits, random, timestamp) {
+  const start = timestamp - 60000;
+  let t = start + 1000;
+  const keystrokeData = [];
+  const mouseData = [];
+  const event = (list, values) => list.push({ ...values, timestamp: Math.round(t), sessionTime: Math.round(t) - start });
+
+  // Typing: a sentence of random words, timed by the user's per-digraph rhythm
+  const text = Array.from({ length: 8 }, () => WORDS[Math.floor(random() * WORDS.length)]).join(' ');
+  let previous = null;
+  [...text].forEach(char => {
+    const code = char === ' ' ? 'Space' : `Key${char.toUpperCase()}`;
+    const offset = previous ? ((hash(`${previous}>${code}`, traits.typing.digraphSeed) % 9) - 4) / 4 * traits.typing.spread : 0;
+    t += previous ? traits.typing.flight + offset + (random() - 0.5) * 20 : 0;
+    const dwell = traits.typing.dwell + ((hash(code, traits.typing.digraphSeed) % 5) - 2) * 6 + (random() - 0.5) * 10;
+    event(keystrokeData, { type: 'keydown', key: char, code, field: 'editor', duration: Math.round(dwell) });
+    previous = code;
+  });
+
+  // Mouse: curved strokes that end in a click
+  for (let stroke = 0; stroke < 6; stroke++) {
+    t += 400 + random() * 500;
+    const from = { x: 100 + random() * 800, y: 100 + random() * 500 };
+    const to = { x: 100 + random() * 800, y: 100 + random() * 500 };
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    if (length < 150) continue;
+
+    const bend = traits.mouse.bend * length * (random() < 0.5 ? -1 : 1);
+    const control = {
+      x: (from.x + to.x) / 2 - (to.y - from.y) / length * bend,
+      y: (from.y + to.y) / 2 + (to.x - from.x) / length * bend
+    };
+    const duration = length / traits.mouse.speed;
+    const exponent = Math.log(0.5) / Math.log(traits.mouse.peakAt);
+    const steps = Math.max(4, Math.round(duration / 55));
+    const strokeStart = t;
+
+    for (let i = 0; i <= steps; i++) {
+      const u = i / steps;
+      const p = (1 - Math.cos(Math.PI * Math.pow(u, exponent))) / 2; // Speed peaks at peakAt
+      t = strokeStart + u * duration;
+      event(mouseData, {
+        type: 'mousemove',
+        x: Math.round((1 - p) * (1 - p) * from.x + 2 * (1 - p) * p * control.x + p * p * to.x + (random() - 0.5) * 3),
+        y: Math.round((1 - p) * (1 - p) * from.y + 2 * (1 - p) * p * control.y + p * p * to.y + (random() - 0.5) * 3)
+      });
+    }
+
+    const hold = traits.mouse.hold + (random() - 0.5) * 20;
+    t += traits.mouse.pause + (random() - 0.5) * 40 + hold;
+    event(mouseData, { type: 'click', x: Math.round(to.x), y: Math.round(to.y), button: 0, holdDuration: Math.round(hold) });
+  }
+
+  return { keystrokeData, mouseData, touchData: [], sensorData: [], sessionDuration: Math.round(t) - start, timestamp: Math.round(t) + 10 };
+}
+
+function mobileSession(traits, random, timestamp) {
+  const { touch } = traits;
+  const start = timestamp - 60000;
+  let t = start + 1000;
+  const touchData = [];
+  const sensorData = [];
+  const event = (list, values) => list.push({ ...values, timestamp: Math.round(t), sessionTime: Math.round(t) - start });
+
+  for (let i = 0; i < 8; i++) {
+    t += 300 + random() * 300;
+    event(touchData, {
+      type: 'tap', x: Math.round(random() * 360), y: Math.round(random() * 700), touchId: i,
+      force: round(touch.force + (random() - 0.5) * 0.06), radius: round(touch.radius + (random() - 0.5) * 1.5),
+      duration: Math.round(touch.tap + (random() - 0.5) * 25)
+    });
+  }
+  for (let i = 0; i < 5; i++) {
+    t += 400 + random() * 300;
+    const duration = 150 + random() * 100;
+    const speed = touch.speed + (random() - 0.5) * 0.3;
+    event(touchData, {
+      type: 'swipe', x: 180, y: 600, touchId: 100 + i,
+      force: round(touch.force), radius: round(touch.radius), duration: Math.round(duration),
+      distance: Math.round(speed * duration), speed: round(speed), direction: -1.57,
+      velocityCurve: touch.curve.map(v => round(v * (0.9 + random() * 0.2)))
+    });
+  }
+  for (let i = 0; i < 10; i++) {
+    t += 500;
+    event(sensorData, { type: 'orientation', beta: round(touch.beta + (random() - 0.5) * 5), gamma: round(touch.gamma + (random() - 0.5) * 5) });
+    t += 1;
+    const shake = () => (random() - 0.5) * touch.shake;
+    event(sensorData, { type: 'motion', x: round(0.3 + shake()), y: round(9.81 * Math.sin(touch.tilt) + shake()), z: round(9.81 * Math.cos(touch.tilt) + shake()) });
+  }
+
+  return { keystrokeData: [], mouseData: [], touchData, sensorData, sessionDuration: Math.round(t) - start, timestamp: Math.round(t) + 10 };
+}
+
+function hash(text, seed) {
+  return [...text].reduce((h, c) => (Math.imul(h, 31) + c.charCodeAt(0)) >>> 0, seed >>> 0);
+}
+
+// Small seeded PRNG so generated datasets are reproducible
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  MODALITIES,
+  loadSessions,
+  normalizeSession,
+  run,
+  computeMetrics,
+  errorRates,
+  recommendationBands,
+  generateSessions
+};
@@ -0,0 +1,123 @@
+/**
+ * Evaluation Report
+ * Renders an evaluation (see evaluation.js) as a self-contained HTML page:
+ * error rates per modality, the rates at the getRecommendation thresholds,
+ * a ROC chart and every verified session.
+ */
+
+const COLORS = { keystroke: '#4f46e5', mouse: '#0891b2', touch: '#d97706', fused: '#dc2626' };
+
+function toHtml(report) {
+  const modalities = Object.entries(report.modalities);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Behavioral Authentication Evaluation</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+  table { border-collapse: collapse; margin: 1rem 0 2rem; }
+  th, td { border: 1px solid #d1d5db; padding: 0.35rem 0.7rem; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  th { background: #f3f4f6; }
+  .note { color: #6b7280; font-size: 0.9rem; }
+  .impostor { background: #fef2f2; }
+</style>
+</head>
+<body>
+<h1>🧠 Behavioral Authentication Evaluation</h1>
+<p class="note">Generated ${escape(report.generatedAt)} ·
+  ${report.dataset.users} users · ${report.dataset.enrollment} enrollment sessions ·
+  ${report.dataset.verification.genuine} genuine / ${report.dataset.verification.impostor} impostor verifications ·
+  ${report.options.adapt ? 'learning during verification' : 'no learning during verification'}</p>
+${report.dataset.usersWithoutEnrollment.length > 0
+    ? `<p class="note">Not enrolled (scored against an empty profile): ${report.dataset.usersWithoutEnrollment.map(escape).join(', ')}</p>`
+    : ''}
+
+<h2>Error Rates</h2>
+<p class="note">A session is accepted at a threshold if it scores at least that much.
+FAR: impostors accepted. FRR: genuine users rejected. EER: where the two meet.
+Undecided samples (the model could not judge them yet) are not counted in the rates.</p>
+<table>
+  <tr><th>Modality</th><th>Genuine</th><th>Genuine mean</th><th>Impostor</th><th>Impostor mean</th><th>Undecided (genuine / impostor)</th><th>EER</th><th>EER threshold</th><th>AUC</th></tr>
+  ${modalities.map(([name, m]) => `<tr>
+    <td>${escape(name)}</td><td>${m.genuine.count}</td><td>${value(m.genuine.mean)}</td>
+    <td>${m.impostor.count}</td><td>${value(m.impostor.mean)}</td><td>${m.undecided.genuine} / ${m.undecided.impostor}</td>
+    <td>${percent(m.eer)}</td><td>${value(m.eerThreshold)}</td><td>${value(m.auc)}</td>
+  </tr>`).join('')}
+</table>
+
+<h2>Recommendation Thresholds</h2>
+<p class="note">FAR and FRR if each getRecommendation threshold were the minimum score to pass.</p>
+<table>
+  <tr><th>Modality</th>${report.modalities.fused.operatingPoints.map(p => `<th colspan="2">≥ ${p.threshold} (${escape(p.action)})</th>`).join('')}</tr>
+  <tr><th></th>${report.modalities.fused.operatingPoints.map(() => '<th>FAR</th><th>FRR</th>').join('')}</tr>
+  ${modalities.map(([name, m]) => `<tr>
+    <td>${escape(name)}</td>${m.operatingPoints.map(p => `<td>${percent(p.far)}</td><td>${percent(p.frr)}</td>`).join('')}
+  </tr>`).join('')}
+</table>
+
+<h2>Recommendations (Fused Score, Decided Samples)</h2>
+<table>
+  <tr><th>Label</th>${Object.keys(report.decisions.genuine).map(action => `<th>${escape(action)}</th>`).join('')}</tr>
+  ${Object.entries(report.decisions).map(([label, counts]) => `<tr>
+    <td>${escape(label)}</td>${Object.values(counts).map(count => `<td>${count}</td>`).join('')}
+  </tr>`).join('')}
+</table>
+
+<h2>ROC</h2>
+${rocChart(modalities)}
+
+<h2>Sessions</h2>
+<table>
+  <tr><th>#</th><th>User</th><th>Label</th><th>Keystroke</th><th>Mode</th><th>Mouse</th><th>Touch</th><th>Fused</th><th>Action</th></tr>
+  ${report.results.map(r => `<tr class="${r.label === 'impostor' ? 'impostor' : ''}">
+    <td>${r.index}</td><td>${escape(r.userId)}${r.actualUserId ? ` (${escape(r.actualUserId)})` : ''}</td><td>${escape(r.label)}</td>
+    <td>${value(r.keystroke)}</td><td>${escape(r.keystrokeMode || '')}</td><td>${value(r.mouse)}</td><td>${value(r.touch)}</td>
+    <td>${value(r.score)}</td><td>${escape(r.action)}</td>
+  </tr>`).join('')}
+</table>
+</body>
+</html>
+`;
+}
+
+// True accept rate over false accept rate, one line per modality
+function rocChart(modalities) {
+  const size = 320;
+  const pad = 40;
+  const x = far => pad + far * size;
+  const y = tar => pad + (1 - tar) * size;
+
+  const lines = modalities
+    .filter(([, m]) => m.roc.length > 0)
+    .map(([name, m]) => `<polyline fill="none" stroke="${COLORS[name] || '#374151'}" stroke-width="2"
+      points="${m.roc.map(p => `${x(p.far).toFixed(1)},${y(p.tar).toFixed(1)}`).join(' ')}" />`);
+
+  const legend = modalities.map(([name], i) =>
+    `<text x="${pad + size + 20}" y="${pad + 16 + i * 20}" fill="${COLORS[name] || '#374151'}">${escape(name)}</text>`);
+
+  return `<svg width="${size + pad * 2 + 100}" height="${size + pad * 2}" xmlns="http://www.w3.org/2000/svg" font-size="12">
+  <rect x="${pad}" y="${pad}" width="${size}" height="${size}" fill="none" stroke="#9ca3af" />
+  <line x1="${x(0)}" y1="${y(0)}" x2="${x(1)}" y2="${y(1)}" stroke="#e5e7eb" stroke-dasharray="4" />
+  <text x="${pad + size / 2}" y="${pad + size + 30}" text-anchor="middle">False accept rate</text>
+  <text x="12" y="${pad + size / 2}" transform="rotate(-90 12 ${pad + size / 2})" text-anchor="middle">True accept rate</text>
+  ${lines.join('\n  ')}
+  ${legend.join('\n  ')}
+</svg>`;
+}
+
+function percent(rate) {
+  return rate === null || rate === undefined ? 'n/a' : `${(rate * 100).toFixed(1)}%`;
+}
+
+function value(number) {
+  return number === null || number === undefined ? '–' : String(number);
+}
+
+function escape(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+module.exports = { toHtml };
@@ -0,0 +1,86 @@
+/**
+ * Feature Baseline
+ * Per-user running mean/variance of named behavioral features (one value
+ * per feature per sample) and the distance of a new sample from them in
+ * standard deviations (scaled Manhattan). Used by the mouse trajectory and
+ * touch models; each passes its own standard deviation floors.
+ */
+
+const runningStats = require('./runningStats');
+
+const DEFAULT_CONFIG = {
+  minFeatureSamples: 3, // Samples a feature needs before it is compared
+  minFeatures: 3, // Fewer comparable features: no decision
+  acceptDistance: 1.5, // Distance scoring 100
+  rejectDistance: 4 // Distance scoring 0
+};
+
+function createModel() {
+  return { samples: 0, features: {} };
+}
+
+/**
+ * Add a sample's features to the baseline
+ */
+function update(model, features) {
+  Object.entries(features).forEach(([name, value]) => {
+    model.features[name] = runningStats.add(model.features[name] || runningStats.create(), value);
+  });
+  model.samples += 1;
+
+  return model;
+}
+
+/**
+ * Baseline of a set of samples' features (e.g. a rolling window)
+ */
+function build(featureSets) {
+  return featureSets.reduce((model, features) => update(model, features), createModel());
+}
+
+/**
+ * Distance of a sample's features from the baseline
+ * @param {Object} floors - feature name → standard deviation floor
+ * @returns {Object|null} { distance, features, largest: { feature, deviation } } or null
+ *   if the baseline cannot compare this sample yet
+ */
+function compare(model, features, floors, config = DEFAULT_CONFIG) {
+  if (!model || model.samples < config.minFeatureSamples) return null;
+
+  const deviations = Object.entries(features)
+    .filter(([name]) => model.features[name] && model.features[name].n >= config.minFeatureSamples)
+    .map(([name, value]) => {
+      const stats = model.features[name];
+      return { feature: name, deviation: round(Math.abs(value - stats.mean) / runningStats.stdDev(stats, floors[name] || 0)) };
+    });
+
+  if (deviations.length < config.minFeatures) return null;
+
+  return {
+    distance: round(deviations.reduce((sum, d) => sum + d.deviation, 0) / deviations.length, 2),
+    features: deviations.length,
+    largest: deviations.reduce((a, b) => (b.deviation > a.deviation ? b : a))
+  };
+}
+
+/**
+ * 0-100 match score for a distance
+ */
+function score(distance, config = DEFAULT_CONFIG) {
+  const ratio = (distance - config.acceptDistance) / (config.rejectDistance - config.acceptDistance);
+  return Math.round(100 * Math.min(1, Math.max(0, 1 - ratio)));
+}
+
+function round(value, digits = 4) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  createModel,
+  update,
+  build,
+  compare,
+  score
+};
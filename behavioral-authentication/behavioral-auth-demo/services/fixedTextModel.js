@@ -0,0 +1,119 @@
+/**
+ * Fixed-Text Keystroke Model
+ * Strict per-phrase templates for text typed the same way every time (the
+ * login form, an enrollment sentence). Keystrokes are aligned by their
+ * position in the phrase, so every key press and every gap has its own
+ * mean and standard deviation. Samples with typos or corrections do not
+ * match the phrase and are neither scored nor learned.
+ *
+ * The phrase itself is never stored (it may be a password): templates keep
+ * only timings, and the text is checked against what the server expects.
+ * The text-independent alternative is keystrokeModel (free text).
+ */
+
+const runningStats = require('./runningStats');
+const featureBaseline = require('./featureBaseline');
+
+const DEFAULT_CONFIG = {
+  enrollmentSamples: 5, // Repetitions of the phrase before the template decides
+  minSigmaMs: 10, // Floor for standard deviations (timer resolution)
+  acceptDistance: 1, // Distance scoring 100 (stricter than free text)
+  rejectDistance: 2.5 // Distance scoring 0
+};
+
+function createTemplate(length) {
+  return { length, samples: [], model: null };
+}
+
+/**
+ * Dwell and flight times of a sample by position in the phrase
+ * @param {Array} keystrokeData - tracker keystrokes ({ key, field, timestamp, duration })
+ * @param {string} text - the phrase the user was asked to type
+ * @param {Array} [fields] - ids of the input fields the phrase is typed into
+ * @returns {Object|null} { dwell, flight } or null if the keystrokes do not spell the phrase
+ */
+function extract(keystrokeData, text, fields = null) {
+  const keystrokes = (keystrokeData || [])
+    .filter(k => typeof k.key === 'string' && k.key.length === 1 && Number.isFinite(k.timestamp))
+    .filter(k => !fields || fields.includes(k.field))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const typed = keystrokes.map(k => k.key).join('');
+  if (!text || typed.toLowerCase() !== text.toLowerCase() || keystrokes.some(k => !(k.duration > 0))) {
+    return null;
+  }
+
+  return {
+    dwell: keystrokes.map(k => k.duration),
+    flight: keystrokes.slice(1).map((k, i) => k.timestamp - keystrokes[i].timestamp)
+  };
+}
+
+/**
+ * Template model (per-position running mean/variance) of a set of samples
+ */
+function build(samples) {
+  const model = { samples: samples.length, dwell: [], flight: [] };
+
+  samples.forEach(sample => {
+    ['dwell', 'flight'].forEach(group => {
+      sample[group].forEach((value, i) => {
+        model[group][i] = runningStats.add(model[group][i] || runningStats.create(), value);
+      });
+    });
+  });
+
+  return model;
+}
+
+/**
+ * Distance of a sample from a phrase template
+ * @returns {Object|null} { distance, positions } or null while the template is
+ *   still enrolling or the sample has a different length
+ */
+function compare(template, sample, config = DEFAULT_CONFIG) {
+  if (!template || !template.model || template.model.samples < config.enrollmentSamples) return null;
+  if (sample.dwell.length !== template.length) return null;
+
+  const deviations = ['dwell', 'flight'].flatMap(group =>
+    sample[group].map((value, i) => {
+      const stats = template.model[group][i];
+      return Math.abs(value - stats.mean) / runningStats.stdDev(stats, config.minSigmaMs);
+    })
+  );
+
+  return {
+    distance: Math.round(deviations.reduce((a, b) => a + b, 0) / deviations.length * 100) / 100,
+    positions: template.length
+  };
+}
+
+/**
+ * 0-100 match score for a distance
+ */
+function score(distance, config = DEFAULT_CONFIG) {
+  return featureBaseline.score(distance, config);
+}
+
+/**
+ * Enrollment progress of a phrase template, for display
+ */
+function describe(template, config = DEFAULT_CONFIG) {
+  const samples = template ? template.samples.length : 0;
+
+  return {
+    samples,
+    required: config.enrollmentSamples,
+    enrolled: samples >= config.enrollmentSamples
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  createTemplate,
+  extract,
+  build,
+  compare,
+  score,
+  describe
+};
@@ -0,0 +1,245 @@
+/**
+ * Keystroke Digraph Model
+ * Per-key dwell times and per-digraph (key pair) flight times, each kept
+ * as a running mean/variance over the user's typing samples. A sample is
+ * scored by its distance from the model in standard deviations (scaled
+ * Manhattan by default, or diagonal Mahalanobis). Digraphs the model has
+ * not seen enough of fall back to the user's pooled dwell/flight timing.
+ *
+ * Features are keyed by KeyboardEvent.code ("KeyA", "Space"), never by the
+ * characters typed. Keystrokes without a code (older tracker recordings)
+ * only count towards the pooled timing.
+ */
+
+const runningStats = require('./runningStats');
+
+const DEFAULT_CONFIG = {
+  maxFlightMs: 1500, // Longer gaps are pauses, not digraphs
+  minFeatureSamples: 3, // Samples a key/digraph needs before it is compared
+  minSigmaMs: 10, // Floor for standard deviations (timer resolution)
+  minFeatures: 4, // Fewer comparable features: no decision
+  metric: 'scaledManhattan', // or 'mahalanobis'
+  acceptDistance: 1.5, // Distance scoring 100
+  rejectDistance: 4 // Distance scoring 0
+};
+
+const POOLED = '*';
+
+function createModel() {
+  return { samples: 0, dwell: {}, digraphs: {} };
+}
+
+/**
+ * Raw dwell and flight times of one typing sample, grouped by key and digraph
+ * @param {Array} keystrokeData - tracker keystrokes ({ code, key, timestamp, duration })
+ */
+function extractFeatures(keystrokeData, config = DEFAULT_CONFIG) {
+  const dwell = {};
+  const digraphs = {};
+  const push = (group, name, value) => { (group[name] = group[name] || []).push(value); };
+
+  const keystrokes = (keystrokeData || [])
+    .filter(k => Number.isFinite(k.timestamp))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  keystrokes.forEach((keystroke, i) => {
+    const code = keyCode(keystroke);
+
+    if (keystroke.duration > 0) {
+      if (code) push(dwell, code, keystroke.duration);
+      push(dwell, POOLED, keystroke.duration);
+    }
+
+    if (i > 0) {
+      const flight = keystroke.timestamp - keystrokes[i - 1].timestamp;
+      const previous = keyCode(keystrokes[i - 1]);
+      if (flight > 0 && flight <= config.maxFlightMs) {
+        if (code && previous) push(digraphs, `${previous}>${code}`, flight);
+        push(digraphs, POOLED, flight);
+      }
+    }
+  });
+
+  return { dwell, digraphs };
+}
+
+/**
+ * One feature vector per sample: the mean of each key and digraph
+ */
+function summarize(features) {
+  const means = group => Object.fromEntries(
+    Object.entries(group).map(([name, values]) => [name, round(mean(values))])
+  );
+
+  return { dwell: means(features.dwell), digraphs: means(features.digraphs) };
+}
+
+/**
+ * Add a sample's feature vector to the model (Welford running mean/variance)
+ */
+function update(model, summary) {
+  ['dwell', 'digraphs'].forEach(group => {
+    Object.entries(summary[group]).forEach(([name, value]) => {
+      model[group][name] = runningStats.add(model[group][name] || runningStats.create(), value);
+    });
+  });
+  model.samples += 1;
+
+  return model;
+}
+
+/**
+ * Model of a set of feature vectors (e.g. a rolling window of samples)
+ */
+function build(summaries) {
+  return summaries.reduce((model, summary) => update(model, summary), createModel());
+}
+
+/**
+ * Distance of a sample from the model
+ * @returns {Object|null} { distance, metric, features, coverage, backedOff } or null if
+ *   the model cannot compare this sample yet
+ */
+function compare(model, summary, config = DEFAULT_CONFIG) {
+  if (!model || model.samples < config.minFeatureSamples) return null;
+
+  const deviations = [];
+  let own = 0;
+  let backedOff = 0;
+
+  ['dwell', 'digraphs'].forEach(group => {
+    Object.entries(summary[group]).forEach(([name, value]) => {
+      if (name === POOLED) return;
+
+      // Missing or rare key/digraph: compare against the pooled timing instead
+      let stats = model[group][name];
+      if (stats && stats.n >= config.minFeatureSamples) {
+        own++;
+      } else {
+        stats = model[group][POOLED];
+        if (!stats || stats.n < config.minFeatureSamples) return;
+        backedOff++;
+      }
+
+      deviations.push(Math.abs(value - stats.mean) / runningStats.stdDev(stats, config.minSigmaMs));
+    });
+  });
+
+  if (deviations.length < config.minFeatures) return null;
+
+  const distance = config.metric === 'mahalanobis'
+    ? Math.sqrt(mean(deviations.map(d => d * d)))
+    : mean(deviations);
+
+  return {
+    distance: round(distance, 2),
+    metric: config.metric,
+    features: deviations.length,
+    coverage: round(own / deviations.length, 2),
+    backedOff
+  };
+}
+
+/**
+ * 0-100 match score for a distance
+ */
+function score(distance, config = DEFAULT_CONFIG) {
+  const ratio = (distance - config.acceptDistance) / (config.rejectDistance - config.acceptDistance);
+  return Math.round(100 * Math.min(1, Math.max(0, 1 - ratio)));
+}
+
+/**
+ * Equal-error-rate style metrics for a user's stored samples.
+ * Genuine distances are leave-one-out (each sample against a model of the
+ * others); impostor distances are other users' samples against the full model.
+ * @param {Array} genuine - feature vectors (summaries) of the user
+ * @param {Array} impostor - feature vectors of other users
+ */
+function evaluate(genuine, impostor, config = DEFAULT_CONFIG) {
+  const distances = (pairs) => pairs
+    .map(([model, summary]) => compare(model, summary, config))
+    .filter(Boolean)
+    .map(match => match.distance);
+
+  const genuineDistances = distances(genuine.map((summary, i) => [build(genuine.filter((_, j) => j !== i)), summary]));
+  const fullModel = build(genuine);
+  const impostorDistances = distances(impostor.map(summary => [fullModel, summary]));
+
+  const result = {
+    metric: config.metric,
+    genuine: describeDistances(genuineDistances),
+    impostor: describeDistances(impostorDistances),
+    eer: null,
+    eerThreshold: null,
+    atReject: null
+  };
+
+  if (genuineDistances.length === 0 || impostorDistances.length === 0) return result;
+
+  const rates = threshold => ({
+    far: impostorDistances.filter(d => d <= threshold).length / impostorDistances.length,
+    frr: genuineDistances.filter(d => d > threshold).length / genuineDistances.length
+  });
+
+  // Sweep every observed distance as a threshold; EER where FAR and FRR cross
+  let best = null;
+  [...genuineDistances, ...impostorDistances].sort((a, b) => a - b).forEach(threshold => {
+    const { far, frr } = rates(threshold);
+    if (!best || Math.abs(far - frr) < Math.abs(best.far - best.frr)) {
+      best = { threshold, far, frr };
+    }
+  });
+
+  result.eer = round((best.far + best.frr) / 2, 3);
+  result.eerThreshold = best.threshold;
+  result.atReject = { threshold: config.rejectDistance, ...rates(config.rejectDistance) };
+
+  return result;
+}
+
+/**
+ * Feature counts of a model, for display
+ */
+function describe(model, config = DEFAULT_CONFIG) {
+  const trained = group => Object.keys(group).filter(name => name !== POOLED && group[name].n >= config.minFeatureSamples).length;
+
+  return {
+    samples: model ? model.samples : 0,
+    keys: model ? trained(model.dwell) : 0,
+    digraphs: model ? trained(model.digraphs) : 0,
+    ready: Boolean(model) && model.samples >= config.minFeatureSamples
+  };
+}
+
+function keyCode(keystroke) {
+  return typeof keystroke.code === 'string' && keystroke.code ? keystroke.code : null;
+}
+
+function describeDistances(distances) {
+  return {
+    count: distances.length,
+    mean: distances.length ? round(mean(distances), 2) : null
+  };
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function round(value, digits = 1) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  createModel,
+  extractFeatures,
+  summarize,
+  update,
+  build,
+  compare,
+  score,
+  evaluate,
+  describe
+};
@@ -0,0 +1,123 @@
+/**
+ * Learning Policy
+ * Decides which samples may change a user's behavioral template, per
+ * modality. Loaded from config/learning-policy.json (LEARNING_POLICY_PATH
+ * overrides it); anything a file leaves out falls back to DEFAULT_POLICY.
+ *
+ * A sample is learned when the profile is still in its learning phase, or
+ * when it scored well enough and is not an outlier for the current
+ * baseline. Accepted samples form a rolling window the baselines are
+ * rebuilt from; averages drift toward new samples at `driftRate`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, '..', 'config', 'learning-policy.json');
+const MODALITIES = ['keystroke', 'mouse', 'touch'];
+
+const DEFAULT_MODALITY = {
+  enabled: true,
+  minConfidence: 75, // Modality score the sample needs (after the learning phase)
+  outlierDistance: 3, // Std. deviations from the baseline beyond which a sample is rejected
+  window: 20, // Accepted samples the baseline is built from
+  learningRate: 0.3, // Weight of a new sample in the averages during the learning phase
+  driftRate: 0.1 // ...and afterwards
+};
+
+const DEFAULT_POLICY = {
+  minOverallConfidence: 60, // Fused score the sample needs (after the learning phase)
+  snapshots: {
+    keep: 5,
+    everyAccepted: 10 // Automatic snapshot after this many learning updates
+  },
+  modalities: Object.fromEntries(MODALITIES.map(name => [name, DEFAULT_MODALITY]))
+};
+
+/**
+ * Read, merge with defaults and validate a policy file
+ */
+function load(filePath = process.env.LEARNING_POLICY_PATH || DEFAULT_POLICY_PATH) {
+  const file = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  const modalities = file.modalities || {};
+
+  const policy = {
+    ...DEFAULT_POLICY,
+    ...file,
+    snapshots: { ...DEFAULT_POLICY.snapshots, ...(file.snapshots || {}) },
+    modalities: Object.fromEntries(MODALITIES.map(name => [name, { ...DEFAULT_MODALITY, ...(modalities[name] || {}) }]))
+  };
+
+  validate(policy, Object.keys(modalities));
+  return policy;
+}
+
+function validate(policy, configured) {
+  const errors = [];
+  const inRange = (value, min, max, where) => {
+    if (typeof value !== 'number' || !(value >= min && value <= max)) {
+      errors.push(`${where} must be a number from ${min} to ${max}`);
+    }
+  };
+
+  configured.filter(name => !MODALITIES.includes(name))
+    .forEach(name => errors.push(`unknown modality "${name}"`));
+
+  inRange(policy.minOverallConfidence, 0, 100, 'minOverallConfidence');
+  inRange(policy.snapshots.keep, 1, 100, 'snapshots.keep');
+  inRange(policy.snapshots.everyAccepted, 1, 10000, 'snapshots.everyAccepted');
+
+  Object.entries(policy.modalities).forEach(([name, modality]) => {
+    if (typeof modality.enabled !== 'boolean') errors.push(`modalities.${name}.enabled must be a boolean`);
+    inRange(modality.minConfidence, 0, 100, `modalities.${name}.minConfidence`);
+    inRange(modality.outlierDistance, 0, 100, `modalities.${name}.outlierDistance`);
+    inRange(modality.window, 1, 500, `modalities.${name}.window`);
+    inRange(modality.learningRate, 0, 1, `modalities.${name}.learningRate`);
+    inRange(modality.driftRate, 0, 1, `modalities.${name}.driftRate`);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid learning policy: ${errors.join('; ')}`);
+  }
+}
+
+let policy = load();
+
+/**
+ * Whether a sample of one modality may be learned
+ * @param {Object} context - { learning, assessment, verified, distance, bot }
+ * @returns {Object} { accept, reason }
+ */
+function decide(modality, context, current = policy) {
+  const rules = current.modalities[modality];
+  const { learning, assessment, verified, distance, bot } = context;
+
+  if (!rules.enabled) return { accept: false, reason: 'disabled' };
+  if (bot) return { accept: false, reason: 'bot_suspected' };
+  if (learning) return { accept: true, reason: 'learning_phase' };
+
+  // A far outlier is rejected even right after a password re-entry
+  if (distance !== null && distance !== undefined && distance > rules.outlierDistance) {
+    return { accept: false, reason: 'outlier' };
+  }
+  if (verified) return { accept: true, reason: 'verified' };
+
+  // An UNKNOWN assessment judged nothing; an UNKNOWN modality (not trained
+  // yet) is vouched for by the modalities that were judged
+  if (!assessment || assessment.confidence === 'UNKNOWN') return { accept: false, reason: 'no_assessment' };
+  if (assessment.score < current.minOverallConfidence) return { accept: false, reason: 'low_confidence' };
+  if (assessment.breakdown[modality].confidence !== 'UNKNOWN' && assessment.breakdown[modality].score < rules.minConfidence) {
+    return { accept: false, reason: 'low_modality_confidence' };
+  }
+
+  return { accept: true, reason: 'confident' };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  MODALITIES,
+  load,
+  decide,
+  get: () => policy,
+  reload: filePath => (policy = load(filePath))
+};
@@ -0,0 +1,130 @@
+/**
+ * Login Fusion
+ * Turns everything known about a login attempt into one decision: ALLOW,
+ * STEP_UP_OTP (ask for a one-time code first) or DENY.
+ *
+ * Each factor looks at the inputs and adds risk points (or vetoes the login
+ * outright); the total is compared against the thresholds in DEFAULT_CONFIG.
+ * Factors are plain functions, so callers can pass their own list to decide().
+ */
+
+const UAParser = require('ua-parser-js');
+
+const DEFAULT_CONFIG = {
+  stepUpRisk: 2, // Total risk from which a one-time code is required
+  denyRisk: 4, // ...and from which the login is refused
+  behavior: {
+    allowScore: 60, // Behavioral score that adds no risk (getRecommendation's CHALLENGE line)
+    denyScore: 25, // Score below which behavior counts as a strong mismatch
+    lowRisk: 2,
+    mismatchRisk: 3,
+    missingRisk: 2, // Profile is trained but the login sent no keystrokes (or too few to judge); never below lowRisk
+    rejectedRisk: 2 // Behavioral data failed batchGuard.screen (bot-like or replayed)
+  },
+  learningRisk: 1, // No baseline yet: behavior cannot vouch for the user
+  newIpRisk: 1,
+  newUserAgentRisk: 1
+};
+
+/**
+ * Factors: (inputs, config) => { factor, risk, reason } | { factor, veto, reason } | null
+ */
+const FACTORS = [
+  function password({ passwordValid }) {
+    return passwordValid ? null : { factor: 'password', veto: true, reason: 'invalid_password' };
+  },
+
+  function behavior({ passwordValid, behavior, behaviorRejected, learning }, config) {
+    if (!passwordValid) return null;
+
+    const rules = config.behavior;
+    if (behaviorRejected) return { factor: 'behavior', risk: rules.rejectedRisk, reason: 'rejected_behavioral_data' };
+    if (learning) return null;
+
+    // Too few keystrokes to judge counts as none; leaving them out must not be cheaper than typing badly
+    if (!behavior || behavior.confidence === 'UNKNOWN') {
+      return { factor: 'behavior', risk: Math.max(rules.missingRisk, rules.lowRisk), reason: 'no_behavioral_data' };
+    }
+    if (behavior.score < rules.denyScore) return { factor: 'behavior', risk: rules.mismatchRisk, reason: 'behavior_mismatch' };
+    if (behavior.score < rules.allowScore) return { factor: 'behavior', risk: rules.lowRisk, reason: 'low_behavioral_confidence' };
+    return null;
+  },
+
+  function learningPhase({ learning }, config) {
+    return learning ? { factor: 'learning', risk: config.learningRisk, reason: 'learning_phase' } : null;
+  },
+
+  function requestContext({ context }, config) {
+    if (!context) return null;
+
+    return [
+      context.newIp && { factor: 'context', risk: config.newIpRisk, reason: 'new_ip' },
+      context.newUserAgent && { factor: 'context', risk: config.newUserAgentRisk, reason: 'new_user_agent' }
+    ].filter(Boolean);
+  }
+];
+
+/**
+ * Fuse the inputs of a login attempt into a decision
+ * @param {Object} inputs - { passwordValid, behavior: { score, confidence } | null, behaviorRejected, learning, context }
+ * @param {Object} [options] - { config, factors } to override DEFAULT_CONFIG / FACTORS
+ * @returns {Object} { decision, risk, reasons, factors }
+ */
+function decide(inputs, { config = DEFAULT_CONFIG, factors = FACTORS } = {}) {
+  const results = factors.flatMap(factor => factor(inputs, config) || []);
+  const risk = results.reduce((sum, result) => sum + (result.risk || 0), 0);
+
+  let decision = 'ALLOW';
+  if (results.some(result => result.veto) || risk >= config.denyRisk) {
+    decision = 'DENY';
+  } else if (risk >= config.stepUpRisk) {
+    decision = 'STEP_UP_OTP';
+  }
+
+  return {
+    decision,
+    risk,
+    reasons: results.map(result => result.reason),
+    factors: results
+  };
+}
+
+/**
+ * Browser, OS and device type of a User-Agent header; version updates do not
+ * make a browser "new"
+ */
+function userAgentFamily(userAgent) {
+  const { browser, os, device } = new UAParser(userAgent || '').getResult();
+  return `${browser.name || 'unknown'} / ${os.name || 'unknown'} / ${device.type || 'desktop'}`;
+}
+
+/**
+ * Compare a request with the user's earlier successful logins
+ * @param {Array} known - { ip, userAgent } of allowed logins (behavioralEngine.getLoginContexts)
+ * @param {Object} request - { ip, userAgent }
+ * @param {Object} [options] - { trained }: the user has a trained behavioral profile
+ * @returns {Object} { ip, userAgent, firstLogin, newIp, newUserAgent }
+ */
+function describeContext(known, { ip, userAgent }, { trained = false } = {}) {
+  const family = userAgentFamily(userAgent);
+
+  // Nothing to compare with on the first login. A user with a trained profile
+  // has logged in before, so an empty list is not a first login.
+  const firstLogin = known.length === 0 && !trained;
+
+  return {
+    ip,
+    userAgent: family,
+    firstLogin,
+    newIp: !firstLogin && !known.some(context => context.ip === ip),
+    newUserAgent: !firstLogin && !known.some(context => context.userAgent === family)
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  FACTORS,
+  decide,
+  userAgentFamily,
+  describeContext
+};
@@ -0,0 +1,210 @@
+/**
+ * Mouse Trajectory Model
+ * Splits mouse movement into strokes (runs of movement ending in a pause,
+ * a click or a scroll) and describes each stroke by its shape and timing.
+ * Per-user baselines (see featureBaseline) keep a running mean/variance of
+ * every feature; a sample is scored by its distance from them.
+ *
+ * Perfectly straight strokes are reported separately as a bot signal:
+ * automation tools interpolate between points, people never do.
+ */
+
+const featureBaseline = require('./featureBaseline');
+
+const DEFAULT_CONFIG = {
+  ...featureBaseline.DEFAULT_CONFIG,
+  strokePauseMs: 300, // A longer gap between samples ends the stroke
+  minStrokePoints: 3, // Needed for turning angles
+  minStrokeLength: 20, // Shorter strokes (px) are twitches
+  bot: {
+    minPoints: 4, // Only strokes this long can be judged straight
+    minLength: 50,
+    maxDeviationPx: 1, // Farthest point from the start-end line
+    minLinearShare: 0.5, // Share of strokes that must be straight
+    minLinearStrokes: 2
+  }
+};
+
+// Feature name → standard deviation floor (keeps near-constant features from dominating)
+const FEATURES = {
+  straightness: 0.02, // chord / path length, 1 = straight
+  curvature: 0.02, // mean |turning angle| between segments (rad)
+  jitter: 0.02, // mean change of turning angle (rad), small-scale wobble
+  peakVelocityAt: 0.05, // when in the stroke the speed peaks (0-1 of its duration)
+  acceleration: 0.0005, // mean |change of speed| (px/ms²)
+  approachAngle: 0.05, // final direction vs. the stroke direction, clicks only (rad)
+  pauseBeforeClick: 20, // ms between the last movement and the click
+  clickHold: 10 // ms the button was held
+};
+
+/**
+ * Split tracker mouse events into strokes
+ * @param {Array} mouseData - tracker events (mousemove, click, wheel)
+ * @returns {Array} [{ points: [{ x, y, timestamp }], click }]
+ */
+function segmentStrokes(mouseData, config = DEFAULT_CONFIG) {
+  const strokes = [];
+  let current = null;
+
+  const close = (click = null) => {
+    if (current && current.points.length > 0) {
+      strokes.push({ ...current, click });
+    }
+    current = null;
+  };
+
+  [...(mouseData || [])]
+    .filter(event => Number.isFinite(event.timestamp))
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach(event => {
+      if (event.type === 'mousemove') {
+        const last = current && current.points[current.points.length - 1];
+        if (last && event.timestamp - last.timestamp > config.strokePauseMs) close();
+
+        current = current || { points: [] };
+        current.points.push({ x: event.x, y: event.y, timestamp: event.timestamp });
+      } else if (event.type === 'click') {
+        const last = current && current.points[current.points.length - 1];
+        close(last ? {
+          pauseBeforeClick: event.timestamp - last.timestamp,
+          holdDuration: Number.isFinite(event.holdDuration) ? event.holdDuration : null
+        } : null);
+      } else {
+        close();
+      }
+    });
+  close();
+
+  return strokes;
+}
+
+/**
+ * Shape and timing features of one stroke (null if it is too short)
+ */
+function strokeFeatures(stroke, config = DEFAULT_CONFIG) {
+  const points = stroke.points;
+  if (points.length < config.minStrokePoints) return null;
+
+  const segments = [];
+  for (let i = 1; i < points.length; i++) {
+    const dx = points[i].x - points[i - 1].x;
+    const dy = points[i].y - points[i - 1].y;
+    const dt = points[i].timestamp - points[i - 1].timestamp;
+    const length = Math.hypot(dx, dy);
+    if (length > 0 && dt > 0) {
+      segments.push({ length, dt, speed: length / dt, angle: Math.atan2(dy, dx), end: points[i].timestamp });
+    }
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const path = sum(segments.map(s => s.length));
+  const chord = Math.hypot(last.x - first.x, last.y - first.y);
+  if (segments.length < 2 || path < config.minStrokeLength) return null;
+
+  const turns = segments.slice(1).map((s, i) => wrapAngle(s.angle - segments[i].angle));
+  const peak = segments.reduce((best, s) => (s.speed > best.speed ? s : best));
+  const accelerations = segments.slice(1).map((s, i) => Math.abs(s.speed - segments[i].speed) / s.dt);
+  const duration = last.timestamp - first.timestamp;
+
+  const features = {
+    straightness: chord / path,
+    curvature: mean(turns.map(Math.abs)),
+    jitter: turns.length > 1 ? mean(turns.slice(1).map((t, i) => Math.abs(t - turns[i]))) : 0,
+    peakVelocityAt: duration > 0 ? (peak.end - first.timestamp) / duration : 0,
+    acceleration: mean(accelerations)
+  };
+
+  if (stroke.click) {
+    features.approachAngle = chord > 0
+      ? Math.abs(wrapAngle(segments[segments.length - 1].angle - Math.atan2(last.y - first.y, last.x - first.x)))
+      : 0;
+    features.pauseBeforeClick = stroke.click.pauseBeforeClick;
+    if (stroke.click.holdDuration !== null) features.clickHold = stroke.click.holdDuration;
+  }
+
+  return {
+    features,
+    linear: points.length >= config.bot.minPoints && chord >= config.bot.minLength &&
+      maxDeviation(points) <= config.bot.maxDeviationPx
+  };
+}
+
+/**
+ * Trajectory summary of a mouse sample: the mean of every stroke feature,
+ * and the bot signal
+ * @returns {Object} { strokes, features, bot: { suspected, linearStrokes, strokes } }
+ */
+function analyze(mouseData, config = DEFAULT_CONFIG) {
+  const described = segmentStrokes(mouseData, config)
+    .map(stroke => strokeFeatures(stroke, config))
+    .filter(Boolean);
+
+  const features = {};
+  Object.keys(FEATURES).forEach(name => {
+    const values = described.map(s => s.features[name]).filter(Number.isFinite);
+    if (values.length > 0) features[name] = round(mean(values));
+  });
+
+  const linearStrokes = described.filter(s => s.linear).length;
+
+  return {
+    strokes: described.length,
+    features,
+    bot: {
+      suspected: linearStrokes >= config.bot.minLinearStrokes &&
+        linearStrokes / described.length >= config.bot.minLinearShare,
+      linearStrokes,
+      strokes: described.length
+    }
+  };
+}
+
+/**
+ * Distance of a sample's trajectory features from the user's baseline
+ */
+function compare(model, features, config = DEFAULT_CONFIG) {
+  return featureBaseline.compare(model, features, FEATURES, config);
+}
+
+// Farthest distance of any point from the line through the first and last point
+function maxDeviation(points) {
+  const first = points[0];
+  const last = points[points.length - 1];
+  const chord = Math.hypot(last.x - first.x, last.y - first.y);
+  if (chord === 0) return Infinity;
+
+  return Math.max(...points.map(p =>
+    Math.abs((last.x - first.x) * (first.y - p.y) - (first.x - p.x) * (last.y - first.y)) / chord
+  ));
+}
+
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+function sum(values) {
+  return values.reduce((a, b) => a + b, 0);
+}
+
+function mean(values) {
+  return values.length ? sum(values) / values.length : 0;
+}
+
+function round(value, digits = 4) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  FEATURES,
+  createModel: featureBaseline.createModel,
+  segmentStrokes,
+  strokeFeatures,
+  analyze,
+  update: featureBaseline.update,
+  build: featureBaseline.build,
+  compare,
+  score: featureBaseline.score
+};
@@ -0,0 +1,95 @@
+/**
+ * One-Time Code Delivery
+ * Sends step-up sign-in codes (see loginFusion) to the user's email address
+ * through a swappable transport. The default transport stands in for a mail
+ * server: messages are appended to data/outbox.jsonl (OUTBOX_PATH overrides
+ * it). Set OTP_TRANSPORT to a module path to plug in a real one (SMTP, an
+ * email or SMS API, ...).
+ *
+ * Transports implement:
+ *   name
+ *   send({ to, subject, body }) -> Promise
+ *
+ * The code is never logged, only where it went.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_OUTBOX_PATH = path.join(__dirname, '..', 'data', 'outbox.jsonl');
+
+const outboxTransport = {
+  name: 'outbox',
+  filePath: process.env.OUTBOX_PATH || DEFAULT_OUTBOX_PATH,
+  async send({ to, subject, body }) {
+    const message = { id: crypto.randomUUID(), to, subject, body, sentAt: Date.now() };
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, JSON.stringify(message) + '\n');
+
+    return message;
+  }
+};
+
+let transport = loadTransport(process.env.OTP_TRANSPORT);
+
+/**
+ * Replace the transport
+ */
+function use(next) {
+  if (!next || typeof next.send !== 'function') {
+    throw new Error('OTP transport must implement send({ to, subject, body })');
+  }
+  transport = next;
+}
+
+/**
+ * Send a sign-in code
+ * @param {Object} message - { to (email), username, code, ttlMs }
+ * @returns {Object} { success, transport } or { success: false, error }
+ */
+async function sendCode({ to, username, code, ttlMs }) {
+  if (!to) {
+    return { success: false, error: 'No email address on file' };
+  }
+
+  try {
+    await transport.send({
+      to,
+      subject: 'Your sign-in code',
+      body: `Your one-time code is ${code}. It is valid for ${Math.round(ttlMs / 60000)} minutes. ` +
+        'If you did not try to sign in, change your password.'
+    });
+  } catch (error) {
+    console.error(`❌ Sign-in code for ${username} via ${transport.name || 'transport'} failed:`, error.message);
+    return { success: false, error: 'The code could not be sent' };
+  }
+
+  console.log(`📨 Sign-in code for ${username} sent to ${maskEmail(to)} via ${transport.name || 'transport'}`);
+  return { success: true, transport: transport.name || 'transport' };
+}
+
+function maskEmail(email) {
+  const [local, domain] = String(email).split('@');
+  return domain ? `${local.slice(0, 1)}***@${domain}` : '***';
+}
+
+function loadTransport(modulePath) {
+  if (!modulePath) return outboxTransport;
+
+  console.log(`📮 OTP transport: ${modulePath}`);
+  const loaded = require(path.resolve(modulePath));
+  if (!loaded || typeof loaded.send !== 'function') {
+    throw new Error(`OTP transport ${modulePath} must implement send({ to, subject, body })`);
+  }
+  return loaded;
+}
+
+module.exports = {
+  outboxTransport,
+  use,
+  current: () => transport,
+  sendCode,
+  maskEmail
+};
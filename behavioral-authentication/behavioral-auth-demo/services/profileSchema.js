@@ -0,0 +1,264 @@
+/**
+ * Behavioral Profile Schema
+ * Versioned shape of the stored profile document, upgrade steps for older
+ * documents, and the export format used for backups, migrations between
+ * environments and data requests.
+ *
+ * To change the profile shape: bump CURRENT_VERSION and append a step to
+ * UPGRADES. Stored profiles are upgraded when they are read.
+ */
+
+const keystrokeModel = require('./keystrokeModel');
+const mouseModel = require('./mouseModel');
+const touchModel = require('./touchModel');
+
+const CURRENT_VERSION = 7;
+const EXPORT_FORMAT = 'behavioral-profile-export';
+const EXPORT_VERSION = 1;
+const SECTIONS = ['keystrokeDynamics', 'mouseDynamics', 'touchDynamics'];
+const MODALITIES = ['keystroke', 'mouse', 'touch'];
+
+// Each step turns a version `version - 1` document into a version `version` one
+const UPGRADES = [
+  {
+    version: 1,
+    description: 'Unversioned in-memory profiles: add schemaVersion and any missing sections',
+    up: profile => {
+      const empty = createProfile(profile.userId, profile.createdAt || Date.now());
+
+      SECTIONS.forEach(section => {
+        profile[section] = { ...empty[section], ...(profile[section] || {}) };
+        if (!Array.isArray(profile[section].samples)) profile[section].samples = [];
+      });
+      profile.confidenceHistory = profile.confidenceHistory || [];
+      profile.totalSessions = profile.totalSessions || 0;
+      profile.lastUpdated = profile.lastUpdated || profile.createdAt || Date.now();
+
+      return profile;
+    }
+  },
+  {
+    version: 2,
+    description: 'Per-key/digraph keystroke model (older samples carry no per-key timings, so it starts empty)',
+    up: profile => {
+      profile.keystrokeDynamics = { ...profile.keystrokeDynamics, model: keystrokeModel.createModel() };
+      return profile;
+    }
+  },
+  {
+    version: 3,
+    description: 'Mouse trajectory baseline (starts empty, older samples have no strokes)',
+    up: profile => {
+      profile.mouseDynamics = { ...profile.mouseDynamics, trajectory: mouseModel.createModel() };
+      return profile;
+    }
+  },
+  {
+    version: 4,
+    description: 'Touch and sensor baseline (touch data was never learned before)',
+    up: profile => {
+      profile.touchDynamics = { ...profile.touchDynamics, model: touchModel.createModel() };
+      return profile;
+    }
+  },
+  {
+    version: 5,
+    description: 'Learning decisions per modality and template snapshots for rollback',
+    up: profile => {
+      profile.learning = createLearningState();
+      profile.snapshots = [];
+      return profile;
+    }
+  },
+  {
+    version: 6,
+    description: 'Fixed-text keystroke templates by phrase (the digraph model is the free-text one)',
+    up: profile => {
+      profile.keystrokeDynamics = { ...profile.keystrokeDynamics, fixedText: {} };
+      // Snapshots hold template sections too, so a rollback stays in this shape
+      (profile.snapshots || []).forEach(snapshot => {
+        snapshot.sections.keystrokeDynamics = { ...snapshot.sections.keystrokeDynamics, fixedText: {} };
+      });
+      return profile;
+    }
+  },
+  {
+    version: 7,
+    description: 'Known login contexts (IP, browser family) of allowed logins, kept apart from the history',
+    up: profile => {
+      profile.loginContexts = [];
+      return profile;
+    }
+  }
+];
+
+/**
+ * A new, empty profile in the current schema
+ */
+function createProfile(userId, now = Date.now()) {
+  return {
+    schemaVersion: CURRENT_VERSION,
+    userId,
+    createdAt: now,
+    keystrokeDynamics: {
+      avgDwellTime: null,
+      avgFlightTime: null,
+      typingSpeed: null,
+      errorRate: null,
+      model: keystrokeModel.createModel(),
+      fixedText: {},
+      samples: []
+    },
+    mouseDynamics: {
+      avgSpeed: null,
+      avgDistance: null,
+      clickPattern: null,
+      scrollPattern: null,
+      trajectory: mouseModel.createModel(),
+      samples: []
+    },
+    touchDynamics: {
+      avgTapDuration: null,
+      avgSwipeSpeed: null,
+      pressurePattern: null,
+      model: touchModel.createModel(),
+      samples: []
+    },
+    confidenceHistory: [],
+    totalSessions: 0,
+    loginContexts: [],
+    learning: createLearningState(),
+    snapshots: [],
+    lastUpdated: now
+  };
+}
+
+/**
+ * Counts of accepted and rejected learning updates (see learningPolicy)
+ */
+function createLearningState() {
+  return {
+    updatesSinceSnapshot: 0,
+    modalities: Object.fromEntries(MODALITIES.map(modality => [modality, { accepted: 0, rejected: 0, rejectedBy: {}, last: null }]))
+  };
+}
+
+/**
+ * Bring a stored or imported profile up to CURRENT_VERSION
+ * @returns {Object} { profile, upgraded } - upgraded is true if any step ran
+ */
+function upgrade(profile) {
+  const from = profile.schemaVersion || 0;
+
+  if (from > CURRENT_VERSION) {
+    throw new Error(`Profile schema version ${from} is newer than this server supports (${CURRENT_VERSION})`);
+  }
+
+  let result = { ...profile };
+  UPGRADES
+    .filter(step => step.version > from)
+    .forEach(step => {
+      result = step.up(result);
+      result.schemaVersion = step.version;
+    });
+
+  return { profile: result, upgraded: from < CURRENT_VERSION };
+}
+
+/**
+ * Export document for one user
+ */
+function toExport(userId, profile, history, now = Date.now()) {
+  return {
+    format: EXPORT_FORMAT,
+    exportVersion: EXPORT_VERSION,
+    schemaVersion: profile.schemaVersion,
+    exportedAt: new Date(now).toISOString(),
+    userId,
+    profile,
+    history
+  };
+}
+
+/**
+ * Validate an export document, upgrade its profile and fill in any field
+ * the current schema requires
+ * @returns {Object} { profile, history } or { error }
+ */
+function parseExport(document) {
+  if (!document || typeof document !== 'object' || document.format !== EXPORT_FORMAT) {
+    return { error: `Not a behavioral profile export (expected format "${EXPORT_FORMAT}")` };
+  }
+  if (document.exportVersion !== EXPORT_VERSION) {
+    return { error: `Unsupported export version ${document.exportVersion}` };
+  }
+
+  const { profile, history = [] } = document;
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return { error: 'Export has no profile' };
+  }
+  if (!Array.isArray(history) || history.some(entry => !entry || !Number.isFinite(entry.timestamp))) {
+    return { error: 'history must be an array of entries with a numeric timestamp' };
+  }
+
+  const invalid = SECTIONS.find(section =>
+    profile[section] !== undefined && (typeof profile[section] !== 'object' || !Array.isArray(profile[section].samples || []))
+  );
+  if (invalid) {
+    return { error: `Profile section "${invalid}" is malformed` };
+  }
+
+  let upgraded;
+  try {
+    upgraded = upgrade(profile).profile;
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  // upgrade() trusts schemaVersion: a document claiming the current version
+  // skips every step, so fill in what it left out before it is stored
+  const completed = withDefaults(upgraded, createProfile(upgraded.userId, Date.now()), '');
+  if (completed.error) {
+    return { error: `Profile field "${completed.error}" is malformed` };
+  }
+
+  return { profile: completed.value, history };
+}
+
+/**
+ * Fill the fields a profile lacks from the current schema's defaults, and
+ * check that the fields it has are of the same kind (object, array, number...)
+ * @returns {Object} { value } or { error: path of the first mismatching field }
+ */
+function withDefaults(value, defaults, field) {
+  if (value === undefined) return { value: defaults };
+  if (defaults === null || defaults === undefined) return { value };
+
+  if (Array.isArray(defaults)) {
+    return Array.isArray(value) ? { value } : { error: field };
+  }
+  if (typeof defaults !== 'object') {
+    return typeof value === typeof defaults ? { value } : { error: field };
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: field };
+  }
+
+  const result = { ...value };
+  for (const [key, fallback] of Object.entries(defaults)) {
+    const filled = withDefaults(value[key], fallback, field ? `${field}.${key}` : key);
+    if (filled.error) return filled;
+    result[key] = filled.value;
+  }
+  return { value: result };
+}
+
+module.exports = {
+  CURRENT_VERSION,
+  EXPORT_FORMAT,
+  SECTIONS,
+  createProfile,
+  upgrade,
+  toExport,
+  parseExport
+};
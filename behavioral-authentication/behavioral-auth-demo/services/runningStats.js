@@ -0,0 +1,28 @@
+/**
+ * Running Statistics
+ * Mean and variance of a stream of values without keeping the values
+ * (Welford's algorithm). Stored as plain { n, mean, m2 } objects so they
+ * serialize with the profile.
+ */
+
+function create() {
+  return { n: 0, mean: 0, m2: 0 };
+}
+
+function add(stats, value) {
+  stats.n += 1;
+  const delta = value - stats.mean;
+  stats.mean += delta / stats.n;
+  stats.m2 += delta * (value - stats.mean);
+  return stats;
+}
+
+/**
+ * Sample standard deviation, never below `floor`
+ */
+function stdDev(stats, floor = 0) {
+  const variance = stats.n > 1 ? stats.m2 / (stats.n - 1) : 0;
+  return Math.max(Math.sqrt(variance), floor);
+}
+
+module.exports = { create, add, stdDev };
@@ -0,0 +1,124 @@
+/**
+ * Session Confidence
+ * Server-side confidence of an authenticated session, so enforcement does
+ * not depend on the browser honoring `requiresReauth`. Every behavioral
+ * check moves the score toward its assessment; without new data the score
+ * decays, so a client that stops sending loses access too. Timestamps live
+ * in the session, so no timers are needed.
+ */
+
+const behavioralEngine = require('./behavioralEngine');
+
+const DEFAULT_CONFIG = {
+  initialScore: 75, // After a login without an assessment (learning phase, no typing)
+  reauthenticatedScore: 100, // Right after a successful re-authentication
+  assessmentWeight: 0.6, // Share of the latest check in the session score
+  graceMinutes: 2, // No decay while data arrives at least this often
+  decayPerMinute: 5, // Points lost per minute without data after the grace period
+  rejectedBatchPenalty: 25 // Replayed or implausible batch (see batchGuard)
+};
+
+/**
+ * Start tracking a freshly authenticated session
+ * @param {Object|null} assessment - login assessment, if there was one
+ */
+function start(session, assessment = null, now = Date.now(), config = DEFAULT_CONFIG) {
+  session.confidence = {
+    score: measured(assessment) ? assessment.score : config.initialScore,
+    updatedAt: now,
+    checks: 0,
+    source: measured(assessment) ? 'login' : 'initial'
+  };
+  return current(session, now, config);
+}
+
+/**
+ * Fold a behavioral check into the session score. During the learning
+ * phase checks only prove the client is alive; they do not move the score.
+ * A check that judged nothing (UNKNOWN) is not data: the score keeps decaying.
+ */
+function record(session, assessment, { learning = false } = {}, now = Date.now(), config = DEFAULT_CONFIG) {
+  const { score } = current(session, now, config);
+  const state = session.confidence;
+
+  if (!learning && !measured(assessment)) {
+    state.checks++;
+    state.source = 'undecided';
+    return current(session, now, config);
+  }
+
+  state.score = learning
+    ? score
+    : Math.round(score * (1 - config.assessmentWeight) + assessment.score * config.assessmentWeight);
+  state.updatedAt = now;
+  state.checks++;
+  state.source = learning ? 'learning' : 'check';
+
+  return current(session, now, config);
+}
+
+function measured(assessment) {
+  return Boolean(assessment) && assessment.confidence !== 'UNKNOWN';
+}
+
+/**
+ * Lower the score for a rejected batch (it still counts as activity)
+ */
+function penalize(session, reason, now = Date.now(), config = DEFAULT_CONFIG) {
+  const { score } = current(session, now, config);
+
+  session.confidence.score = Math.max(0, score - config.rejectedBatchPenalty);
+  session.confidence.updatedAt = now;
+  session.confidence.source = reason;
+
+  return current(session, now, config);
+}
+
+/**
+ * Password confirmed again: restore full confidence
+ */
+function markReauthenticated(session, now = Date.now(), config = DEFAULT_CONFIG) {
+  session.confidence = {
+    ...(session.confidence || {}),
+    score: config.reauthenticatedScore,
+    updatedAt: now,
+    reauthenticatedAt: now,
+    checks: session.confidence ? session.confidence.checks : 0,
+    source: 'reauthenticated'
+  };
+  return current(session, now, config);
+}
+
+/**
+ * Decayed score and the action it maps to (ALLOW, MONITOR, CHALLENGE, BLOCK)
+ */
+function current(session, now = Date.now(), config = DEFAULT_CONFIG) {
+  // Sessions created before tracking started begin where a fresh login would
+  if (!session.confidence) start(session, null, now, config);
+
+  const state = session.confidence;
+  const idleMinutes = Math.max(0, now - state.updatedAt) / 60000;
+  const decay = Math.max(0, idleMinutes - config.graceMinutes) * config.decayPerMinute;
+  const score = Math.max(0, Math.round(state.score - decay));
+  const recommendation = behavioralEngine.getRecommendation(score);
+
+  return {
+    score,
+    confidence: behavioralEngine.getConfidenceLevel(score),
+    action: recommendation.action,
+    decayed: score < state.score,
+    idleSeconds: Math.round(idleMinutes * 60),
+    checks: state.checks,
+    source: state.source,
+    updatedAt: state.updatedAt
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  start,
+  record,
+  penalize,
+  markReauthenticated,
+  current
+};
@@ -0,0 +1,95 @@
+/**
+ * Touch and Sensor Model
+ * Describes a mobile sample by how the user touches (tap length, pressure,
+ * contact size, swipe speed and velocity curve) and how they hold the
+ * device (orientation angles, tilt and hand tremor from the motion sensor).
+ * Baselines and scoring are shared with the mouse model (featureBaseline).
+ */
+
+const featureBaseline = require('./featureBaseline');
+
+const DEFAULT_CONFIG = featureBaseline.DEFAULT_CONFIG;
+
+// Feature name → standard deviation floor
+const FEATURES = {
+  tapDuration: 10, // ms
+  tapPressure: 0.02, // force 0-1, only on devices that report it
+  touchRadius: 0.5, // px, mean contact radius
+  swipeSpeed: 0.05, // px/ms
+  swipePeakAt: 0.05, // where in the swipe the velocity curve peaks (0-1)
+  swipeEndRatio: 0.05, // final velocity / peak velocity (how the finger lifts off)
+  holdPitch: 3, // deviceorientation beta (deg), front-back hold angle
+  holdRoll: 3, // deviceorientation gamma (deg), left-right hold angle
+  tilt: 3, // angle between gravity and the screen normal (deg), from devicemotion
+  tremor: 0.05 // standard deviation of acceleration magnitude (m/s²)
+};
+
+/**
+ * Feature means of one sample
+ * @param {Array} touchData - tracker touch events (tap, swipe, touchmove)
+ * @param {Array} sensorData - tracker sensor readings (orientation, motion)
+ * @returns {Object} { taps, swipes, sensorReadings, features }
+ */
+function analyze(touchData = [], sensorData = []) {
+  const taps = touchData.filter(t => t.type === 'tap' && t.duration > 0);
+  const swipes = touchData.filter(t => t.type === 'swipe' && t.duration > 0);
+  const contacts = touchData.filter(t => t.type !== 'touchmove');
+  const curves = swipes.map(s => s.velocityCurve).filter(curve => Array.isArray(curve) && Math.max(...curve) > 0);
+  const orientation = sensorData.filter(s => s.type === 'orientation' && Number.isFinite(s.beta) && Number.isFinite(s.gamma));
+  const motion = sensorData.filter(s => s.type === 'motion' && [s.x, s.y, s.z].every(Number.isFinite));
+  const magnitudes = motion.map(m => Math.hypot(m.x, m.y, m.z));
+
+  const values = {
+    tapDuration: taps.map(t => t.duration),
+    // Devices without pressure sensing report 0
+    tapPressure: contacts.map(t => t.force).filter(force => force > 0),
+    touchRadius: contacts.map(t => t.radius).filter(radius => radius > 0),
+    swipeSpeed: swipes.map(s => s.speed).filter(Number.isFinite),
+    swipePeakAt: curves.map(curve => curve.indexOf(Math.max(...curve)) / Math.max(1, curve.length - 1)),
+    swipeEndRatio: curves.map(curve => curve[curve.length - 1] / Math.max(...curve)),
+    holdPitch: orientation.map(o => o.beta),
+    holdRoll: orientation.map(o => o.gamma),
+    tilt: motion.map((m, i) => (magnitudes[i] > 0 ? Math.acos(Math.min(1, Math.abs(m.z) / magnitudes[i])) * 180 / Math.PI : null))
+      .filter(Number.isFinite),
+    tremor: magnitudes.length > 1 ? [stdDev(magnitudes)] : []
+  };
+
+  const features = {};
+  Object.entries(values).forEach(([name, list]) => {
+    if (list.length > 0) features[name] = round(mean(list));
+  });
+
+  return { taps: taps.length, swipes: swipes.length, sensorReadings: orientation.length + motion.length, features };
+}
+
+/**
+ * Distance of a sample's touch features from the user's baseline
+ */
+function compare(model, features, config = DEFAULT_CONFIG) {
+  return featureBaseline.compare(model, features, FEATURES, config);
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function stdDev(values) {
+  const m = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - m) * (v - m))));
+}
+
+function round(value, digits = 4) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  FEATURES,
+  createModel: featureBaseline.createModel,
+  analyze,
+  update: featureBaseline.update,
+  build: featureBaseline.build,
+  compare,
+  score: featureBaseline.score
+};